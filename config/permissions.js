@@ -0,0 +1,57 @@
+// Every permission the API checks. ".any" permissions apply to all records,
+// ".own" permissions only to records the user created. Client, project,
+// note, custom field, pipeline and member permissions come from the user's
+// role in the active organization; the rest come from their account role.
+export const PERMISSIONS = [
+  "client.read",
+  "client.create",
+  "client.update",
+  "client.delete",
+  "client.purge",
+  "custom-field.manage",
+  "pipeline.manage",
+  "project.read",
+  "project.create",
+  "project.update.any",
+  "project.update.own",
+  "project.delete.any",
+  "project.delete.own",
+  "note.create",
+  "note.update.any",
+  "note.update.own",
+  "note.delete.any",
+  "note.delete.own",
+  "user.manage",
+  "invitation.manage",
+  "role.manage",
+  "organization.manage",
+  "member.manage",
+  "audit.read",
+];
+
+// Built-in roles; admins can add custom roles on top of these
+export const BUILT_IN_ROLES = {
+  admin: {
+    description: "Full access to every resource",
+    permissions: PERMISSIONS,
+  },
+  user: {
+    description: "Read clients and projects, manage own projects and notes",
+    permissions: [
+      "client.read",
+      "project.read",
+      "project.create",
+      "project.update.own",
+      "project.delete.own",
+      "note.create",
+      "note.update.own",
+      "note.delete.own",
+    ],
+  },
+  // Client portal users; their membership links them to one client, and
+  // requireOrganization confines them to reading its projects
+  client: {
+    description: "Client portal: read the linked client's projects",
+    permissions: ["client.read", "project.read"],
+  },
+};
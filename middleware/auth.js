@@ -1,10 +1,76 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import RefreshToken from "../models/RefreshToken.js";
+import Session from "../models/Session.js";
+import ApiKey from "../models/ApiKey.js";
+import Role from "../models/Role.js";
+import { recordAuditEvent } from "../utils/audit.js";
+
+// Reject a presented API key or token, recording it in the audit log
+const rejectToken = async (req, res, message, metadata) => {
+  await recordAuditEvent(req, {
+    event: "auth.token-rejected",
+    outcome: "failure",
+    user: req.user,
+    reason: message,
+    metadata,
+  });
+
+  return res.status(401).json({
+    status: "error",
+    message,
+  });
+};
 
 // Protect routes - authenticate token
 export const protect = async (req, res, next) => {
   let token;
 
+  // Integrations may send an API key instead of a Bearer JWT
+  const rawApiKey = req.headers["x-api-key"];
+  if (rawApiKey) {
+    if (!req.acceptsApiKeys) {
+      return rejectToken(
+        req,
+        res,
+        "Not authorized, API keys are not accepted on this route"
+      );
+    }
+
+    try {
+      const apiKey = await ApiKey.findActiveByKey(rawApiKey);
+      if (!apiKey) {
+        return rejectToken(
+          req,
+          res,
+          "Not authorized, invalid or expired API key"
+        );
+      }
+
+      req.user = await User.findById(apiKey.user);
+      if (!req.user) {
+        return rejectToken(req, res, "Not authorized, user not found");
+      }
+
+      if (req.user.status === "disabled") {
+        return rejectToken(req, res, "Not authorized, account is disabled");
+      }
+
+      req.apiKey = apiKey;
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { lastUsedAt: new Date(), lastUsedIp: req.ip }
+      );
+    } catch (error) {
+      console.error("API key verification error:", error);
+      return rejectToken(req, res, "Not authorized, API key failed", {
+        error: error.name,
+      });
+    }
+
+    return next();
+  }
+
   // Check for token in headers
   if (
     req.headers.authorization &&
@@ -17,22 +83,51 @@ export const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+      if (decoded.purpose) {
+        return rejectToken(req, res, "Not authorized, invalid token type");
+      }
+
       // Get user from token
-      req.user = await User.findById(decoded.id);
+      req.user = await User.findById(decoded.id).select("+tokenVersion");
 
       if (!req.user) {
-        return res.status(401).json({
-          status: "error",
-          message: "Not authorized, user not found",
-        });
+        return rejectToken(req, res, "Not authorized, user not found");
+      }
+
+      if (req.user.status === "disabled") {
+        return rejectToken(req, res, "Not authorized, account is disabled");
       }
 
+      // Reject tokens issued before the last password change
+      if ((decoded.tv || 0) !== req.user.tokenVersion) {
+        return rejectToken(
+          req,
+          res,
+          "Not authorized, password was changed. Please log in again"
+        );
+      }
+
+      // Reject access tokens whose session has been logged out or revoked
+      if (decoded.sid) {
+        if (!(await Session.isActive(decoded.sid))) {
+          return rejectToken(
+            req,
+            res,
+            "Not authorized, session has been revoked"
+          );
+        }
+
+        await Session.touch(decoded.sid, req.ip);
+      }
+
+      req.sessionId = decoded.sid;
+
       next();
     } catch (error) {
       console.error("Token verification error:", error);
-      return res.status(401).json({
-        status: "error",
-        message: "Not authorized, token failed",
+      return rejectToken(req, res, "Not authorized, token failed", {
+        error: error.name,
       });
     }
   }
@@ -45,22 +140,128 @@ export const protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-export const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+// Opt a router into API key authentication (mount before protect)
+export const acceptApiKeys = (req, res, next) => {
+  req.acceptsApiKeys = true;
+  next();
+};
+
+// Require scopes when the request was authenticated with an API key;
+// session (JWT) requests are governed by roles instead
+export const requireScope = (...scopes) => {
+  return async (req, res, next) => {
+    if (!req.apiKey) return next();
+
+    const missing = scopes.filter(
+      (scope) => !req.apiKey.scopes.includes(scope)
+    );
+    if (missing.length > 0) {
+      const message = `API key is not authorized to access this route, missing scope(s): ${missing.join(", ")}`;
+      await recordAuditEvent(req, {
+        event: "authorization.denied",
+        outcome: "denied",
+        user: req.user,
+        reason: message,
+        metadata: { apiKey: req.apiKey._id, missingScopes: missing },
+      });
+
       return res.status(403).json({
         status: "error",
-        message: `User role ${req.user.role} is not authorized to access this route`,
+        message,
       });
     }
     next();
   };
 };
 
-// Generate JWT token
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "24h",
+// Load the current user's role permissions once per request (already set
+// from the org role when requireOrganization has run)
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await Role.permissionsFor(req.user.role);
+  }
+  return req.permissions;
+};
+
+// Grant access when the user's role has at least one of the permissions
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const granted = await loadPermissions(req);
+
+      if (!permissions.some((permission) => granted.includes(permission))) {
+        const role = req.membership ? req.membership.role : req.user.role;
+        await recordAuditEvent(req, {
+          event: "authorization.denied",
+          outcome: "denied",
+          user: req.user,
+          reason: "Missing permission",
+          metadata: {
+            role,
+            required: permissions,
+            ...(req.organization && { organization: req.organization._id }),
+          },
+        });
+
+        return res.status(403).json({
+          status: "error",
+          message: `User role ${role} is not authorized to access this route`,
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Check a permission inside a handler (after requirePermission has run)
+export const hasPermission = (req, permission) =>
+  Boolean(req.permissions && req.permissions.includes(permission));
+
+// Check an ".any"/".own" permission pair against a record's owner
+export const canActOn = (req, action, ownerId) =>
+  hasPermission(req, `${action}.any`) ||
+  (hasPermission(req, `${action}.own`) &&
+    Boolean(ownerId) &&
+    ownerId.toString() === req.user.id);
+
+// Block users who have not verified their email (use after protect)
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      status: "error",
+      message: "Please verify your email address to perform this action",
+    });
+  }
+  next();
+};
+
+// Generate short-lived JWT access token bound to a session
+export const generateToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, sid: sessionId, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_EXPIRE || "15m",
+    }
+  );
+};
+
+// Start a session for the request and issue its access and refresh tokens
+export const generateAuthTokens = async (user, req) => {
+  const session = await Session.start(user._id, req);
+  const { rawToken } = await RefreshToken.issue(user._id, session.family);
+
+  return {
+    token: generateToken(user, session.family),
+    refreshToken: rawToken,
+  };
+};
+
+// Generate a short-lived token proving the password step of a 2FA login
+export const generateChallengeToken = (id) => {
+  return jwt.sign({ id, purpose: "2fa-challenge" }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || "5m",
   });
 };
@@ -0,0 +1,34 @@
+import Client from "../models/Client.js";
+
+// Load the client named by the :id route param into req.client, or respond
+// 404 (use after requireOrganization so the lookup is org-scoped)
+export const loadClient = async (req, res, next) => {
+  try {
+    req.client = await Client.findById(req.params.id);
+
+    if (!req.client) {
+      return res.status(404).json({
+        status: "error",
+        message: "Client not found",
+      });
+    }
+    next();
+  } catch (error) {
+    console.error("Load client error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching client",
+    });
+  }
+};
+
+// Refuse changes to an archived client (use after loadClient)
+export const requireActiveClient = (req, res, next) => {
+  if (req.client.archivedAt) {
+    return res.status(400).json({
+      status: "error",
+      message: "Archived clients cannot be changed. Restore it first",
+    });
+  }
+  next();
+};
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+import Membership from "../models/Membership.js";
+import Role from "../models/Role.js";
+import { runInOrganization } from "../utils/orgContext.js";
+import { recordAuditEvent } from "../utils/audit.js";
+
+// The only requests client portal members may make: reading their
+// organization and their client's projects. Everything else, including
+// every write, exports and budget statistics, is refused.
+const PORTAL_ROUTES = [
+  /^\/api\/organizations\/current$/,
+  /^\/api\/projects$/,
+  /^\/api\/projects\/(?!export$)[^/]+$/,
+  /^\/api\/projects\/client\/[^/]+$/,
+  /^\/api\/clients\/[^/]+\/projects$/,
+];
+
+const isPortalRoute = (req) => {
+  if (!["GET", "HEAD"].includes(req.method)) return false;
+
+  const path = req.originalUrl.split("?")[0].replace(/\/+$/, "");
+  return PORTAL_ROUTES.some((route) => route.test(path));
+};
+
+// Resolve the active organization (use after protect). The X-Organization-Id
+// header picks one; otherwise the user's default organization is used.
+// Permissions checked afterwards come from the user's role in that org, and
+// org-scoped models are confined to it for the rest of the request. Client
+// portal members are further confined to their client's records (see
+// models/plugins/portalScoped.js) and to PORTAL_ROUTES.
+export const requireOrganization = async (req, res, next) => {
+  try {
+    const organizationId =
+      req.get("x-organization-id") || req.user.defaultOrganization;
+
+    if (!organizationId) {
+      return res.status(400).json({
+        status: "error",
+        message:
+          "No active organization. Send the X-Organization-Id header or join an organization",
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid organization id",
+      });
+    }
+
+    const membership = await Membership.findOne({
+      user: req.user._id,
+      organization: organizationId,
+    }).populate("organization");
+
+    if (!membership || !membership.organization) {
+      await recordAuditEvent(req, {
+        event: "authorization.denied",
+        outcome: "denied",
+        user: req.user,
+        reason: "Not a member of the organization",
+        metadata: { organization: organizationId },
+      });
+
+      return res.status(403).json({
+        status: "error",
+        message: "You are not a member of this organization",
+      });
+    }
+
+    if (membership.client && !isPortalRoute(req)) {
+      await recordAuditEvent(req, {
+        event: "authorization.denied",
+        outcome: "denied",
+        user: req.user,
+        reason: "Client portal route",
+        metadata: {
+          organization: membership.organization._id,
+          client: membership.client,
+        },
+      });
+
+      return res.status(403).json({
+        status: "error",
+        message: "Client portal users can only view their own projects",
+      });
+    }
+
+    req.organization = membership.organization;
+    req.membership = membership;
+    req.permissions = await Role.permissionsFor(membership.role);
+
+    runInOrganization(
+      membership.organization._id,
+      next,
+      membership.client || undefined
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import { generateRandomToken, hashToken } from "../utils/tokens.js";
+
+// Scopes an API key can be granted
+export const API_KEY_SCOPES = [
+  "clients:read",
+  "clients:write",
+  "projects:read",
+  "projects:write",
+];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "API key must belong to a user"],
+    },
+    name: {
+      type: String,
+      required: [true, "Please add a name"],
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    // Leading characters of the key, shown so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the full key; the key itself is only shown once
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "Please add at least one scope",
+      },
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for whether the key can currently be used
+apiKeySchema.virtual("active").get(function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+// Create a key and return it together with the raw value to show the user
+apiKeySchema.statics.issue = async function ({
+  user,
+  name,
+  scopes,
+  expiresAt,
+}) {
+  const rawKey = `wc_${generateRandomToken(24)}`;
+
+  const apiKey = await this.create({
+    user,
+    name,
+    scopes,
+    expiresAt: expiresAt || null,
+    prefix: rawKey.slice(0, 11),
+    keyHash: hashToken(rawKey),
+  });
+
+  return { rawKey, apiKey };
+};
+
+// Find a usable key by its raw value
+apiKeySchema.statics.findActiveByKey = function (rawKey) {
+  return this.findOne({
+    keyHash: hashToken(rawKey),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+// Revoke every active key a user holds
+apiKeySchema.statics.revokeAllForUser = function (userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+export default mongoose.model("ApiKey", apiKeySchema);
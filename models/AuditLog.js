@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+// Security events the audit log records, plus irreversible data changes
+export const AUDIT_EVENTS = [
+  "auth.signup",
+  "auth.login",
+  "auth.two-factor",
+  "auth.sso",
+  "auth.token-rejected",
+  "authorization.denied",
+  "role.changed",
+  "client.purged",
+  "client.merged",
+];
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      enum: AUDIT_EVENTS,
+      required: true,
+    },
+    outcome: {
+      type: String,
+      enum: ["success", "failure", "denied"],
+      required: true,
+    },
+    // The account the event is about (the one logging in, or the one denied)
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Email as submitted, so failures for unknown accounts are still traceable
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    // Who performed the change, for administrative events
+    actor: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    ip: String,
+    userAgent: String,
+    method: String,
+    path: String,
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+// Indexes for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ event: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+auditLogSchema.index({ ip: 1, createdAt: -1 });
+
+// Entries are append-only: refuse any update or delete through the model
+const refuseChange = function () {
+  throw new Error("Audit log entries cannot be modified or deleted");
+};
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  refuseChange
+);
+
+auditLogSchema.pre("deleteOne", { document: true, query: false }, refuseChange);
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) refuseChange();
+});
+
+export default mongoose.model("AuditLog", auditLogSchema);
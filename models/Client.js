@@ -1,4 +1,108 @@
 import mongoose from "mongoose";
+import orgScoped from "./plugins/orgScoped.js";
+import portalScoped from "./plugins/portalScoped.js";
+import { COUNTRY_CODES, CURRENCY_CODES } from "../utils/billing.js";
+
+// Roles a contact person can have at a client
+export const CONTACT_ROLES = [
+  "billing",
+  "technical",
+  "executive-sponsor",
+  "other",
+];
+
+// A contact person at the client, embedded so client search can match them
+const contactSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please add a contact name"],
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+        "Please add a valid email",
+      ],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: [20, "Phone number cannot be more than 20 characters"],
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Title cannot be more than 100 characters"],
+    },
+    role: {
+      type: String,
+      enum: CONTACT_ROLES,
+      default: "other",
+    },
+    // At most one contact per client is primary
+    isPrimary: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Structured billing details; the tax ID is checked against the country's
+// format in validation/client.js
+const billingSchema = new mongoose.Schema(
+  {
+    street: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Street cannot be more than 200 characters"],
+    },
+    city: {
+      type: String,
+      trim: true,
+      maxlength: [100, "City cannot be more than 100 characters"],
+    },
+    region: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Region cannot be more than 100 characters"],
+    },
+    postalCode: {
+      type: String,
+      trim: true,
+      maxlength: [20, "Postal code cannot be more than 20 characters"],
+    },
+    country: {
+      type: String,
+      uppercase: true,
+      enum: COUNTRY_CODES,
+    },
+    taxId: {
+      type: String,
+      trim: true,
+      maxlength: [30, "Tax ID cannot be more than 30 characters"],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      enum: CURRENCY_CODES,
+    },
+    // Net payment terms, e.g. 30 for "net 30"
+    paymentTermsDays: {
+      type: Number,
+      min: 0,
+      max: 365,
+    },
+  },
+  { _id: false }
+);
 
 const clientSchema = new mongoose.Schema(
   {
@@ -34,11 +138,68 @@ const clientSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, "Address cannot be more than 200 characters"],
     },
+    // Pipeline stage key; allowed stages and moves between them come from
+    // the organization's pipeline (see models/Pipeline.js)
     status: {
       type: String,
-      enum: ["active", "inactive"],
+      trim: true,
+      lowercase: true,
       default: "active",
     },
+    // When the client entered its current stage, set by saveWithStage.
+    // Clients created before pipelines existed have none and count from
+    // createdAt instead.
+    stageEnteredAt: {
+      type: Date,
+    },
+    // Free-form segmentation labels, e.g. industry, region or tier
+    tags: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          lowercase: true,
+          maxlength: [50, "Tags cannot be more than 50 characters"],
+        },
+      ],
+      validate: {
+        validator: (tags) => tags.length <= 20,
+        message: "A client cannot have more than 20 tags",
+      },
+    },
+    billing: {
+      type: billingSchema,
+      default: null,
+    },
+    // Values for the organization's custom field definitions, keyed by
+    // field key (validated against the definitions in validation/client.js)
+    customFields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({}),
+    },
+    // Archived clients are hidden from listings until restored or purged
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    archivedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set when the client was archived by merging it into another client
+    mergedInto: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Client",
+      default: null,
+    },
+    contacts: {
+      type: [contactSchema],
+      validate: {
+        validator: (contacts) => contacts.length <= 50,
+        message: "A client cannot have more than 50 contacts",
+      },
+    },
   },
   {
     timestamps: true,
@@ -47,11 +208,57 @@ const clientSchema = new mongoose.Schema(
   }
 );
 
+// Clients belong to an organization and are only visible inside it;
+// client portal users only see their own client
+clientSchema.plugin(orgScoped);
+clientSchema.plugin(portalScoped, { field: "_id" });
+
 // Indexes for better query performance
 clientSchema.index({ name: 1 });
-clientSchema.index({ email: 1 });
+clientSchema.index({ organization: 1, email: 1 }, { unique: true });
 clientSchema.index({ company: 1 });
 clientSchema.index({ status: 1 });
+clientSchema.index({ "contacts.email": 1 });
+clientSchema.index({ organization: 1, archivedAt: 1 });
+clientSchema.index({ organization: 1, tags: 1 });
+
+// Weighted text index for search. Names and emails are matched as written,
+// so no language stemming.
+clientSchema.index(
+  {
+    name: "text",
+    company: "text",
+    email: "text",
+    "contacts.name": "text",
+    "contacts.email": "text",
+    tags: "text",
+    address: "text",
+  },
+  {
+    name: "client_search",
+    default_language: "none",
+    weights: {
+      name: 10,
+      company: 10,
+      email: 6,
+      "contacts.name": 4,
+      "contacts.email": 4,
+      tags: 3,
+      address: 1,
+    },
+  }
+);
+
+// Searched fields in weight order, for prefix matching and highlighting
+export const CLIENT_SEARCH_FIELDS = [
+  "name",
+  "company",
+  "email",
+  "contacts.name",
+  "contacts.email",
+  "tags",
+  "address",
+];
 
 // Virtual populate for projects
 clientSchema.virtual("projects", {
@@ -69,14 +276,286 @@ clientSchema.virtual("projectCount", {
   count: true,
 });
 
-// Middleware to remove associated projects when client is deleted
-clientSchema.pre("remove", async function (next) {
+// Mark one contact as primary and clear the flag on the others
+clientSchema.methods.setPrimaryContact = function (contactId) {
+  this.contacts.forEach((contact) => {
+    contact.isPrimary = contact._id.equals(contactId);
+  });
+};
+
+// Merge custom field values into the existing ones; null clears a field
+clientSchema.methods.mergeCustomFields = function (values) {
+  const merged = { ...this.customFields, ...values };
+  Object.keys(merged).forEach((key) => {
+    if (merged[key] === null) delete merged[key];
+  });
+  this.customFields = merged;
+};
+
+// Save the client in `stage`, then record the move in its stage history.
+// New clients record the stage they start in with `from: null`. The two
+// writes aren't in a transaction so client CRUD works on a standalone
+// MongoDB server; if the history write fails, the client keeps its new
+// stage without an entry. Whether the move is allowed is checked by the caller against
+// the organization's pipeline. Returns the history entry, or null when the
+// stage didn't change.
+clientSchema.methods.saveWithStage = async function (
+  stage,
+  { actor, reason } = {}
+) {
+  const ClientStageChange = this.model("ClientStageChange");
+  const from = this.isNew ? null : this.status;
+
+  if (from === stage) {
+    await this.save();
+    return null;
+  }
+
+  const now = new Date();
+  const enteredAt = this.stageEnteredAt || this.createdAt;
+  const change = new ClientStageChange({
+    client: this._id,
+    from,
+    to: stage,
+    durationMs: from && enteredAt ? now - enteredAt : null,
+    actor: actor || null,
+    reason,
+  });
+
+  this.status = stage;
+  this.stageEnteredAt = now;
+
+  await this.save();
+  await change.save();
+  return change;
+};
+
+// How a purge handles the client's projects
+export const PURGE_STRATEGIES = ["block", "cascade", "reassign"];
+
+// Permanently delete the client in a transaction, together with its notes,
+// timeline and stage history. Projects and client portal members are handled
+// by the strategy: "block" refuses while any exist, "cascade" deletes the
+// projects and removes the members, and "reassign" moves both to `target`.
+// Returns a report of everything touched, or { blocked } with the number of
+// projects and portal members that prevented a "block" purge.
+clientSchema.methods.purge = async function ({ strategy, target }) {
+  const Project = this.model("Project");
+  const ClientNote = this.model("ClientNote");
+  const ClientActivity = this.model("ClientActivity");
+  const Membership = mongoose.model("Membership");
+
+  const session = await mongoose.startSession();
   try {
-    await this.model("Project").deleteMany({ clientId: this._id });
-    next();
-  } catch (error) {
-    next(error);
+    let report;
+
+    await session.withTransaction(async () => {
+      const projects = await Project.find({ clientId: this._id })
+        .select("_id")
+        .session(session);
+      const projectIds = projects.map((project) => project._id);
+      const portalMembers = await Membership.find({
+        organization: this.organization,
+        client: this._id,
+      })
+        .select("user")
+        .session(session);
+
+      if (
+        strategy === "block" &&
+        (projectIds.length > 0 || portalMembers.length > 0)
+      ) {
+        report = {
+          blocked: {
+            projects: projectIds.length,
+            portalMembers: portalMembers.length,
+          },
+        };
+        return;
+      }
+
+      report = {
+        client: this._id,
+        strategy,
+        projects: { deleted: [], reassigned: [], reassignedTo: null },
+        contactsDeleted: this.contacts.length,
+      };
+
+      if (strategy === "cascade") {
+        await Project.deleteMany({ clientId: this._id }, { session });
+        report.projects.deleted = projectIds;
+      } else if (strategy === "reassign") {
+        await Project.updateMany(
+          { clientId: this._id },
+          { clientId: target._id },
+          { session }
+        );
+        report.projects.reassigned = projectIds;
+        report.projects.reassignedTo = target._id;
+      }
+
+      const memberFilter = {
+        _id: { $in: portalMembers.map((member) => member._id) },
+      };
+      report.portalMembers = { removed: [], reassigned: [] };
+      if (strategy === "reassign") {
+        await Membership.updateMany(
+          memberFilter,
+          { client: target._id },
+          { session }
+        );
+        report.portalMembers.reassigned = portalMembers.map(
+          (member) => member.user
+        );
+      } else {
+        await Membership.deleteMany(memberFilter, { session });
+        report.portalMembers.removed = portalMembers.map(
+          (member) => member.user
+        );
+      }
+
+      const notes = await ClientNote.deleteMany(
+        { client: this._id },
+        { session }
+      );
+      const activity = await ClientActivity.deleteMany(
+        { client: this._id },
+        { session }
+      );
+      const stageChanges = await this.model("ClientStageChange").deleteMany(
+        { client: this._id },
+        { session }
+      );
+      report.notesDeleted = notes.deletedCount;
+      report.timelineEventsDeleted = activity.deletedCount;
+      report.stageChangesDeleted = stageChanges.deletedCount;
+
+      await this.constructor.deleteOne({ _id: this._id }, { session });
+    });
+
+    // Removed portal members may have had this organization as default
+    for (const userId of report.portalMembers?.removed || []) {
+      await Membership.resetDefaultOrganization(userId, this.organization);
+    }
+
+    return report;
+  } finally {
+    await session.endSession();
   }
-});
+};
+
+// Fields a merge can take from either client. The survivor always keeps its
+// email (the duplicate's is kept as a contact instead) and its pipeline
+// stage, which only changes through transitions.
+export const MERGE_FIELDS = ["name", "phone", "company", "address", "billing"];
+
+// Merge `duplicate` into this client in a transaction. For each of
+// MERGE_FIELDS, `keep` picks "survivor" (the default) or "duplicate"; empty
+// survivor fields are filled from the duplicate either way. Tags, custom
+// field values and contacts are combined, projects, notes and client portal
+// users move to this client, and the duplicate is archived with `mergedInto`
+// pointing here. Returns a report including the survivor's previous values.
+clientSchema.methods.mergeFrom = async function (duplicate, { keep, actor }) {
+  const Project = this.model("Project");
+  const ClientNote = this.model("ClientNote");
+
+  const report = {
+    survivor: this._id,
+    duplicate: duplicate._id,
+    fields: {},
+    previous: {},
+  };
+
+  MERGE_FIELDS.forEach((field) => {
+    const useDuplicate =
+      (keep[field] === "duplicate" || !this[field]) && duplicate[field];
+    report.fields[field] = useDuplicate ? "duplicate" : "survivor";
+
+    if (useDuplicate && this[field] !== duplicate[field]) {
+      report.previous[field] = this[field];
+      this[field] = duplicate[field];
+    }
+  });
+
+  const tags = [...new Set([...this.tags, ...duplicate.tags])].slice(0, 20);
+  report.tagsAdded = tags.length - this.tags.length;
+  this.tags = tags;
+
+  const customFields = { ...duplicate.customFields, ...this.customFields };
+  report.customFieldsAdded = Object.keys(customFields).filter(
+    (key) => !(key in (this.customFields || {}))
+  );
+  this.customFields = customFields;
+
+  // The duplicate's own email becomes a contact so it isn't lost
+  const incoming = [...duplicate.contacts.map((contact) => contact.toObject())];
+  if (duplicate.email !== this.email) {
+    incoming.unshift({
+      name: duplicate.name,
+      email: duplicate.email,
+      phone: duplicate.phone,
+    });
+  }
+
+  const known = new Set(
+    this.contacts.map((contact) => contact.email || contact.name)
+  );
+  report.contactsAdded = 0;
+  incoming.forEach(({ _id, isPrimary, ...contact }) => {
+    const key = contact.email || contact.name;
+    if (known.has(key) || this.contacts.length >= 50) return;
+    known.add(key);
+    this.contacts.push(contact);
+    report.contactsAdded += 1;
+  });
+  if (
+    this.contacts.length > 0 &&
+    !this.contacts.some((contact) => contact.isPrimary)
+  ) {
+    this.setPrimaryContact(this.contacts[0]._id);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const projects = await Project.find({ clientId: duplicate._id })
+        .select("_id")
+        .session(session);
+      await Project.updateMany(
+        { clientId: duplicate._id },
+        { clientId: this._id },
+        { session }
+      );
+      report.projectsMoved = projects.map((project) => project._id);
+
+      const notes = await ClientNote.updateMany(
+        { client: duplicate._id },
+        { client: this._id },
+        { session }
+      );
+      report.notesMoved = notes.modifiedCount;
+
+      // Client portal users of the duplicate follow its projects
+      await mongoose
+        .model("Membership")
+        .updateMany(
+          { organization: this.organization, client: duplicate._id },
+          { client: this._id },
+          { session }
+        );
+
+      await this.save({ session });
+
+      duplicate.archivedAt = new Date();
+      duplicate.archivedBy = actor;
+      duplicate.mergedInto = this._id;
+      await duplicate.save({ session });
+    });
+
+    return report;
+  } finally {
+    await session.endSession();
+  }
+};
 
 export default mongoose.model("Client", clientSchema);
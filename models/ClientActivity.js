@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import orgScoped from "./plugins/orgScoped.js";
+import portalScoped from "./plugins/portalScoped.js";
+
+// System events shown on a client's timeline
+export const CLIENT_ACTIVITY_EVENTS = [
+  "client.created",
+  "client.status-changed",
+  "client.archived",
+  "client.restored",
+  "client.merged",
+  "client.merged-into",
+  "project.created",
+  "project.completed",
+];
+
+const clientActivitySchema = new mongoose.Schema(
+  {
+    client: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    event: {
+      type: String,
+      enum: CLIENT_ACTIVITY_EVENTS,
+      required: true,
+    },
+    // The user whose action caused the event
+    actor: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    project: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Project",
+      default: null,
+    },
+    // Event details, e.g. { from, to } for status changes
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+// Activity belongs to an organization and is only visible inside it
+clientActivitySchema.plugin(orgScoped);
+clientActivitySchema.plugin(portalScoped, { field: "client" });
+
+clientActivitySchema.index({ client: 1, createdAt: -1 });
+
+// Record a timeline event. Never throws: the action that caused it has
+// already succeeded and must not fail because of the timeline.
+clientActivitySchema.statics.record = async function (
+  clientId,
+  event,
+  { actor, project, metadata } = {}
+) {
+  try {
+    await this.create({
+      client: clientId,
+      event,
+      actor: actor || null,
+      project: project || null,
+      metadata,
+    });
+  } catch (error) {
+    console.error("Client activity error:", error);
+  }
+};
+
+export default mongoose.model("ClientActivity", clientActivitySchema);
@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import orgScoped from "./plugins/orgScoped.js";
+import portalScoped from "./plugins/portalScoped.js";
+
+// Kinds of interaction a note can record
+export const NOTE_TYPES = ["call", "meeting", "email"];
+
+// A previous version of a note, kept whenever it is edited
+const revisionSchema = new mongoose.Schema(
+  {
+    body: String,
+    type: String,
+    editedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const clientNoteSchema = new mongoose.Schema(
+  {
+    client: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Client",
+      required: [true, "Please specify a client"],
+    },
+    author: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Please specify who wrote this note"],
+    },
+    body: {
+      type: String,
+      required: [true, "Please add the note text"],
+      trim: true,
+      maxlength: [5000, "Note cannot be more than 5000 characters"],
+    },
+    type: {
+      type: String,
+      enum: NOTE_TYPES,
+      required: [true, "Please specify the note type"],
+    },
+    pinned: {
+      type: Boolean,
+      default: false,
+    },
+    // Earlier versions, oldest first
+    history: {
+      type: [revisionSchema],
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Notes belong to an organization and are only visible inside it
+clientNoteSchema.plugin(orgScoped);
+clientNoteSchema.plugin(portalScoped, { field: "client" });
+
+// Indexes for better query performance
+clientNoteSchema.index({ client: 1, createdAt: -1 });
+clientNoteSchema.index({ client: 1, pinned: -1, createdAt: -1 });
+
+// Apply an edit, keeping the current text and type in the history
+clientNoteSchema.methods.edit = function ({ body, type }, editorId) {
+  const changed =
+    (body !== undefined && body !== this.body) ||
+    (type !== undefined && type !== this.type);
+
+  if (changed) {
+    this.history.push({ body: this.body, type: this.type, editedBy: editorId });
+    if (body !== undefined) this.body = body;
+    if (type !== undefined) this.type = type;
+  }
+
+  return changed;
+};
+
+export default mongoose.model("ClientNote", clientNoteSchema);
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import orgScoped from "./plugins/orgScoped.js";
+import portalScoped from "./plugins/portalScoped.js";
+
+// One move of a client between pipeline stages. A client's first entry has
+// `from: null` and marks the stage it started in.
+const clientStageChangeSchema = new mongoose.Schema(
+  {
+    client: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    from: {
+      type: String,
+      default: null,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    // How long the client spent in `from`, in milliseconds
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    actor: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot be more than 500 characters"],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+// Stage history belongs to an organization and is only visible inside it
+clientStageChangeSchema.plugin(orgScoped);
+clientStageChangeSchema.plugin(portalScoped, { field: "client" });
+
+clientStageChangeSchema.index({ client: 1, createdAt: -1 });
+clientStageChangeSchema.index({ organization: 1, createdAt: -1 });
+
+export default mongoose.model("ClientStageChange", clientStageChangeSchema);
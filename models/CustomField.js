@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import orgScoped from "./plugins/orgScoped.js";
+
+// Value types a custom field can hold
+export const CUSTOM_FIELD_TYPES = ["text", "number", "date", "enum"];
+
+// Field keys are used in query strings and as document paths
+export const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// An admin-defined field that clients of the organization can carry
+const customFieldSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Please add a field key"],
+      trim: true,
+      immutable: true,
+      match: [
+        CUSTOM_FIELD_KEY_PATTERN,
+        "Key must start with a letter and contain only lowercase letters, numbers and underscores",
+      ],
+      maxlength: [40, "Key cannot be more than 40 characters"],
+    },
+    label: {
+      type: String,
+      required: [true, "Please add a field label"],
+      trim: true,
+      maxlength: [100, "Label cannot be more than 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: CUSTOM_FIELD_TYPES,
+      required: [true, "Please specify the field type"],
+      immutable: true,
+    },
+    // Allowed values for enum fields
+    options: {
+      type: [String],
+      default: undefined,
+      validate: {
+        validator: function (options) {
+          return this.type !== "enum" || (options && options.length > 0);
+        },
+        message: "Enum fields need at least one option",
+      },
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Definitions belong to an organization and are only visible inside it
+customFieldSchema.plugin(orgScoped);
+
+customFieldSchema.index({ organization: 1, key: 1 }, { unique: true });
+
+export default mongoose.model("CustomField", customFieldSchema);
@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import { generateRandomToken, hashToken } from "../utils/tokens.js";
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Please add an email"],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+        "Please add a valid email",
+      ],
+    },
+    role: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: "user",
+    },
+    // Organization the new user joins on acceptance, and their role in it
+    organization: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    organizationRole: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: "user",
+    },
+    // SHA-256 of the emailed invite token
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    invitedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Please specify who sent this invitation"],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedUser: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+invitationSchema.index({ email: 1 });
+invitationSchema.index({ createdAt: -1 });
+
+// Virtual for the invitation's current state
+invitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+// Query filter matching invitations that can still be accepted
+invitationSchema.statics.pendingFilter = function () {
+  return {
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  };
+};
+
+// Create an invitation and return it together with the raw token to email
+invitationSchema.statics.issue = async function ({
+  email,
+  role,
+  organization,
+  organizationRole,
+  invitedBy,
+  expiresInDays,
+}) {
+  const rawToken = generateRandomToken();
+  const days =
+    expiresInDays || parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+
+  const invitation = await this.create({
+    email,
+    role,
+    organization,
+    organizationRole,
+    invitedBy,
+    tokenHash: hashToken(rawToken),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+
+  return { rawToken, invitation };
+};
+
+// Find a still-acceptable invitation by its raw token
+invitationSchema.statics.findPendingByToken = function (rawToken) {
+  return this.findOne({
+    tokenHash: hashToken(rawToken),
+    ...this.pendingFilter(),
+  });
+};
+
+export default mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+
+const membershipSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Membership must belong to a user"],
+    },
+    organization: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Organization",
+      required: [true, "Membership must belong to an organization"],
+    },
+    // Built-in or custom role name; grants permissions inside this org only
+    role: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: "user",
+    },
+    // The client a client portal user ("client" role) is confined to
+    client: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Client",
+      default: null,
+      validate: {
+        validator: function (client) {
+          return (this.role === "client") === Boolean(client);
+        },
+        message:
+          "Client portal members need a client, other members can't have one",
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A user holds one role per organization
+membershipSchema.index({ user: 1, organization: 1 }, { unique: true });
+membershipSchema.index({ organization: 1, role: 1 });
+
+// Add a user to an organization, making it their default if they have none.
+// `client` links client portal members to their client.
+membershipSchema.statics.join = async function (
+  user,
+  organizationId,
+  role,
+  client = null
+) {
+  const membership = await this.create({
+    user: user._id,
+    organization: organizationId,
+    role,
+    client,
+  });
+
+  if (!user.defaultOrganization) {
+    await mongoose
+      .model("User")
+      .updateOne({ _id: user._id }, { defaultOrganization: organizationId });
+  }
+
+  return membership;
+};
+
+// Remove a membership, moving the user's default to another org if needed
+membershipSchema.statics.leave = async function (membership) {
+  await this.deleteOne({ _id: membership._id });
+  await this.resetDefaultOrganization(membership.user, membership.organization);
+};
+
+// Move a user's default organization away from one they no longer belong to
+membershipSchema.statics.resetDefaultOrganization = async function (
+  userId,
+  organizationId
+) {
+  const User = mongoose.model("User");
+  const user = await User.findById(userId);
+  if (
+    user &&
+    user.defaultOrganization &&
+    user.defaultOrganization.equals(organizationId)
+  ) {
+    const next = await this.findOne({ user: user._id }).sort({ createdAt: 1 });
+    await User.updateOne(
+      { _id: user._id },
+      { defaultOrganization: next ? next.organization : null }
+    );
+  }
+};
+
+export default mongoose.model("Membership", membershipSchema);
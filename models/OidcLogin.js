@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import { generateRandomToken, hashToken } from "../utils/tokens.js";
+import { generatePkcePair } from "../utils/oidc.js";
+
+// Pending SSO login: ties the provider callback back to the request that
+// started it and holds the PKCE verifier and nonce until then
+const oidcLoginSchema = new mongoose.Schema(
+  {
+    // SHA-256 of the state parameter sent to the provider
+    stateHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB drop abandoned logins
+oidcLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Start a login and return the values to send to the provider
+oidcLoginSchema.statics.start = async function () {
+  const state = generateRandomToken();
+  const nonce = generateRandomToken(16);
+  const { codeVerifier, codeChallenge } = generatePkcePair();
+  const minutes = parseInt(process.env.OIDC_LOGIN_EXPIRE_MINUTES) || 10;
+
+  await this.create({
+    stateHash: hashToken(state),
+    codeVerifier,
+    nonce,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+  });
+
+  return { state, nonce, codeChallenge };
+};
+
+// Atomically take a pending login by its state so it can only be used once
+oidcLoginSchema.statics.consume = function (state) {
+  return this.findOneAndDelete({
+    stateHash: hashToken(state),
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+export default mongoose.model("OidcLogin", oidcLoginSchema);
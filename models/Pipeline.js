@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import orgScoped from "./plugins/orgScoped.js";
+
+// Stage keys are stored as the client's status and used in query strings
+export const STAGE_KEY_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// The pipeline organizations start with until they configure their own
+export const DEFAULT_PIPELINE = {
+  stages: [
+    { key: "lead", label: "Lead", acceptsProjects: true },
+    { key: "prospect", label: "Prospect", acceptsProjects: true },
+    { key: "active", label: "Active", acceptsProjects: true },
+    { key: "churned", label: "Churned", acceptsProjects: false },
+  ],
+  transitions: [
+    { from: "lead", to: "prospect" },
+    { from: "lead", to: "churned" },
+    { from: "prospect", to: "active" },
+    { from: "prospect", to: "lead" },
+    { from: "prospect", to: "churned" },
+    { from: "active", to: "churned" },
+    { from: "churned", to: "prospect" },
+    { from: "churned", to: "active" },
+  ],
+  defaultStage: "active",
+};
+
+const stageSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Please add a stage key"],
+      trim: true,
+      match: [STAGE_KEY_PATTERN, "Please add a valid stage key"],
+      maxlength: [30, "Stage key cannot be more than 30 characters"],
+    },
+    label: {
+      type: String,
+      required: [true, "Please add a stage label"],
+      trim: true,
+      maxlength: [50, "Stage label cannot be more than 50 characters"],
+    },
+    // Whether clients in this stage can be given new projects
+    acceptsProjects: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+const transitionSchema = new mongoose.Schema(
+  {
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// The stages a client moves through and which moves are allowed. Stages are
+// listed in funnel order.
+const pipelineSchema = new mongoose.Schema(
+  {
+    stages: {
+      type: [stageSchema],
+      validate: {
+        validator: (stages) => stages.length >= 2 && stages.length <= 20,
+        message: "A pipeline needs between 2 and 20 stages",
+      },
+    },
+    transitions: [transitionSchema],
+    // Stage given to new clients that don't specify one
+    defaultStage: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Pipelines belong to an organization; each has at most one, saved by
+// upsert in routes/pipeline.js
+pipelineSchema.plugin(orgScoped);
+
+// The organization's pipeline, or an unsaved copy of the default
+pipelineSchema.statics.forOrganization = async function (organizationId) {
+  const pipeline = await this.findOne({ organization: organizationId });
+  return pipeline || new this({ ...DEFAULT_PIPELINE });
+};
+
+pipelineSchema.methods.stage = function (key) {
+  return this.stages.find((stage) => stage.key === key) || null;
+};
+
+pipelineSchema.methods.canTransition = function (from, to) {
+  return this.transitions.some(
+    (transition) => transition.from === from && transition.to === to
+  );
+};
+
+// Why a client can't move from `from` to `to` (from is null for new
+// clients, which may start in any stage), or null when the move is allowed
+pipelineSchema.methods.checkMove = function (from, to) {
+  if (!this.stage(to)) {
+    const keys = this.stages.map((stage) => stage.key).join(", ");
+    return `Status must be one of the pipeline stages: ${keys}`;
+  }
+  if (from !== null && from !== to && !this.canTransition(from, to)) {
+    return `Clients cannot move from "${from}" to "${to}"`;
+  }
+  return null;
+};
+
+// Clients in unknown stages (e.g. removed ones) don't get new projects
+pipelineSchema.methods.acceptsProjects = function (key) {
+  return Boolean(this.stage(key)?.acceptsProjects);
+};
+
+export default mongoose.model("Pipeline", pipelineSchema);
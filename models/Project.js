@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import orgScoped from "./plugins/orgScoped.js";
+import portalScoped from "./plugins/portalScoped.js";
 
 const projectSchema = new mongoose.Schema(
   {
@@ -56,6 +58,50 @@ const projectSchema = new mongoose.Schema(
   }
 );
 
+// Fields client portal users see. Budgets are internal, and of the people
+// involved only names are shown.
+const PORTAL_FIELDS = [
+  "_id",
+  "id",
+  "title",
+  "description",
+  "status",
+  "startDate",
+  "endDate",
+  "durationDays",
+  "progressPercentage",
+  "createdAt",
+  "updatedAt",
+];
+
+const portalView = (project) => {
+  const view = Object.fromEntries(
+    PORTAL_FIELDS.filter((field) => field in project).map((field) => [
+      field,
+      project[field],
+    ])
+  );
+
+  const { clientId, createdBy } = project;
+  view.clientId = clientId?.name
+    ? { _id: clientId._id, name: clientId.name, company: clientId.company }
+    : clientId;
+  if (createdBy?.name) {
+    view.createdBy = { _id: createdBy._id, name: createdBy.name };
+  }
+
+  return view;
+};
+
+// Projects belong to an organization and are only visible inside it;
+// client portal users only see their own client's projects
+projectSchema.plugin(orgScoped);
+projectSchema.plugin(portalScoped, {
+  field: "clientId",
+  view: portalView,
+  hidden: ["budget"],
+});
+
 // Indexes for better query performance
 projectSchema.index({ title: 1 });
 projectSchema.index({ clientId: 1 });
@@ -69,6 +115,16 @@ projectSchema.index({ createdAt: -1 });
 projectSchema.index({ clientId: 1, status: 1 });
 projectSchema.index({ status: 1, startDate: 1 });
 
+// Weighted text index for search, with English stemming so "designing"
+// finds "design"
+projectSchema.index(
+  { title: "text", description: "text" },
+  { name: "project_search", weights: { title: 10, description: 2 } }
+);
+
+// Searched fields in weight order, for prefix matching and highlighting
+export const PROJECT_SEARCH_FIELDS = ["title", "description"];
+
 // Virtual to populate client details
 projectSchema.virtual("client", {
   ref: "Client",
@@ -110,13 +166,20 @@ projectSchema.virtual("progressPercentage").get(function () {
 projectSchema.pre("save", async function (next) {
   if (this.isModified("clientId")) {
     const Client = mongoose.model("Client");
-    const client = await Client.findById(this.clientId);
+    // The client must belong to the same organization as the project
+    const client = await Client.findOne({
+      _id: this.clientId,
+      organization: this.organization,
+    });
 
     if (!client) {
       return next(new Error("Client not found"));
     }
 
-    if (client.status === "inactive") {
+    // Clients whose pipeline stage doesn't accept projects are inactive
+    const Pipeline = mongoose.model("Pipeline");
+    const pipeline = await Pipeline.forOrganization(this.organization);
+    if (!pipeline.acceptsProjects(client.status)) {
       return next(new Error("Cannot create project for inactive client"));
     }
   }
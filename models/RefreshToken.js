@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { generateRandomToken, hashToken } from "../utils/tokens.js";
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Refresh token must belong to a user"],
+    },
+    // SHA-256 of the raw token; the raw value is only ever sent to the client
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Every token issued by rotating from the same login shares a family
+    // (the id of the Session it belongs to)
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "rotated",
+        "logout",
+        "reuse-detected",
+        "password-reset",
+        "password-change",
+        null,
+      ],
+      default: null,
+    },
+    replacedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "RefreshToken",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ user: 1 });
+
+// Let MongoDB drop tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for storage and lookup
+refreshTokenSchema.statics.hashToken = function (rawToken) {
+  return hashToken(rawToken);
+};
+
+// Issue a new refresh token, starting a new family unless one is given
+refreshTokenSchema.statics.issue = async function (
+  userId,
+  family = crypto.randomUUID()
+) {
+  const rawToken = generateRandomToken(40);
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+
+  const refreshToken = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(rawToken),
+    family,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+
+  return { rawToken, refreshToken };
+};
+
+// Revoke every live token in a family (logout or reuse detection)
+refreshTokenSchema.statics.revokeFamily = function (family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every live token a user holds, across all families
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import { PERMISSIONS, BUILT_IN_ROLES } from "../config/permissions.js";
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please add a role name"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      maxlength: [50, "Role name cannot be more than 50 characters"],
+      validate: {
+        validator: (name) => !Object.keys(BUILT_IN_ROLES).includes(name),
+        message: "Role name is reserved for a built-in role",
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot be more than 200 characters"],
+    },
+    permissions: {
+      type: [{ type: String, enum: PERMISSIONS }],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Resolve the permissions granted by a role name (built-in or custom)
+roleSchema.statics.permissionsFor = async function (name) {
+  if (BUILT_IN_ROLES[name]) {
+    return BUILT_IN_ROLES[name].permissions;
+  }
+
+  const role = await this.findOne({ name });
+  return role ? role.permissions : [];
+};
+
+// Whether a role name can be assigned to a user
+roleSchema.statics.isAssignable = async function (name) {
+  if (BUILT_IN_ROLES[name]) return true;
+  return Boolean(await this.exists({ name }));
+};
+
+export default mongoose.model("Role", roleSchema);
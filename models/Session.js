@@ -0,0 +1,150 @@
+import mongoose from "mongoose";
+import RefreshToken from "./RefreshToken.js";
+
+// Only bump lastSeenAt once a minute to keep protect cheap
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Session must belong to a user"],
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Pushed forward each time the session's refresh token is rotated
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "reuse-detected",
+        "password-reset",
+        "password-change",
+        null,
+      ],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB drop sessions once their refresh tokens have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refresh tokens use the session id as their family
+sessionSchema.virtual("family").get(function () {
+  return this._id.toString();
+});
+
+// Query filter matching sessions that can still be used
+sessionSchema.statics.activeFilter = function () {
+  return {
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  };
+};
+
+// Record a new login session for the request
+sessionSchema.statics.start = function (userId, req) {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+  const userAgent = req && req.get("user-agent");
+
+  return this.create({
+    user: userId,
+    userAgent: userAgent ? userAgent.slice(0, 500) : null,
+    ip: req ? req.ip : null,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+};
+
+// Whether the session exists and has not been revoked or expired
+sessionSchema.statics.isActive = async function (sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  const session = await this.exists({
+    _id: sessionId,
+    ...this.activeFilter(),
+  });
+  return Boolean(session);
+};
+
+// Update last-seen details, at most once per LAST_SEEN_RESOLUTION_MS
+sessionSchema.statics.touch = function (sessionId, ip) {
+  return this.updateOne(
+    {
+      _id: sessionId,
+      lastSeenAt: { $lt: new Date(Date.now() - LAST_SEEN_RESOLUTION_MS) },
+    },
+    { lastSeenAt: new Date(), ip }
+  );
+};
+
+// Revoke one session and every refresh token issued for it
+sessionSchema.statics.revoke = async function (sessionId, reason) {
+  // Families issued before sessions were recorded have no session document
+  if (mongoose.Types.ObjectId.isValid(sessionId)) {
+    await this.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+  await RefreshToken.revokeFamily(sessionId.toString(), reason);
+};
+
+// Revoke all of a user's sessions, optionally keeping one (the current one)
+sessionSchema.statics.revokeAllForUser = async function (
+  userId,
+  reason,
+  { except } = {}
+) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  const sessions = await this.find(filter).select("_id");
+  const families = sessions.map((session) => session._id.toString());
+
+  await this.updateMany(
+    { _id: { $in: sessions.map((session) => session._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  if (except) {
+    await RefreshToken.updateMany(
+      { family: { $in: families }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  } else {
+    // Also catches tokens from before sessions were recorded
+    await RefreshToken.revokeAllForUser(userId, reason);
+  }
+};
+
+export default mongoose.model("Session", sessionSchema);
@@ -1,5 +1,7 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { generateRandomToken, hashToken } from "../utils/tokens.js";
+import { verifyCode } from "../utils/totp.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -25,11 +27,115 @@ const userSchema = new mongoose.Schema(
       minlength: [6, "Password must be at least 6 characters"],
       select: false, // Don't include password in queries by default
     },
+    // Built-in ("admin", "user") or custom role name; see config/permissions.js
     role: {
       type: String,
-      enum: ["admin", "user"],
+      lowercase: true,
+      trim: true,
       default: "user",
     },
+    // Organization used when a request doesn't pick one explicitly
+    defaultOrganization: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    // Disabled accounts cannot log in or use existing tokens
+    status: {
+      type: String,
+      enum: ["active", "disabled"],
+      default: "active",
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Base32 TOTP secret, set once enrollment is confirmed
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Secret awaiting confirmation during enrollment
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Last accepted time step, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Consecutive failed logins since the last success or lockout
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Number of lockouts since the last successful login (drives backoff)
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    lastLoginAt: Date,
+    lastLoginIp: String,
+    // The login before the last one, so users can spot unfamiliar access
+    previousLoginAt: Date,
+    previousLoginIp: String,
+    lastFailedLoginAt: Date,
+    lastFailedLoginIp: String,
+    // Set when an administrator resets the password: the current password
+    // stops working until a new one is chosen through the reset link
+    mustResetPassword: {
+      type: Boolean,
+      default: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+      select: false,
+    },
+    // Embedded in every JWT; bumping it invalidates all outstanding tokens
+    tokenVersion: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Identity at the OpenID Connect provider, once linked through SSO
+    oidcIssuer: {
+      type: String,
+      default: undefined,
+    },
+    oidcSubject: {
+      type: String,
+      default: undefined,
+    },
   },
   {
     timestamps: true,
@@ -38,6 +144,19 @@ const userSchema = new mongoose.Schema(
 
 // Index for better query performance
 userSchema.index({ email: 1 });
+userSchema.index({ role: 1, status: 1 });
+userSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { oidcSubject: { $type: "string" } },
+  }
+);
+
+// Virtual for whether the account is currently locked out
+userSchema.virtual("isLocked").get(function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+});
 
 // Encrypt password using bcrypt before saving
 userSchema.pre("save", async function (next) {
@@ -48,6 +167,13 @@ userSchema.pre("save", async function (next) {
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Invalidate tokens issued before the password change
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+      this.tokenVersion = (this.tokenVersion || 0) + 1;
+      this.mustResetPassword = false;
+    }
     next();
   } catch (error) {
     next(error);
@@ -59,10 +185,138 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a single-use password reset token, storing only its hash
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = generateRandomToken();
+  const minutes = parseInt(process.env.RESET_TOKEN_EXPIRE_MINUTES) || 30;
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Generate an email verification token, storing only its hash
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = generateRandomToken();
+  const hours = parseInt(process.env.VERIFY_TOKEN_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Generate a fresh set of one-time recovery codes, storing only their hashes
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+// Check a TOTP or recovery code against the enrolled secret. Requires the
+// 2FA fields to have been selected; the caller must save on success.
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  const step = verifyCode(this.twoFactorSecret, code);
+  if (step !== null) {
+    if (
+      this.twoFactorLastUsedStep != null &&
+      step <= this.twoFactorLastUsedStep
+    ) {
+      return false;
+    }
+    this.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  // Fall back to a recovery code, consuming it
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(codeHash);
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Record a failed login atomically; lock the account with exponential backoff
+// once MAX_FAILED_LOGINS consecutive failures have been reached
+userSchema.methods.registerFailedLogin = async function (ip) {
+  const User = this.constructor;
+  const maxAttempts = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+
+  const updated = await User.findByIdAndUpdate(
+    this._id,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      lastFailedLoginAt: new Date(),
+      lastFailedLoginIp: ip,
+    },
+    { new: true }
+  );
+
+  if (updated && updated.failedLoginAttempts >= maxAttempts) {
+    const baseMinutes = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 5;
+    const maxMinutes = parseInt(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60;
+    const minutes = Math.min(baseMinutes * 2 ** updated.lockCount, maxMinutes);
+
+    updated.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+    updated.failedLoginAttempts = 0;
+    updated.lockCount += 1;
+    await User.updateOne(
+      { _id: this._id },
+      {
+        lockUntil: updated.lockUntil,
+        failedLoginAttempts: 0,
+        $inc: { lockCount: 1 },
+      }
+    );
+  }
+
+  return updated;
+};
+
+// Record a successful login and clear the lockout state
+userSchema.methods.registerSuccessfulLogin = function (ip) {
+  const update = {
+    previousLoginAt: this.lastLoginAt,
+    previousLoginIp: this.lastLoginIp,
+    lastLoginAt: new Date(),
+    lastLoginIp: ip,
+    failedLoginAttempts: 0,
+    lockCount: 0,
+    lockUntil: null,
+  };
+
+  this.set(update);
+  return this.constructor.updateOne({ _id: this._id }, update);
+};
+
+// Clear a lockout (admin action)
+userSchema.methods.unlock = function () {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = null;
+  return this.save({ validateBeforeSave: false });
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordChangedAt;
+  delete userObject.tokenVersion;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorLastUsedStep;
+  delete userObject.twoFactorRecoveryCodes;
   return userObject;
 };
 
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+import { getActiveOrganizationId } from "../../utils/orgContext.js";
+
+// Every query operation that takes a filter, so none can run unconfined
+export const QUERY_HOOKS = [
+  "count",
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "findOneAndRemove",
+  "findOneAndReplace",
+  "replaceOne",
+  "updateOne",
+  "updateMany",
+  "deleteOne",
+  "deleteMany",
+];
+
+// Adds an `organization` field and confines every query, aggregate and new
+// document to the organization active for the request (see orgContext)
+const orgScoped = (schema) => {
+  schema.add({
+    organization: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Organization",
+      required: [true, "Please specify an organization"],
+      immutable: true,
+    },
+  });
+  schema.index({ organization: 1 });
+
+  schema.pre(QUERY_HOOKS, function () {
+    const organizationId = getActiveOrganizationId();
+    if (organizationId) {
+      this.where({ organization: organizationId });
+    }
+  });
+
+  // Counts collection metadata and can't be filtered; use countDocuments
+  schema.pre("estimatedDocumentCount", function () {
+    if (getActiveOrganizationId()) {
+      throw new Error(
+        "estimatedDocumentCount counts every organization; use countDocuments"
+      );
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const organizationId = getActiveOrganizationId();
+    if (organizationId) {
+      this.pipeline().unshift({
+        $match: { organization: new mongoose.Types.ObjectId(organizationId) },
+      });
+    }
+  });
+
+  schema.pre("validate", function () {
+    const organizationId = getActiveOrganizationId();
+    if (this.isNew && !this.organization && organizationId) {
+      this.organization = organizationId;
+    }
+  });
+};
+
+export default orgScoped;
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+import { getPortalClientId } from "../../utils/orgContext.js";
+import { QUERY_HOOKS } from "./orgScoped.js";
+
+// Confines every query and aggregate of a client portal request to the
+// portal user's own client, matched on `field`. `view`, when given, trims
+// documents serialized with toJSON during portal requests to the fields
+// portal users may see. Conditions and sorts on `hidden` fields are dropped
+// from portal queries, so the values can't be worked out from which
+// documents match or in what order. Apply after orgScoped.
+const portalScoped = (schema, { field, view, hidden = [] }) => {
+  schema.pre(QUERY_HOOKS, function () {
+    const clientId = getPortalClientId();
+    if (clientId) {
+      const filter = this.getFilter();
+      const { sort } = this.getOptions();
+      hidden.forEach((name) => {
+        delete filter[name];
+        if (sort) delete sort[name];
+      });
+
+      // $and so a query on the same field can't replace the restriction
+      this.and([{ [field]: clientId }]);
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const clientId = getPortalClientId();
+    if (clientId) {
+      this.pipeline().unshift({
+        $match: { [field]: new mongoose.Types.ObjectId(clientId) },
+      });
+    }
+  });
+
+  if (view) {
+    const toJSON = schema.get("toJSON") || {};
+    schema.set("toJSON", {
+      ...toJSON,
+      transform(doc, ret, options) {
+        const json = toJSON.transform
+          ? toJSON.transform(doc, ret, options)
+          : ret;
+        return getPortalClientId() ? view(json) : json;
+      },
+    });
+  }
+};
+
+export default portalScoped;
@@ -0,0 +1,99 @@
+import express from "express";
+import { protect } from "../middleware/auth.js";
+import { validateCreateApiKey } from "../validation/apiKey.js";
+import ApiKey from "../models/ApiKey.js";
+
+const router = express.Router();
+
+// Apply protection to all routes. Keys are managed with a login session
+// only, so a leaked key cannot be used to mint more keys.
+router.use(protect);
+
+// @desc    Get the current user's API keys
+// @route   GET /api/api-keys
+// @access  Private
+router.get("/", async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user.id }).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: { apiKeys },
+    });
+  } catch (error) {
+    console.error("Get API keys error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching API keys",
+    });
+  }
+});
+
+// @desc    Create an API key
+// @route   POST /api/api-keys
+// @access  Private
+router.post("/", validateCreateApiKey, async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const { rawKey, apiKey } = await ApiKey.issue({
+      user: req.user.id,
+      name,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+    });
+
+    res.status(201).json({
+      status: "success",
+      message:
+        "API key created successfully. Copy it now; it will not be shown again",
+      data: { apiKey, key: rawKey },
+    });
+  } catch (error) {
+    console.error("Create API key error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error creating API key",
+    });
+  }
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private
+router.delete("/:id", async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        status: "error",
+        message: "API key not found",
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "API key revoked successfully",
+      data: { apiKey },
+    });
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error revoking API key",
+    });
+  }
+});
+
+export default router;
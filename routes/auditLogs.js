@@ -0,0 +1,126 @@
+import express from "express";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { validateAuditLogQuery } from "../validation/auditLog.js";
+import AuditLog from "../models/AuditLog.js";
+import { streamExport } from "../utils/export.js";
+
+const router = express.Router();
+
+// Apply protection to all routes
+router.use(protect, requirePermission("audit.read"));
+
+// Columns in the CSV export
+const EXPORT_COLUMNS = [
+  { header: "time", value: (entry) => entry.createdAt },
+  { header: "event", value: (entry) => entry.event },
+  { header: "outcome", value: (entry) => entry.outcome },
+  { header: "user", value: (entry) => entry.user },
+  { header: "email", value: (entry) => entry.email },
+  { header: "actor", value: (entry) => entry.actor },
+  { header: "reason", value: (entry) => entry.reason },
+  { header: "ip", value: (entry) => entry.ip },
+  { header: "userAgent", value: (entry) => entry.userAgent },
+  { header: "method", value: (entry) => entry.method },
+  { header: "path", value: (entry) => entry.path },
+  { header: "metadata", value: (entry) => entry.metadata },
+];
+
+// Build the query shared by listing and export
+const buildQuery = ({ event, outcome, user, actor, email, ip, from, to }) => {
+  const query = {};
+
+  if (event) query.event = event;
+  if (outcome) query.outcome = outcome;
+  if (user) query.user = user;
+  if (actor) query.actor = actor;
+  if (email) query.email = email;
+  if (ip) query.ip = ip;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+// @desc    Get audit log entries
+// @route   GET /api/audit-logs
+// @access  Private (audit.read)
+router.get("/", validateAuditLogQuery, async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const query = buildQuery(req.query);
+
+    const skip = (page - 1) * limit;
+
+    const entries = await AuditLog.find(query)
+      .populate("user", "name email")
+      .populate("actor", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    const totalPages = Math.ceil(total / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalRecords: total,
+          hasNextPage,
+          hasPrevPage,
+          limit,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get audit logs error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching audit logs",
+    });
+  }
+});
+
+// @desc    Export audit log entries as CSV
+// @route   GET /api/audit-logs/export
+// @access  Private (audit.read)
+router.get("/export", validateAuditLogQuery, async (req, res) => {
+  try {
+    const cursor = AuditLog.find(buildQuery(req.query))
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    try {
+      await streamExport(res, {
+        format: "csv",
+        filename: "audit-log",
+        columns: EXPORT_COLUMNS,
+        docs: cursor,
+      });
+    } finally {
+      await cursor.close();
+    }
+  } catch (error) {
+    console.error("Export audit logs error:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      status: "error",
+      message: "Error exporting audit logs",
+    });
+  }
+});
+
+export default router;
@@ -1,11 +1,46 @@
 import express from "express";
 import rateLimit from "express-rate-limit";
-import { validateRegister, validateLogin } from "../validation/auth.js";
-import { generateToken, protect, authorize } from "../middleware/auth.js";
+import {
+  validateRegister,
+  validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateUpdateProfile,
+  validateChangePassword,
+} from "../validation/auth.js";
+import {
+  generateToken,
+  generateAuthTokens,
+  generateChallengeToken,
+  protect,
+} from "../middleware/auth.js";
 import User from "../models/User.js";
+import RefreshToken from "../models/RefreshToken.js";
+import Session from "../models/Session.js";
+import { sendEmail } from "../utils/mailer.js";
+import { sendPasswordResetEmail } from "../utils/emails.js";
+import { hashToken } from "../utils/tokens.js";
+import { recordAuditEvent } from "../utils/audit.js";
 
 const router = express.Router();
 
+// Email a verification link pointing back at this API
+const sendVerificationEmail = async (req, user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${req.protocol}://${req.get(
+    "host"
+  )}/api/auth/verify-email/${verificationToken}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+};
+
 // Rate limiting for auth endpoints
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -16,6 +51,8 @@ const authLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Tests log in many times from one IP (e.g. to trigger account lockouts)
+  skip: () => process.env.NODE_ENV === "test",
 });
 
 // @desc    Register user
@@ -23,7 +60,16 @@ const authLimiter = rateLimit({
 // @access  Public
 router.post("/signup", authLimiter, validateRegister, async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    // PUBLIC_SIGNUP: "open" (user accounts only) or "closed" (invite only)
+    if (process.env.PUBLIC_SIGNUP === "closed") {
+      return res.status(403).json({
+        status: "error",
+        message:
+          "Public signup is disabled. Ask an administrator for an invitation",
+      });
+    }
+
+    const { name, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -39,11 +85,24 @@ router.post("/signup", authLimiter, validateRegister, async (req, res) => {
       name,
       email,
       password,
-      role,
+      role: "user",
+    });
+
+    await recordAuditEvent(req, {
+      event: "auth.signup",
+      outcome: "success",
+      user,
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // The account works right away, but writes stay blocked until verified
+    try {
+      await sendVerificationEmail(req, user);
+    } catch (mailError) {
+      console.error("Verification email error:", mailError);
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await generateAuthTokens(user, req);
 
     res.status(201).json({
       status: "success",
@@ -54,9 +113,11 @@ router.post("/signup", authLimiter, validateRegister, async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          emailVerified: user.emailVerified,
           createdAt: user.createdAt,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -77,25 +138,121 @@ router.post("/login", authLimiter, validateLogin, async (req, res) => {
     const { email, password } = req.body;
 
     // Check for user and include password in query
-    const user = await User.findOne({ email }).select("+password");
+    const user = await User.findOne({ email }).select(
+      "+password +tokenVersion"
+    );
     if (!user) {
+      await recordAuditEvent(req, {
+        event: "auth.login",
+        outcome: "failure",
+        email,
+        reason: "Unknown email",
+      });
+
       return res.status(401).json({
         status: "error",
         message: "Invalid credentials",
       });
     }
 
+    // Refuse locked accounts before checking the password
+    if (user.isLocked) {
+      await recordAuditEvent(req, {
+        event: "auth.login",
+        outcome: "failure",
+        user,
+        reason: "Account locked",
+      });
+
+      return res.status(423).json({
+        status: "error",
+        message: `Account is temporarily locked due to repeated failed logins. Try again in ${Math.ceil(
+          (user.lockUntil - Date.now()) / 60000
+        )} minute(s)`,
+      });
+    }
+
     // Check if password matches
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
+      const updated = await user.registerFailedLogin(req.ip);
+      const locked = Boolean(updated && updated.isLocked);
+
+      await recordAuditEvent(req, {
+        event: "auth.login",
+        outcome: "failure",
+        user,
+        reason: locked
+          ? "Invalid password, account locked"
+          : "Invalid password",
+      });
+
+      if (locked) {
+        return res.status(423).json({
+          status: "error",
+          message:
+            "Account is temporarily locked due to repeated failed logins",
+        });
+      }
+
       return res.status(401).json({
         status: "error",
         message: "Invalid credentials",
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.status === "disabled") {
+      await recordAuditEvent(req, {
+        event: "auth.login",
+        outcome: "failure",
+        user,
+        reason: "Account disabled",
+      });
+
+      return res.status(403).json({
+        status: "error",
+        message: "Account is disabled. Contact an administrator",
+      });
+    }
+
+    // After an admin reset only the reset link can restore access
+    if (user.mustResetPassword) {
+      await recordAuditEvent(req, {
+        event: "auth.login",
+        outcome: "failure",
+        user,
+        reason: "Password reset required",
+      });
+
+      return res.status(403).json({
+        status: "error",
+        message:
+          "Your password was reset by an administrator. Use the link sent to your email to choose a new one",
+      });
+    }
+
+    // Second step required: hand back a challenge instead of tokens
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        status: "success",
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id),
+        },
+      });
+    }
+
+    await user.registerSuccessfulLogin(req.ip);
+
+    await recordAuditEvent(req, {
+      event: "auth.login",
+      outcome: "success",
+      user,
+    });
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await generateAuthTokens(user, req);
 
     res.status(200).json({
       status: "success",
@@ -106,9 +263,11 @@ router.post("/login", authLimiter, validateLogin, async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          emailVerified: user.emailVerified,
           createdAt: user.createdAt,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -121,10 +280,364 @@ router.post("/login", authLimiter, validateLogin, async (req, res) => {
   }
 });
 
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post("/refresh", validateRefreshToken, async (req, res) => {
+  try {
+    const tokenHash = RefreshToken.hashToken(req.body.refreshToken);
+
+    // Atomically consume the token so it can only be rotated once
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date(), revokedReason: "rotated" },
+      { new: true }
+    );
+
+    if (!stored) {
+      const previous = await RefreshToken.findOne({ tokenHash });
+
+      // A rotated token being presented again means it was stolen
+      if (previous && previous.revokedReason === "rotated") {
+        await Session.revoke(previous.family, "reuse-detected");
+      }
+
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    const user = await User.findById(stored.user).select("+tokenVersion");
+    if (!user || user.status === "disabled") {
+      await Session.revoke(stored.family, "logout");
+      return res.status(401).json({
+        status: "error",
+        message: "Not authorized, user not found or disabled",
+      });
+    }
+
+    // The session may have been signed out remotely
+    if (!(await Session.isActive(stored.family))) {
+      await Session.revoke(stored.family, "logout");
+      return res.status(401).json({
+        status: "error",
+        message: "Session has been revoked. Please log in again",
+      });
+    }
+
+    // Continue the same family so logout and reuse detection cover it
+    const { rawToken, refreshToken } = await RefreshToken.issue(
+      user._id,
+      stored.family
+    );
+
+    stored.replacedBy = refreshToken._id;
+    await stored.save();
+
+    // Keep the session alive as long as its newest refresh token
+    await Session.updateOne(
+      { _id: stored.family },
+      {
+        expiresAt: refreshToken.expiresAt,
+        lastSeenAt: new Date(),
+        ip: req.ip,
+      }
+    );
+
+    const token = generateToken(user, stored.family);
+
+    res.status(200).json({
+      status: "success",
+      message: "Token refreshed successfully",
+      data: {
+        token,
+        refreshToken: rawToken,
+      },
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error refreshing token",
+    });
+  }
+});
+
+// @desc    Logout and revoke the current session
+// @route   POST /api/auth/logout
+// @access  Public
+router.post("/logout", validateRefreshToken, async (req, res) => {
+  try {
+    const stored = await RefreshToken.findOne({
+      tokenHash: RefreshToken.hashToken(req.body.refreshToken),
+    });
+
+    if (stored) {
+      await Session.revoke(stored.family, "logout");
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error logging out",
+    });
+  }
+});
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post(
+  "/forgot-password",
+  authLimiter,
+  validateForgotPassword,
+  async (req, res) => {
+    // Same response whether or not the account exists, to avoid enumeration
+    const response = {
+      status: "success",
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    };
+
+    try {
+      const user = await User.findOne({ email: req.body.email });
+      if (!user) {
+        return res.status(200).json(response);
+      }
+
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (mailError) {
+        // Don't leave a usable token behind if it never reached the user
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+        throw mailError;
+      }
+
+      res.status(200).json(response);
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error sending password reset email",
+      });
+    }
+  }
+);
+
+// @desc    Reset password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post(
+  "/reset-password",
+  authLimiter,
+  validateResetPassword,
+  async (req, res) => {
+    try {
+      const user = await User.findOne({
+        passwordResetToken: hashToken(req.body.token),
+        passwordResetExpires: { $gt: new Date() },
+      }).select("+tokenVersion");
+
+      if (!user) {
+        return res.status(400).json({
+          status: "error",
+          message: "Reset token is invalid or has expired",
+        });
+      }
+
+      // Tokens are single-use
+      user.password = req.body.password;
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+
+      // Existing access tokens fail via tokenVersion; end the sessions too
+      await Session.revokeAllForUser(user._id, "password-reset");
+
+      res.status(200).json({
+        status: "success",
+        message: "Password reset successfully. Please log in again",
+      });
+    } catch (error) {
+      console.error("Reset password error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error resetting password",
+      });
+    }
+  }
+);
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+router.get("/verify-email/:token", async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        status: "error",
+        message: "Verification token is invalid or has expired",
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: "success",
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error verifying email",
+    });
+  }
+});
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post("/resend-verification", authLimiter, protect, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        status: "error",
+        message: "Email is already verified",
+      });
+    }
+
+    await sendVerificationEmail(req, req.user);
+
+    res.status(200).json({
+      status: "success",
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error sending verification email",
+    });
+  }
+});
+
+// Shape a session for the current user's session list
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId,
+});
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get("/sessions", protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      ...Session.activeFilter(),
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        sessions: sessions.map((session) =>
+          formatSession(session, req.sessionId)
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching sessions",
+    });
+  }
+});
+
+// @desc    Log out of every session except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete("/sessions", protect, async (req, res) => {
+  try {
+    await Session.revokeAllForUser(req.user._id, "logout", {
+      except: req.sessionId,
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Logged out of all other sessions",
+    });
+  } catch (error) {
+    console.error("Revoke other sessions error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error revoking sessions",
+    });
+  }
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete("/sessions/:id", protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      ...Session.activeFilter(),
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        status: "error",
+        message: "Session not found",
+      });
+    }
+
+    await Session.revoke(session._id, "logout");
+
+    res.status(200).json({
+      status: "success",
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error revoking session",
+    });
+  }
+});
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
-router.get("/me",protect, async (req, res) => {
+router.get("/me", protect, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
 
@@ -136,6 +649,20 @@ router.get("/me",protect, async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          emailVerified: user.emailVerified,
+          twoFactorEnabled: user.twoFactorEnabled,
+          lastLogin: {
+            at: user.lastLoginAt,
+            ip: user.lastLoginIp,
+          },
+          previousLogin: {
+            at: user.previousLoginAt,
+            ip: user.previousLoginIp,
+          },
+          lastFailedLogin: {
+            at: user.lastFailedLoginAt,
+            ip: user.lastFailedLoginIp,
+          },
           createdAt: user.createdAt,
           updatedAt: user.updatedAt,
         },
@@ -150,4 +677,118 @@ router.get("/me",protect, async (req, res) => {
   }
 });
 
+// @desc    Update current user's name or email
+// @route   PATCH /api/auth/me
+// @access  Private
+router.patch("/me", protect, validateUpdateProfile, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const { name } = req.body;
+    const email = req.body.email && req.body.email.trim().toLowerCase();
+
+    if (name) {
+      user.name = name.trim();
+    }
+
+    const emailChanged = Boolean(email) && email !== user.email;
+    if (emailChanged) {
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res.status(400).json({
+          status: "error",
+          message: "User already exists with this email",
+        });
+      }
+
+      // A new address has to be verified again
+      user.email = email;
+      user.emailVerified = false;
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(req, user);
+      } catch (mailError) {
+        console.error("Verification email error:", mailError);
+      }
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: emailChanged
+        ? "Profile updated. Please verify your new email address"
+        : "Profile updated successfully",
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
+          updatedAt: user.updatedAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Update profile error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error updating profile",
+    });
+  }
+});
+
+// @desc    Change password and sign out every other session
+// @route   POST /api/auth/change-password
+// @access  Private
+router.post(
+  "/change-password",
+  authLimiter,
+  protect,
+  validateChangePassword,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id).select(
+        "+password +tokenVersion"
+      );
+
+      const isMatch = await user.matchPassword(req.body.currentPassword);
+      if (!isMatch) {
+        return res.status(401).json({
+          status: "error",
+          message: "Current password is incorrect",
+        });
+      }
+
+      // Saving bumps tokenVersion, which invalidates every access token
+      user.password = req.body.newPassword;
+      await user.save();
+
+      await Session.revokeAllForUser(user._id, "password-change", {
+        except: req.sessionId,
+      });
+
+      // Re-issue an access token so the current session keeps working
+      const tokens = req.sessionId
+        ? { token: generateToken(user, req.sessionId) }
+        : await generateAuthTokens(user, req);
+
+      res.status(200).json({
+        status: "success",
+        message:
+          "Password changed successfully. Other sessions were signed out",
+        data: tokens,
+      });
+    } catch (error) {
+      console.error("Change password error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error changing password",
+      });
+    }
+  }
+);
+
 export default router;
@@ -1,167 +1,600 @@
 import express from "express";
-import { protect, authorize } from "../middleware/auth.js";
+import {
+  protect,
+  requirePermission,
+  hasPermission,
+  requireVerifiedEmail,
+  acceptApiKeys,
+  requireScope,
+} from "../middleware/auth.js";
+import { requireOrganization } from "../middleware/organization.js";
 import {
   validateCreateClient,
   validateUpdateClient,
   validateClientQuery,
+  validatePurgeClient,
+  validateDuplicatesQuery,
+  validateMergeClient,
+  validateImportClients,
+  validateClientExportQuery,
+  validateCreateClientCustomFields,
+  validateUpdateClientCustomFields,
+  validateClientCustomFieldQuery,
+  validateUpdateBilling,
+  checkBillingProfile,
 } from "../validation/client.js";
-import Client from "../models/Client.js";
+import { validateTimelineQuery } from "../validation/note.js";
+import { validateChangeStage } from "../validation/pipeline.js";
+import { loadClient, requireActiveClient } from "../middleware/client.js";
+import Client, { CLIENT_SEARCH_FIELDS } from "../models/Client.js";
 import Project from "../models/Project.js";
+import ClientNote from "../models/ClientNote.js";
+import ClientActivity from "../models/ClientActivity.js";
+import CustomField from "../models/CustomField.js";
+import Pipeline from "../models/Pipeline.js";
+import ClientStageChange from "../models/ClientStageChange.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import { prepareClientImport } from "../utils/clientImport.js";
+import { findDuplicateCandidates } from "../utils/clientDuplicates.js";
+import { selectColumns, streamExport } from "../utils/export.js";
+import {
+  buildSearchFilter,
+  TEXT_SCORE,
+  relevanceSort,
+  withHighlights,
+} from "../utils/search.js";
+import contactRoutes from "./contacts.js";
+import noteRoutes from "./notes.js";
 
 const router = express.Router();
 
-// Apply protection to all routes
-router.use(protect);
+// Apply protection to all routes (API keys are accepted here) and scope
+// them to the active organization
+router.use(acceptApiKeys, protect, requireOrganization);
+
+// Contact persons and notes sub-resources
+router.use("/:id/contacts", contactRoutes);
+router.use("/:id/notes", noteRoutes);
+
+// Build the client filter from validated list/export query parameters
+const buildClientQuery = ({ search, status, archived, tags, custom }) => {
+  // Archived clients are listed separately
+  const query = { archivedAt: archived ? { $ne: null } : null };
+
+  // Text search (see utils/search.js for the syntax)
+  if (search) {
+    Object.assign(query, buildSearchFilter(search, CLIENT_SEARCH_FIELDS));
+  }
+
+  // Status filter
+  if (status) {
+    query.status = status;
+  }
+
+  // Tag filter (all listed tags)
+  if (tags && tags.length > 0) {
+    query.tags = { $all: tags };
+  }
+
+  // Custom field filters: exact values or gte/lte ranges
+  for (const [key, filter] of Object.entries(custom || {})) {
+    query[`customFields.${key}`] =
+      filter instanceof Date || typeof filter !== "object"
+        ? filter
+        : {
+            ...(filter.gte !== undefined && { $gte: filter.gte }),
+            ...(filter.lte !== undefined && { $lte: filter.lte }),
+          };
+  }
+
+  return query;
+};
+
+// Build the sort object; custom.<key> sorts by a custom field
+const buildClientSort = ({ sortBy, sortOrder }, query) => {
+  if (sortBy === "relevance") {
+    return relevanceSort(query);
+  }
+
+  const sortPath = sortBy.startsWith("custom.")
+    ? `customFields.${sortBy.slice(7)}`
+    : sortBy;
+  return { [sortPath]: sortOrder === "asc" ? 1 : -1 };
+};
+
+// Put a stage change on the client's timeline (first stages are covered by
+// the client.created event)
+const recordStageActivity = async (req, change) => {
+  if (!change || !change.from) return;
+
+  await ClientActivity.record(change.client, "client.status-changed", {
+    actor: req.user.id,
+    metadata: {
+      from: change.from,
+      to: change.to,
+      ...(change.reason && { reason: change.reason }),
+    },
+  });
+};
+
+// Columns available in client exports; custom fields are added per request
+const CLIENT_EXPORT_COLUMNS = [
+  { header: "id", value: (client) => client._id },
+  { header: "name", value: (client) => client.name },
+  { header: "email", value: (client) => client.email },
+  { header: "phone", value: (client) => client.phone },
+  { header: "company", value: (client) => client.company },
+  { header: "address", value: (client) => client.address },
+  { header: "status", value: (client) => client.status },
+  { header: "tags", value: (client) => (client.tags || []).join("; ") },
+  {
+    header: "primaryContact.name",
+    value: (client) =>
+      client.contacts.find((contact) => contact.isPrimary)?.name,
+  },
+  {
+    header: "primaryContact.email",
+    value: (client) =>
+      client.contacts.find((contact) => contact.isPrimary)?.email,
+  },
+  { header: "billing.country", value: (client) => client.billing?.country },
+  { header: "billing.taxId", value: (client) => client.billing?.taxId },
+  { header: "billing.currency", value: (client) => client.billing?.currency },
+  {
+    header: "billing.paymentTermsDays",
+    value: (client) => client.billing?.paymentTermsDays,
+  },
+  { header: "projectCount", value: (client) => client.projectCount },
+  { header: "archivedAt", value: (client) => client.archivedAt },
+  { header: "createdAt", value: (client) => client.createdAt },
+  { header: "updatedAt", value: (client) => client.updatedAt },
+];
 
 // @desc    Get all clients
 // @route   GET /api/clients
 // @access  Private
-router.get("/", validateClientQuery, async (req, res) => {
-  try {
-    const { page, limit, search, status, sortBy, sortOrder } = req.query;
+router.get(
+  "/",
+  requireScope("clients:read"),
+  requirePermission("client.read"),
+  validateClientQuery,
+  validateClientCustomFieldQuery,
+  async (req, res) => {
+    try {
+      const { page, limit, search } = req.query;
 
-    // Build query
-    let query = {};
+      // Build query
+      const query = buildClientQuery(req.query);
 
-    // Search functionality
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { company: { $regex: search, $options: "i" } },
-        { email: { $regex: search, $options: "i" } },
-      ];
-    }
+      // Calculate pagination
+      const skip = (page - 1) * limit;
+
+      // Build sort object
+      const sort = buildClientSort(req.query, query);
+
+      // Execute query with pagination
+      const clients = await Client.find(query)
+        .select(query.$text ? TEXT_SCORE : {})
+        .populate("projectCount")
+        .sort(sort)
+        .skip(skip)
+        .limit(limit);
+
+      // Get total count for pagination
+      const total = await Client.countDocuments(query);
+
+      // Calculate pagination info
+      const totalPages = Math.ceil(total / limit);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
 
-    // Status filter
-    if (status) {
-      query.status = status;
+      res.status(200).json({
+        status: "success",
+        data: {
+          clients: search
+            ? withHighlights(clients, search, CLIENT_SEARCH_FIELDS)
+            : clients,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalRecords: total,
+            hasNextPage,
+            hasPrevPage,
+            limit,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get clients error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error fetching clients",
+      });
     }
+  }
+);
 
-    // Calculate pagination
-    const skip = (page - 1) * limit;
+// @desc    Export clients as CSV, XLSX or NDJSON, with the same filters as
+//          the client list
+// @route   GET /api/clients/export
+// @access  Private
+router.get(
+  "/export",
+  requireScope("clients:read"),
+  requirePermission("client.read"),
+  validateClientExportQuery,
+  validateClientCustomFieldQuery,
+  async (req, res) => {
+    try {
+      const definitions = await CustomField.find()
+        .sort({ createdAt: 1 })
+        .lean();
+      const catalogue = [
+        ...CLIENT_EXPORT_COLUMNS,
+        ...definitions.map((field) => ({
+          header: `customFields.${field.key}`,
+          value: (client) => client.customFields?.[field.key],
+        })),
+      ];
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === "asc" ? 1 : -1;
+      const { columns, error } = selectColumns(catalogue, req.query.columns);
+      if (error) {
+        return res.status(400).json({
+          status: "error",
+          message: error,
+        });
+      }
 
-    // Execute query with pagination
-    const clients = await Client.find(query)
-      .populate("projectCount")
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
+      const query = buildClientQuery(req.query);
+      const cursor = Client.find(query)
+        .populate("projectCount")
+        .sort(buildClientSort(req.query, query))
+        .cursor();
 
-    // Get total count for pagination
-    const total = await Client.countDocuments(query);
+      try {
+        await streamExport(res, {
+          format: req.query.format,
+          filename: "clients",
+          sheetName: "Clients",
+          columns,
+          docs: cursor,
+        });
+      } finally {
+        await cursor.close();
+      }
+    } catch (error) {
+      console.error("Export clients error:", error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        status: "error",
+        message: "Error exporting clients",
+      });
+    }
+  }
+);
 
-    // Calculate pagination info
-    const totalPages = Math.ceil(total / limit);
-    const hasNextPage = page < totalPages;
-    const hasPrevPage = page > 1;
+// @desc    Find likely duplicate clients, scored on normalized company name,
+//          email domain and phone
+// @route   GET /api/clients/duplicates
+// @access  Private
+router.get(
+  "/duplicates",
+  requireScope("clients:read"),
+  requirePermission("client.read"),
+  validateDuplicatesQuery,
+  async (req, res) => {
+    try {
+      const { minScore, limit, client } = req.query;
 
-    res.status(200).json({
-      status: "success",
-      data: {
-        clients,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalRecords: total,
-          hasNextPage,
-          hasPrevPage,
-          limit,
+      const clients = await Client.find({ archivedAt: null })
+        .select("name email phone company")
+        .lean();
+
+      let candidates = findDuplicateCandidates(clients, { minScore });
+      if (client) {
+        candidates = candidates.filter((candidate) =>
+          candidate.clients.some((match) => match._id.equals(client))
+        );
+      }
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          candidates: candidates.slice(0, limit),
+          total: candidates.length,
         },
-      },
-    });
-  } catch (error) {
-    console.error("Get clients error:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Error fetching clients",
-    });
+      });
+    } catch (error) {
+      console.error("Find duplicate clients error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error finding duplicate clients",
+      });
+    }
   }
-});
+);
 
 // @desc    Get single client
 // @route   GET /api/clients/:id
 // @access  Private
-router.get("/:id", async (req, res) => {
-  try {
-    const client = await Client.findById(req.params.id).populate({
-      path: "projects",
-      select: "title status startDate endDate budget",
-      options: { sort: { createdAt: -1 } },
-    });
+router.get(
+  "/:id",
+  requireScope("clients:read"),
+  requirePermission("client.read"),
+  async (req, res) => {
+    try {
+      const client = await Client.findById(req.params.id).populate({
+        path: "projects",
+        select: "title status startDate endDate budget",
+        options: { sort: { createdAt: -1 } },
+      });
 
-    if (!client) {
-      return res.status(404).json({
+      if (!client) {
+        return res.status(404).json({
+          status: "error",
+          message: "Client not found",
+        });
+      }
+
+      res.status(200).json({
+        status: "success",
+        data: { client },
+      });
+    } catch (error) {
+      console.error("Get client error:", error);
+      res.status(500).json({
         status: "error",
-        message: "Client not found",
+        message: "Error fetching client",
       });
     }
-
-    res.status(200).json({
-      status: "success",
-      data: { client },
-    });
-  } catch (error) {
-    console.error("Get client error:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Error fetching client",
-    });
   }
-});
+);
 
 // @desc    Create new client
 // @route   POST /api/clients
-// @access  Private (Admin only)
-router.post("/", authorize("admin"), validateCreateClient, async (req, res) => {
-  try {
-    const { name, email, phone, company, address, status } = req.body;
+// @access  Private (client.create)
+router.post(
+  "/",
+  requireScope("clients:write"),
+  requirePermission("client.create"),
+  requireVerifiedEmail,
+  validateCreateClient,
+  validateCreateClientCustomFields,
+  async (req, res) => {
+    try {
+      const {
+        name,
+        email,
+        phone,
+        company,
+        address,
+        status,
+        tags,
+        customFields,
+      } = req.body;
 
-    // Check if client with email already exists
-    const existingClient = await Client.findOne({ email });
-    if (existingClient) {
-      return res.status(400).json({
+      // Check if client with email already exists
+      const existingClient = await Client.findOne({ email });
+      if (existingClient) {
+        return res.status(400).json({
+          status: "error",
+          message: "Client with this email already exists",
+        });
+      }
+
+      const pipeline = await Pipeline.forOrganization(req.organization._id);
+      const stage = status || pipeline.defaultStage;
+      const stageError = pipeline.checkMove(null, stage);
+      if (stageError) {
+        return res.status(400).json({
+          status: "error",
+          message: "Validation error",
+          details: [{ field: "status", message: stageError }],
+        });
+      }
+
+      const client = new Client({
+        name,
+        email,
+        phone,
+        company,
+        address,
+        tags,
+        customFields,
+      });
+      await client.saveWithStage(stage, { actor: req.user.id });
+
+      await ClientActivity.record(client._id, "client.created", {
+        actor: req.user.id,
+      });
+
+      res.status(201).json({
+        status: "success",
+        message: "Client created successfully",
+        data: { client },
+      });
+    } catch (error) {
+      console.error("Create client error:", error);
+      res.status(500).json({
         status: "error",
-        message: "Client with this email already exists",
+        message: "Error creating client",
       });
     }
+  }
+);
 
-    const client = await Client.create({
-      name,
-      email,
-      phone,
-      company,
-      address,
-      status,
-    });
+// @desc    Import clients from CSV, optionally as a dry run that only
+//          reports what would happen
+// @route   POST /api/clients/import
+// @access  Private (client.create; client.update to update duplicates)
+router.post(
+  "/import",
+  requireScope("clients:write"),
+  requirePermission("client.create"),
+  requireVerifiedEmail,
+  validateImportClients,
+  async (req, res) => {
+    try {
+      const { csv, mapping, dryRun, onDuplicate } = req.body;
 
-    res.status(201).json({
-      status: "success",
-      message: "Client created successfully",
-      data: { client },
-    });
-  } catch (error) {
-    console.error("Create client error:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Error creating client",
-    });
+      if (onDuplicate === "update" && !hasPermission(req, "client.update")) {
+        return res.status(403).json({
+          status: "error",
+          message:
+            "Updating existing clients requires the client.update permission",
+        });
+      }
+
+      const definitions = await CustomField.find().lean();
+      const { rows, ignoredColumns, error } = prepareClientImport(csv, {
+        mapping,
+        definitions,
+      });
+
+      if (error) {
+        return res.status(400).json({
+          status: "error",
+          message: error,
+        });
+      }
+
+      const pipeline = await Pipeline.forOrganization(req.organization._id);
+
+      // Existing clients of the organization with the same emails
+      const existing = await Client.find({
+        email: { $in: rows.map((row) => row.email).filter(Boolean) },
+      });
+      const existingByEmail = new Map(
+        existing.map((client) => [client.email, client])
+      );
+
+      const firstRowByEmail = new Map();
+      const results = [];
+
+      for (const { row, email, data, errors } of rows) {
+        const result = { row, email };
+        results.push(result);
+
+        if (email && firstRowByEmail.has(email)) {
+          errors.push({
+            field: "email",
+            message: `Duplicate email in file (first used on row ${firstRowByEmail.get(
+              email
+            )})`,
+          });
+        } else if (email) {
+          firstRowByEmail.set(email, row);
+        }
+
+        if (errors.length > 0) {
+          result.action = "rejected";
+          result.errors = errors;
+          continue;
+        }
+
+        const client = existingByEmail.get(email);
+
+        if (client && onDuplicate === "skip") {
+          result.action = "skipped";
+          result.clientId = client._id;
+          result.reason = "A client with this email already exists";
+          continue;
+        }
+
+        if (client && client.archivedAt) {
+          result.action = "rejected";
+          result.errors = [
+            {
+              field: "email",
+              message: "A client with this email is archived",
+            },
+          ];
+          continue;
+        }
+
+        const stage = data.status || (client ? null : pipeline.defaultStage);
+        const stageError =
+          stage && pipeline.checkMove(client ? client.status : null, stage);
+        if (stageError) {
+          result.action = "rejected";
+          result.errors = [{ field: "status", message: stageError }];
+          continue;
+        }
+
+        result.action = client ? "updated" : "created";
+        if (dryRun) {
+          if (client) result.clientId = client._id;
+          continue;
+        }
+
+        try {
+          const { customFields, status, ...fields } = data;
+
+          if (client) {
+            client.set(fields);
+            client.mergeCustomFields(customFields);
+            const change = await client.saveWithStage(stage || client.status, {
+              actor: req.user.id,
+              reason: "CSV import",
+            });
+            await recordStageActivity(req, change);
+            result.clientId = client._id;
+          } else {
+            const created = new Client({ ...fields, customFields });
+            await created.saveWithStage(stage, {
+              actor: req.user.id,
+              reason: "CSV import",
+            });
+            await ClientActivity.record(created._id, "client.created", {
+              actor: req.user.id,
+            });
+            result.clientId = created._id;
+          }
+        } catch (writeError) {
+          result.action = "rejected";
+          result.errors = [{ field: null, message: writeError.message }];
+        }
+      }
+
+      const summary = { total: results.length };
+      ["created", "updated", "skipped", "rejected"].forEach((action) => {
+        summary[action] = results.filter(
+          (result) => result.action === action
+        ).length;
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: dryRun
+          ? "Dry run complete; no changes were made"
+          : "Import complete",
+        data: { dryRun, summary, ignoredColumns, rows: results },
+      });
+    } catch (error) {
+      console.error("Import clients error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error importing clients",
+      });
+    }
   }
-});
+);
 
 // @desc    Update client
 // @route   PUT /api/clients/:id
-// @access  Private (Admin only)
+// @access  Private (client.update)
 router.put(
   "/:id",
-  authorize("admin"),
+  requireScope("clients:write"),
+  requirePermission("client.update"),
+  requireVerifiedEmail,
   validateUpdateClient,
+  validateUpdateClientCustomFields,
   async (req, res) => {
     try {
-      const updateData = { ...req.body };
+      const { customFields, ...updateData } = req.body;
 
       // If email is being updated, check for duplicates
       if (updateData.email) {
@@ -178,10 +611,7 @@ router.put(
         }
       }
 
-      const client = await Client.findByIdAndUpdate(req.params.id, updateData, {
-        new: true,
-        runValidators: true,
-      });
+      const client = await Client.findById(req.params.id);
 
       if (!client) {
         return res.status(404).json({
@@ -190,6 +620,37 @@ router.put(
         });
       }
 
+      if (client.archivedAt) {
+        return res.status(400).json({
+          status: "error",
+          message: "Archived clients cannot be changed. Restore it first",
+        });
+      }
+
+      const { status, ...fields } = updateData;
+
+      if (status) {
+        const pipeline = await Pipeline.forOrganization(req.organization._id);
+        const stageError = pipeline.checkMove(client.status, status);
+        if (stageError) {
+          return res.status(400).json({
+            status: "error",
+            message: "Validation error",
+            details: [{ field: "status", message: stageError }],
+          });
+        }
+      }
+
+      client.set(fields);
+
+      if (customFields) {
+        client.mergeCustomFields(customFields);
+      }
+      const change = await client.saveWithStage(status || client.status, {
+        actor: req.user.id,
+      });
+      await recordStageActivity(req, change);
+
       res.status(200).json({
         status: "success",
         message: "Client updated successfully",
@@ -205,10 +666,8 @@ router.put(
   }
 );
 
-// @desc    Delete client (soft delete)
-// @route   DELETE /api/clients/:id
-// @access  Private (Admin only)
-router.delete("/:id", authorize("admin"), async (req, res) => {
+// Archive a client: hidden from listings but kept, and restorable
+const archiveClient = async (req, res) => {
   try {
     const client = await Client.findById(req.params.id);
 
@@ -219,6 +678,13 @@ router.delete("/:id", authorize("admin"), async (req, res) => {
       });
     }
 
+    if (client.archivedAt) {
+      return res.status(400).json({
+        status: "error",
+        message: "Client is already archived",
+      });
+    }
+
     // Check if client has active projects
     const activeProjects = await Project.countDocuments({
       clientId: req.params.id,
@@ -228,65 +694,587 @@ router.delete("/:id", authorize("admin"), async (req, res) => {
     if (activeProjects > 0) {
       return res.status(400).json({
         status: "error",
-        message: `Cannot delete client with ${activeProjects} active project(s). Please complete or cancel projects first.`,
+        message: `Cannot archive client with ${activeProjects} active project(s). Please complete or cancel projects first.`,
       });
     }
 
-    // Soft delete by setting status to inactive
-    client.status = "inactive";
+    client.archivedAt = new Date();
+    client.archivedBy = req.user.id;
     await client.save();
 
+    await ClientActivity.record(client._id, "client.archived", {
+      actor: req.user.id,
+    });
+
     res.status(200).json({
       status: "success",
-      message: "Client deactivated successfully",
+      message: "Client archived successfully",
       data: { client },
     });
   } catch (error) {
-    console.error("Delete client error:", error);
+    console.error("Archive client error:", error);
     res.status(500).json({
       status: "error",
-      message: "Error deleting client",
+      message: "Error archiving client",
     });
   }
-});
+};
 
-// @desc    Get all projects for a specific client
-// @route   GET /api/clients/:id/projects
+// @desc    Archive client (same as POST /api/clients/:id/archive)
+// @route   DELETE /api/clients/:id
+// @access  Private (client.delete)
+router.delete(
+  "/:id",
+  requireScope("clients:write"),
+  requirePermission("client.delete"),
+  requireVerifiedEmail,
+  archiveClient
+);
+
+// @desc    Archive client
+// @route   POST /api/clients/:id/archive
+// @access  Private (client.delete)
+router.post(
+  "/:id/archive",
+  requireScope("clients:write"),
+  requirePermission("client.delete"),
+  requireVerifiedEmail,
+  archiveClient
+);
+
+// @desc    Restore an archived client
+// @route   POST /api/clients/:id/restore
+// @access  Private (client.delete)
+router.post(
+  "/:id/restore",
+  requireScope("clients:write"),
+  requirePermission("client.delete"),
+  requireVerifiedEmail,
+  async (req, res) => {
+    try {
+      const client = await Client.findById(req.params.id);
+
+      if (!client) {
+        return res.status(404).json({
+          status: "error",
+          message: "Client not found",
+        });
+      }
+
+      if (!client.archivedAt) {
+        return res.status(400).json({
+          status: "error",
+          message: "Client is not archived",
+        });
+      }
+
+      if (client.mergedInto) {
+        return res.status(400).json({
+          status: "error",
+          message:
+            "Client was merged into another client and cannot be restored",
+        });
+      }
+
+      client.archivedAt = null;
+      client.archivedBy = null;
+      await client.save();
+
+      await ClientActivity.record(client._id, "client.restored", {
+        actor: req.user.id,
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "Client restored successfully",
+        data: { client },
+      });
+    } catch (error) {
+      console.error("Restore client error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error restoring client",
+      });
+    }
+  }
+);
+
+// @desc    Merge a duplicate client into this one: its projects and notes
+//          move here and it is archived
+// @route   POST /api/clients/:id/merge
+// @access  Private (client.update and client.delete)
+router.post(
+  "/:id/merge",
+  requireScope("clients:write"),
+  requirePermission("client.update"),
+  requirePermission("client.delete"),
+  requireVerifiedEmail,
+  validateMergeClient,
+  async (req, res) => {
+    try {
+      const { duplicateId, keep } = req.body;
+      const client = await Client.findById(req.params.id);
+
+      if (!client) {
+        return res.status(404).json({
+          status: "error",
+          message: "Client not found",
+        });
+      }
+
+      const duplicate = await Client.findById(duplicateId);
+
+      if (!duplicate) {
+        return res.status(404).json({
+          status: "error",
+          message: "Duplicate client not found",
+        });
+      }
+
+      if (duplicate._id.equals(client._id)) {
+        return res.status(400).json({
+          status: "error",
+          message: "A client cannot be merged into itself",
+        });
+      }
+
+      if (client.archivedAt || duplicate.archivedAt) {
+        return res.status(400).json({
+          status: "error",
+          message: "Archived clients cannot be merged. Restore them first",
+        });
+      }
+
+      const report = await client.mergeFrom(duplicate, {
+        keep,
+        actor: req.user.id,
+      });
+
+      await ClientActivity.record(client._id, "client.merged", {
+        actor: req.user.id,
+        metadata: {
+          duplicate: duplicate._id,
+          name: duplicate.name,
+          projectsMoved: report.projectsMoved.length,
+        },
+      });
+      await ClientActivity.record(duplicate._id, "client.merged-into", {
+        actor: req.user.id,
+        metadata: { survivor: client._id, name: client.name },
+      });
+
+      await recordAuditEvent(req, {
+        event: "client.merged",
+        outcome: "success",
+        user: req.user,
+        actor: req.user,
+        metadata: {
+          organization: req.organization._id,
+          ...report,
+          duplicateName: duplicate.name,
+          duplicateEmail: duplicate.email,
+        },
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "Clients merged successfully",
+        data: { client, report },
+      });
+    } catch (error) {
+      console.error("Merge clients error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error merging clients",
+      });
+    }
+  }
+);
+
+// @desc    Permanently delete an archived client, handling its projects by
+//          strategy (block, cascade or reassign)
+// @route   POST /api/clients/:id/purge
+// @access  Private (client.purge)
+router.post(
+  "/:id/purge",
+  requireScope("clients:write"),
+  requirePermission("client.purge"),
+  requireVerifiedEmail,
+  validatePurgeClient,
+  async (req, res) => {
+    try {
+      const { strategy, reassignTo } = req.body;
+      const client = await Client.findById(req.params.id);
+
+      if (!client) {
+        return res.status(404).json({
+          status: "error",
+          message: "Client not found",
+        });
+      }
+
+      if (!client.archivedAt) {
+        return res.status(400).json({
+          status: "error",
+          message: "Only archived clients can be purged. Archive it first",
+        });
+      }
+
+      let target;
+      if (strategy === "reassign") {
+        target = await Client.findById(reassignTo);
+
+        if (!target || target.archivedAt || target._id.equals(client._id)) {
+          return res.status(400).json({
+            status: "error",
+            message: "reassignTo must be another client that is not archived",
+          });
+        }
+      }
+
+      const report = await client.purge({ strategy, target });
+
+      if (report.blocked) {
+        const { projects, portalMembers } = report.blocked;
+        return res.status(409).json({
+          status: "error",
+          message: `Client has ${projects} project(s) and ${portalMembers} client portal member(s). Purge with strategy "cascade" or "reassign" to handle them`,
+        });
+      }
+
+      await recordAuditEvent(req, {
+        event: "client.purged",
+        outcome: "success",
+        user: req.user,
+        actor: req.user,
+        metadata: {
+          client: client._id,
+          name: client.name,
+          organization: req.organization._id,
+          strategy,
+          projectsDeleted: report.projects.deleted.length,
+          projectsReassigned: report.projects.reassigned.length,
+          reassignedTo: report.projects.reassignedTo,
+          portalMembersRemoved: report.portalMembers.removed.length,
+          portalMembersReassigned: report.portalMembers.reassigned.length,
+        },
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "Client purged successfully",
+        data: { report },
+      });
+    } catch (error) {
+      console.error("Purge client error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error purging client",
+      });
+    }
+  }
+);
+
+// @desc    Get a client's timeline: notes and system events, newest first
+// @route   GET /api/clients/:id/timeline
 // @access  Private
-router.get("/:id/projects", async (req, res) => {
-  try {
-    const client = await Client.findById(req.params.id);
+router.get(
+  "/:id/timeline",
+  requireScope("clients:read"),
+  requirePermission("client.read"),
+  validateTimelineQuery,
+  loadClient,
+  async (req, res) => {
+    try {
+      const { page, limit, kind } = req.query;
+      const match = {
+        client: req.client._id,
+        organization: req.organization._id,
+      };
 
-    if (!client) {
-      return res.status(404).json({
+      // Both sources are projected to a common shape keyed by `date`
+      const noteStages = [
+        { $match: match },
+        {
+          $project: {
+            kind: { $literal: "note" },
+            date: "$createdAt",
+            author: 1,
+            body: 1,
+            type: 1,
+            pinned: 1,
+            edited: { $gt: [{ $size: { $ifNull: ["$history", []] } }, 0] },
+          },
+        },
+      ];
+      const eventStages = [
+        { $match: match },
+        {
+          $project: {
+            kind: { $literal: "event" },
+            date: "$createdAt",
+            event: 1,
+            actor: 1,
+            project: 1,
+            metadata: 1,
+          },
+        },
+      ];
+
+      let source = ClientNote;
+      let pipeline = noteStages;
+      if (kind === "event") {
+        source = ClientActivity;
+        pipeline = eventStages;
+      } else if (!kind) {
+        pipeline = [
+          ...noteStages,
+          {
+            $unionWith: {
+              coll: ClientActivity.collection.name,
+              pipeline: eventStages,
+            },
+          },
+        ];
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [result] = await source.aggregate([
+        ...pipeline,
+        { $sort: { date: -1, _id: -1 } },
+        {
+          $facet: {
+            items: [{ $skip: skip }, { $limit: limit }],
+            total: [{ $count: "count" }],
+          },
+        },
+      ]);
+
+      const items = await ClientNote.populate(result.items, [
+        { path: "author", model: "User", select: "name email" },
+        { path: "actor", model: "User", select: "name email" },
+        { path: "project", model: "Project", select: "title status" },
+      ]);
+
+      const total = result.total.length ? result.total[0].count : 0;
+      const totalPages = Math.ceil(total / limit);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          timeline: items,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalRecords: total,
+            hasNextPage,
+            hasPrevPage,
+            limit,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get client timeline error:", error);
+      res.status(500).json({
         status: "error",
-        message: "Client not found",
+        message: "Error fetching client timeline",
       });
     }
+  }
+);
+
+// @desc    Move a client to another pipeline stage
+// @route   POST /api/clients/:id/stage
+// @access  Private (client.update)
+router.post(
+  "/:id/stage",
+  requireScope("clients:write"),
+  requirePermission("client.update"),
+  requireVerifiedEmail,
+  validateChangeStage,
+  loadClient,
+  requireActiveClient,
+  async (req, res) => {
+    try {
+      const { client } = req;
+      const { stage, reason } = req.body;
 
-    const projects = await Project.find({ clientId: req.params.id })
-      .populate("createdBy", "name email")
-      .sort({ createdAt: -1 });
+      if (client.status === stage) {
+        return res.status(400).json({
+          status: "error",
+          message: `Client is already in stage "${stage}"`,
+        });
+      }
+
+      const pipeline = await Pipeline.forOrganization(req.organization._id);
+      const stageError = pipeline.checkMove(client.status, stage);
+      if (stageError) {
+        return res.status(400).json({
+          status: "error",
+          message: stageError,
+        });
+      }
+
+      const change = await client.saveWithStage(stage, {
+        actor: req.user.id,
+        reason: reason || undefined,
+      });
+      await recordStageActivity(req, change);
+
+      res.status(200).json({
+        status: "success",
+        message: "Client stage changed successfully",
+        data: { client, change },
+      });
+    } catch (error) {
+      console.error("Change client stage error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error changing client stage",
+      });
+    }
+  }
+);
+
+// @desc    Get a client's pipeline stage history, newest first
+// @route   GET /api/clients/:id/stage-history
+// @access  Private
+router.get(
+  "/:id/stage-history",
+  requireScope("clients:read"),
+  requirePermission("client.read"),
+  loadClient,
+  async (req, res) => {
+    try {
+      const history = await ClientStageChange.find({ client: req.client._id })
+        .populate("actor", "name email")
+        .sort({ createdAt: -1, _id: -1 });
+
+      res.status(200).json({
+        status: "success",
+        data: { history },
+      });
+    } catch (error) {
+      console.error("Get client stage history error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error fetching client stage history",
+      });
+    }
+  }
+);
 
+// @desc    Get a client's billing profile
+// @route   GET /api/clients/:id/billing
+// @access  Private
+router.get(
+  "/:id/billing",
+  requireScope("clients:read"),
+  requirePermission("client.read"),
+  loadClient,
+  async (req, res) => {
     res.status(200).json({
       status: "success",
-      data: {
-        client: {
-          id: client._id,
-          name: client.name,
-          company: client.company,
-        },
-        projects,
-      },
-    });
-  } catch (error) {
-    console.error("Get client projects error:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Error fetching client projects",
+      data: { billing: req.client.billing },
     });
   }
-});
+);
 
+// @desc    Update a client's billing profile; omitted fields are kept and
+//          null clears a field
+// @route   PUT /api/clients/:id/billing
+// @access  Private (client.update)
+router.put(
+  "/:id/billing",
+  requireScope("clients:write"),
+  requirePermission("client.update"),
+  requireVerifiedEmail,
+  validateUpdateBilling,
+  loadClient,
+  requireActiveClient,
+  async (req, res) => {
+    try {
+      const { client } = req;
+
+      const merged = { ...client.billing?.toObject(), ...req.body };
+      Object.keys(merged).forEach((key) => {
+        if (merged[key] === null) delete merged[key];
+      });
+
+      // The tax ID format depends on the country, which may come from the
+      // existing profile
+      const { value, details } = checkBillingProfile(merged);
+      if (details) {
+        return res.status(400).json({
+          status: "error",
+          message: "Validation error",
+          details,
+        });
+      }
+
+      client.billing = Object.keys(value).length > 0 ? value : null;
+      await client.save();
+
+      res.status(200).json({
+        status: "success",
+        message: "Billing profile updated successfully",
+        data: { billing: client.billing },
+      });
+    } catch (error) {
+      console.error("Update billing profile error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error updating billing profile",
+      });
+    }
+  }
+);
+
+// @desc    Get all projects for a specific client
+// @route   GET /api/clients/:id/projects
+// @access  Private
+router.get(
+  "/:id/projects",
+  requireScope("clients:read", "projects:read"),
+  requirePermission("client.read"),
+  requirePermission("project.read"),
+  async (req, res) => {
+    try {
+      const client = await Client.findById(req.params.id);
+
+      if (!client) {
+        return res.status(404).json({
+          status: "error",
+          message: "Client not found",
+        });
+      }
+
+      const projects = await Project.find({ clientId: req.params.id })
+        .populate("createdBy", "name email")
+        .sort({ createdAt: -1 });
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          client: {
+            id: client._id,
+            name: client.name,
+            company: client.company,
+          },
+          projects,
+        },
+      });
+    } catch (error) {
+      console.error("Get client projects error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error fetching client projects",
+      });
+    }
+  }
+);
 
-export default router;
\ No newline at end of file
+export default router;
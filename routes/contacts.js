@@ -0,0 +1,224 @@
+import express from "express";
+import {
+  requirePermission,
+  requireVerifiedEmail,
+  requireScope,
+} from "../middleware/auth.js";
+import {
+  validateCreateContact,
+  validateUpdateContact,
+} from "../validation/contact.js";
+import { loadClient, requireActiveClient } from "../middleware/client.js";
+
+// Mounted under /api/clients/:id/contacts, after the clients router has
+// authenticated the request and selected the organization
+const router = express.Router({ mergeParams: true });
+
+// Whether another contact of the client already uses this email
+const emailTaken = (client, email, exceptId) =>
+  Boolean(email) &&
+  client.contacts.some(
+    (contact) =>
+      contact.email === email.trim().toLowerCase() &&
+      !(exceptId && contact._id.equals(exceptId))
+  );
+
+// @desc    Get all contacts for a client
+// @route   GET /api/clients/:id/contacts
+// @access  Private
+router.get(
+  "/",
+  requireScope("clients:read"),
+  requirePermission("client.read"),
+  loadClient,
+  async (req, res) => {
+    res.status(200).json({
+      status: "success",
+      data: { contacts: req.client.contacts },
+    });
+  }
+);
+
+// @desc    Get single contact
+// @route   GET /api/clients/:id/contacts/:contactId
+// @access  Private
+router.get(
+  "/:contactId",
+  requireScope("clients:read"),
+  requirePermission("client.read"),
+  loadClient,
+  async (req, res) => {
+    const contact = req.client.contacts.id(req.params.contactId);
+
+    if (!contact) {
+      return res.status(404).json({
+        status: "error",
+        message: "Contact not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: { contact },
+    });
+  }
+);
+
+// @desc    Add a contact to a client
+// @route   POST /api/clients/:id/contacts
+// @access  Private (client.update)
+router.post(
+  "/",
+  requireScope("clients:write"),
+  requirePermission("client.update"),
+  requireVerifiedEmail,
+  validateCreateContact,
+  loadClient,
+  requireActiveClient,
+  async (req, res) => {
+    try {
+      const { client } = req;
+      const { name, email, phone, title, role, isPrimary } = req.body;
+
+      if (emailTaken(client, email)) {
+        return res.status(400).json({
+          status: "error",
+          message: "This client already has a contact with this email",
+        });
+      }
+
+      const contact = client.contacts.create({
+        name,
+        email,
+        phone,
+        title,
+        role,
+      });
+      client.contacts.push(contact);
+
+      // The first contact becomes primary unless another is chosen later
+      if (isPrimary || client.contacts.length === 1) {
+        client.setPrimaryContact(contact._id);
+      }
+
+      await client.save();
+
+      res.status(201).json({
+        status: "success",
+        message: "Contact added successfully",
+        data: { contact: client.contacts.id(contact._id) },
+      });
+    } catch (error) {
+      console.error("Create contact error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error adding contact",
+      });
+    }
+  }
+);
+
+// @desc    Update a contact
+// @route   PUT /api/clients/:id/contacts/:contactId
+// @access  Private (client.update)
+router.put(
+  "/:contactId",
+  requireScope("clients:write"),
+  requirePermission("client.update"),
+  requireVerifiedEmail,
+  validateUpdateContact,
+  loadClient,
+  requireActiveClient,
+  async (req, res) => {
+    try {
+      const { client } = req;
+      const contact = client.contacts.id(req.params.contactId);
+
+      if (!contact) {
+        return res.status(404).json({
+          status: "error",
+          message: "Contact not found",
+        });
+      }
+
+      const { isPrimary, ...updateData } = req.body;
+
+      if (emailTaken(client, updateData.email, contact._id)) {
+        return res.status(400).json({
+          status: "error",
+          message: "This client already has a contact with this email",
+        });
+      }
+
+      contact.set(updateData);
+
+      if (isPrimary === true) {
+        client.setPrimaryContact(contact._id);
+      } else if (isPrimary === false) {
+        contact.isPrimary = false;
+      }
+
+      await client.save();
+
+      res.status(200).json({
+        status: "success",
+        message: "Contact updated successfully",
+        data: { contact },
+      });
+    } catch (error) {
+      console.error("Update contact error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error updating contact",
+      });
+    }
+  }
+);
+
+// @desc    Remove a contact
+// @route   DELETE /api/clients/:id/contacts/:contactId
+// @access  Private (client.update)
+router.delete(
+  "/:contactId",
+  requireScope("clients:write"),
+  requirePermission("client.update"),
+  requireVerifiedEmail,
+  loadClient,
+  requireActiveClient,
+  async (req, res) => {
+    try {
+      const { client } = req;
+      const contact = client.contacts.id(req.params.contactId);
+
+      if (!contact) {
+        return res.status(404).json({
+          status: "error",
+          message: "Contact not found",
+        });
+      }
+
+      const wasPrimary = contact.isPrimary;
+      contact.deleteOne();
+
+      // Hand the primary flag to the next remaining contact
+      if (wasPrimary && client.contacts.length > 0) {
+        client.setPrimaryContact(client.contacts[0]._id);
+      }
+
+      await client.save();
+
+      res.status(200).json({
+        status: "success",
+        message: "Contact removed successfully",
+      });
+    } catch (error) {
+      console.error("Delete contact error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error removing contact",
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,164 @@
+import express from "express";
+import {
+  protect,
+  requirePermission,
+  requireVerifiedEmail,
+} from "../middleware/auth.js";
+import { requireOrganization } from "../middleware/organization.js";
+import {
+  validateCreateCustomField,
+  validateUpdateCustomField,
+} from "../validation/customField.js";
+import CustomField from "../models/CustomField.js";
+import Client from "../models/Client.js";
+
+const router = express.Router();
+
+// Apply protection to all routes and scope them to the active organization
+router.use(protect, requireOrganization);
+
+// @desc    List the organization's client custom fields
+// @route   GET /api/custom-fields
+// @access  Private
+router.get("/", requirePermission("client.read"), async (req, res) => {
+  try {
+    const customFields = await CustomField.find().sort({ createdAt: 1 });
+
+    res.status(200).json({
+      status: "success",
+      data: { customFields },
+    });
+  } catch (error) {
+    console.error("Get custom fields error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching custom fields",
+    });
+  }
+});
+
+// @desc    Define a client custom field
+// @route   POST /api/custom-fields
+// @access  Private (custom-field.manage)
+router.post(
+  "/",
+  requirePermission("custom-field.manage"),
+  requireVerifiedEmail,
+  validateCreateCustomField,
+  async (req, res) => {
+    try {
+      const { key, label, type, options, required } = req.body;
+
+      if (await CustomField.exists({ key })) {
+        return res.status(400).json({
+          status: "error",
+          message: "A custom field with this key already exists",
+        });
+      }
+
+      const customField = await CustomField.create({
+        key,
+        label,
+        type,
+        options,
+        required,
+      });
+
+      res.status(201).json({
+        status: "success",
+        message: "Custom field created successfully",
+        data: { customField },
+      });
+    } catch (error) {
+      console.error("Create custom field error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error creating custom field",
+      });
+    }
+  }
+);
+
+// @desc    Update a custom field's label, options or required flag
+// @route   PUT /api/custom-fields/:id
+// @access  Private (custom-field.manage)
+router.put(
+  "/:id",
+  requirePermission("custom-field.manage"),
+  requireVerifiedEmail,
+  validateUpdateCustomField,
+  async (req, res) => {
+    try {
+      const customField = await CustomField.findById(req.params.id);
+
+      if (!customField) {
+        return res.status(404).json({
+          status: "error",
+          message: "Custom field not found",
+        });
+      }
+
+      if (req.body.options && customField.type !== "enum") {
+        return res.status(400).json({
+          status: "error",
+          message: "Only enum fields have options",
+        });
+      }
+
+      customField.set(req.body);
+      await customField.save();
+
+      res.status(200).json({
+        status: "success",
+        message: "Custom field updated successfully",
+        data: { customField },
+      });
+    } catch (error) {
+      console.error("Update custom field error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error updating custom field",
+      });
+    }
+  }
+);
+
+// @desc    Delete a custom field and remove its values from all clients
+// @route   DELETE /api/custom-fields/:id
+// @access  Private (custom-field.manage)
+router.delete(
+  "/:id",
+  requirePermission("custom-field.manage"),
+  requireVerifiedEmail,
+  async (req, res) => {
+    try {
+      const customField = await CustomField.findById(req.params.id);
+
+      if (!customField) {
+        return res.status(404).json({
+          status: "error",
+          message: "Custom field not found",
+        });
+      }
+
+      await Client.updateMany(
+        { [`customFields.${customField.key}`]: { $exists: true } },
+        { $unset: { [`customFields.${customField.key}`]: "" } }
+      );
+      await customField.deleteOne();
+
+      res.status(200).json({
+        status: "success",
+        message: "Custom field deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete custom field error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error deleting custom field",
+      });
+    }
+  }
+);
+
+export default router;
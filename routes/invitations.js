@@ -0,0 +1,385 @@
+import express from "express";
+import mongoose from "mongoose";
+import rateLimit from "express-rate-limit";
+import {
+  protect,
+  requirePermission,
+  requireVerifiedEmail,
+  generateAuthTokens,
+} from "../middleware/auth.js";
+import {
+  validateCreateInvitation,
+  validateAcceptInvitation,
+  validateInvitationQuery,
+} from "../validation/invitation.js";
+import Invitation from "../models/Invitation.js";
+import User from "../models/User.js";
+import Role from "../models/Role.js";
+import Membership from "../models/Membership.js";
+import { sendEmail } from "../utils/mailer.js";
+import { recordAuditEvent } from "../utils/audit.js";
+
+const router = express.Router();
+
+// Rate limiting for invitation acceptance
+const acceptLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 requests per windowMs
+  message: {
+    status: "error",
+    message: "Too many authentication attempts, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Map an invitation status to a query filter
+const statusFilter = (status) => {
+  const now = new Date();
+  switch (status) {
+    case "pending":
+      return Invitation.pendingFilter();
+    case "accepted":
+      return { acceptedAt: { $ne: null } };
+    case "revoked":
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case "expired":
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    default:
+      return {};
+  }
+};
+
+// The organization an invitation adds its user to: the one in the body, else
+// the inviter's active organization (X-Organization-Id header or default).
+// The inviter must be able to manage that organization's members. Returns
+// { organization } (null for account-only invitations) or { status, message }.
+const resolveInvitationOrganization = async (req) => {
+  const organizationId =
+    req.body.organizationId ||
+    req.get("x-organization-id") ||
+    req.user.defaultOrganization;
+
+  if (!organizationId) return { organization: null };
+
+  if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+    return { status: 400, message: "Invalid organization id" };
+  }
+
+  const membership = await Membership.findOne({
+    user: req.user._id,
+    organization: organizationId,
+  }).populate("organization", "name");
+
+  if (!membership || !membership.organization) {
+    return {
+      status: 403,
+      message: "You are not a member of this organization",
+    };
+  }
+
+  const permissions = await Role.permissionsFor(membership.role);
+  if (!permissions.includes("member.manage")) {
+    return {
+      status: 403,
+      message: "You cannot add members to this organization",
+    };
+  }
+
+  return { organization: membership.organization };
+};
+
+// @desc    Accept an invitation and create the account
+// @route   POST /api/invitations/accept
+// @access  Public
+router.post(
+  "/accept",
+  acceptLimiter,
+  validateAcceptInvitation,
+  async (req, res) => {
+    try {
+      const { token, name, password } = req.body;
+
+      const invitation = await Invitation.findPendingByToken(token);
+      if (!invitation) {
+        return res.status(400).json({
+          status: "error",
+          message: "Invitation is invalid or has expired",
+        });
+      }
+
+      const existingUser = await User.findOne({ email: invitation.email });
+      if (existingUser) {
+        return res.status(400).json({
+          status: "error",
+          message: "User already exists with this email",
+        });
+      }
+
+      // Claim the invitation atomically so it can only be used once
+      const claimed = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, ...Invitation.pendingFilter() },
+        { acceptedAt: new Date() },
+        { new: true }
+      );
+      if (!claimed) {
+        return res.status(400).json({
+          status: "error",
+          message: "Invitation is invalid or has expired",
+        });
+      }
+
+      let user;
+      try {
+        // Receiving the invite proves ownership of the address
+        user = await User.create({
+          name,
+          email: claimed.email,
+          password,
+          role: claimed.role,
+          emailVerified: true,
+        });
+      } catch (createError) {
+        claimed.acceptedAt = null;
+        await claimed.save();
+        throw createError;
+      }
+
+      claimed.acceptedUser = user._id;
+      await claimed.save();
+
+      if (claimed.organization) {
+        await Membership.join(
+          user,
+          claimed.organization,
+          claimed.organizationRole
+        );
+      }
+
+      await recordAuditEvent(req, {
+        event: "auth.signup",
+        outcome: "success",
+        user,
+        actor: claimed.invitedBy,
+        metadata: {
+          invitation: claimed._id,
+          role: user.role,
+          organization: claimed.organization,
+          organizationRole: claimed.organization
+            ? claimed.organizationRole
+            : null,
+        },
+      });
+
+      const { token: accessToken, refreshToken } = await generateAuthTokens(
+        user,
+        req
+      );
+
+      res.status(201).json({
+        status: "success",
+        message: "Invitation accepted successfully",
+        data: {
+          user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            emailVerified: user.emailVerified,
+            createdAt: user.createdAt,
+          },
+          token: accessToken,
+          refreshToken,
+        },
+      });
+    } catch (error) {
+      console.error("Accept invitation error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error accepting invitation",
+      });
+    }
+  }
+);
+
+// Everything below requires invitation management
+router.use(protect, requirePermission("invitation.manage"));
+
+// @desc    Get all invitations
+// @route   GET /api/invitations
+// @access  Private (invitation.manage)
+router.get("/", validateInvitationQuery, async (req, res) => {
+  try {
+    const { page, limit, status, email } = req.query;
+
+    const query = statusFilter(status);
+    if (email) {
+      query.email = email;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const invitations = await Invitation.find(query)
+      .populate("invitedBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Invitation.countDocuments(query);
+
+    const totalPages = Math.ceil(total / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        invitations,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalRecords: total,
+          hasNextPage,
+          hasPrevPage,
+          limit,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching invitations",
+    });
+  }
+});
+
+// @desc    Invite a new user with a role, into an organization
+// @route   POST /api/invitations
+// @access  Private (invitation.manage)
+router.post(
+  "/",
+  requireVerifiedEmail,
+  validateCreateInvitation,
+  async (req, res) => {
+    try {
+      const { email, expiresInDays } = req.body;
+      const role = (req.body.role || "user").trim().toLowerCase();
+
+      const organizationRole = (req.body.organizationRole || "user")
+        .trim()
+        .toLowerCase();
+
+      for (const name of [role, organizationRole]) {
+        if (!(await Role.isAssignable(name))) {
+          return res.status(400).json({
+            status: "error",
+            message: `Role ${name} does not exist`,
+          });
+        }
+      }
+
+      const { organization, ...denied } =
+        await resolveInvitationOrganization(req);
+      if (denied.status) {
+        return res.status(denied.status).json({
+          status: "error",
+          message: denied.message,
+        });
+      }
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res.status(400).json({
+          status: "error",
+          message: "User already exists with this email",
+        });
+      }
+
+      // Only the most recent invitation for an address stays valid
+      await Invitation.updateMany(
+        { email, ...Invitation.pendingFilter() },
+        { revokedAt: new Date() }
+      );
+
+      const { rawToken, invitation } = await Invitation.issue({
+        email,
+        role,
+        organization: organization ? organization._id : null,
+        organizationRole,
+        invitedBy: req.user.id,
+        expiresInDays,
+      });
+
+      const acceptUrl = `${
+        process.env.CLIENT_URL || "http://localhost:3000"
+      }/accept-invite?token=${rawToken}`;
+
+      try {
+        await sendEmail({
+          to: invitation.email,
+          subject: "You have been invited to Workcity",
+          text: `Hi,\n\n${req.user.name} has invited you to join ${
+            organization ? `${organization.name} on ` : ""
+          }Workcity with the "${invitation.role}" role. Use the link below to create your account:\n\n${acceptUrl}\n\nThis invitation expires on ${invitation.expiresAt.toUTCString()}.`,
+        });
+      } catch (mailError) {
+        invitation.revokedAt = new Date();
+        await invitation.save();
+        throw mailError;
+      }
+
+      res.status(201).json({
+        status: "success",
+        message: "Invitation sent successfully",
+        data: { invitation },
+      });
+    } catch (error) {
+      console.error("Create invitation error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error creating invitation",
+      });
+    }
+  }
+);
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private (invitation.manage)
+router.delete("/:id", async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        status: "error",
+        message: "Invitation not found",
+      });
+    }
+
+    if (invitation.status !== "pending") {
+      return res.status(400).json({
+        status: "error",
+        message: `Cannot revoke an invitation that is ${invitation.status}`,
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.status(200).json({
+      status: "success",
+      message: "Invitation revoked successfully",
+      data: { invitation },
+    });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error revoking invitation",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,269 @@
+import express from "express";
+import {
+  requirePermission,
+  requireVerifiedEmail,
+  requireScope,
+  canActOn,
+} from "../middleware/auth.js";
+import { loadClient, requireActiveClient } from "../middleware/client.js";
+import {
+  validateCreateNote,
+  validateUpdateNote,
+  validateNoteQuery,
+} from "../validation/note.js";
+import ClientNote from "../models/ClientNote.js";
+import { recordAuditEvent } from "../utils/audit.js";
+
+// Mounted under /api/clients/:id/notes, after the clients router has
+// authenticated the request and selected the organization
+const router = express.Router({ mergeParams: true });
+
+// Load the note named by :noteId for req.client, or respond 404
+const loadNote = async (req, res, next) => {
+  try {
+    req.note = await ClientNote.findOne({
+      _id: req.params.noteId,
+      client: req.client._id,
+    }).select("+history");
+
+    if (!req.note) {
+      return res.status(404).json({
+        status: "error",
+        message: "Note not found",
+      });
+    }
+    next();
+  } catch (error) {
+    console.error("Load note error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching note",
+    });
+  }
+};
+
+// Respond 403 unless the user may perform the action on the note
+const denyUnlessAllowed = async (req, res, action) => {
+  if (canActOn(req, action, req.note.author)) return false;
+
+  await recordAuditEvent(req, {
+    event: "authorization.denied",
+    outcome: "denied",
+    user: req.user,
+    reason: "Not the note author",
+    metadata: { note: req.note._id },
+  });
+
+  res.status(403).json({
+    status: "error",
+    message: "Not authorized to change this note",
+  });
+  return true;
+};
+
+// @desc    Get all notes for a client (pinned first, newest first)
+// @route   GET /api/clients/:id/notes
+// @access  Private
+router.get(
+  "/",
+  requireScope("clients:read"),
+  requirePermission("client.read"),
+  validateNoteQuery,
+  loadClient,
+  async (req, res) => {
+    try {
+      const { page, limit, type, pinned } = req.query;
+
+      const query = { client: req.client._id };
+      if (type) {
+        query.type = type;
+      }
+      if (pinned !== undefined) {
+        query.pinned = pinned;
+      }
+
+      const skip = (page - 1) * limit;
+
+      const notes = await ClientNote.find(query)
+        .populate("author", "name email")
+        .sort({ pinned: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await ClientNote.countDocuments(query);
+
+      const totalPages = Math.ceil(total / limit);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          notes,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalRecords: total,
+            hasNextPage,
+            hasPrevPage,
+            limit,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get notes error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error fetching notes",
+      });
+    }
+  }
+);
+
+// @desc    Get single note with its edit history
+// @route   GET /api/clients/:id/notes/:noteId
+// @access  Private
+router.get(
+  "/:noteId",
+  requireScope("clients:read"),
+  requirePermission("client.read"),
+  loadClient,
+  loadNote,
+  async (req, res) => {
+    try {
+      await req.note.populate([
+        { path: "author", select: "name email" },
+        { path: "history.editedBy", select: "name email" },
+      ]);
+
+      res.status(200).json({
+        status: "success",
+        data: { note: req.note },
+      });
+    } catch (error) {
+      console.error("Get note error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error fetching note",
+      });
+    }
+  }
+);
+
+// @desc    Add a note to a client
+// @route   POST /api/clients/:id/notes
+// @access  Private (note.create)
+router.post(
+  "/",
+  requireScope("clients:write"),
+  requirePermission("note.create"),
+  requireVerifiedEmail,
+  validateCreateNote,
+  loadClient,
+  requireActiveClient,
+  async (req, res) => {
+    try {
+      const { body, type, pinned } = req.body;
+
+      const note = await ClientNote.create({
+        client: req.client._id,
+        author: req.user.id,
+        body,
+        type,
+        pinned,
+      });
+
+      await note.populate("author", "name email");
+
+      res.status(201).json({
+        status: "success",
+        message: "Note added successfully",
+        data: { note },
+      });
+    } catch (error) {
+      console.error("Create note error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error adding note",
+      });
+    }
+  }
+);
+
+// @desc    Edit or pin a note; edits keep the previous version in history
+// @route   PUT /api/clients/:id/notes/:noteId
+// @access  Private (note.update.any, or note.update.own for own notes)
+router.put(
+  "/:noteId",
+  requireScope("clients:write"),
+  requirePermission("note.update.any", "note.update.own"),
+  requireVerifiedEmail,
+  validateUpdateNote,
+  loadClient,
+  requireActiveClient,
+  loadNote,
+  async (req, res) => {
+    try {
+      if (await denyUnlessAllowed(req, res, "note.update")) return;
+
+      const { note } = req;
+      const { body, type, pinned } = req.body;
+
+      note.edit({ body, type }, req.user.id);
+      if (pinned !== undefined) {
+        note.pinned = pinned;
+      }
+
+      await note.save();
+      await note.populate([
+        { path: "author", select: "name email" },
+        { path: "history.editedBy", select: "name email" },
+      ]);
+
+      res.status(200).json({
+        status: "success",
+        message: "Note updated successfully",
+        data: { note },
+      });
+    } catch (error) {
+      console.error("Update note error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error updating note",
+      });
+    }
+  }
+);
+
+// @desc    Delete a note
+// @route   DELETE /api/clients/:id/notes/:noteId
+// @access  Private (note.delete.any, or note.delete.own for own notes)
+router.delete(
+  "/:noteId",
+  requireScope("clients:write"),
+  requirePermission("note.delete.any", "note.delete.own"),
+  requireVerifiedEmail,
+  loadClient,
+  requireActiveClient,
+  loadNote,
+  async (req, res) => {
+    try {
+      if (await denyUnlessAllowed(req, res, "note.delete")) return;
+
+      await req.note.deleteOne();
+
+      res.status(200).json({
+        status: "success",
+        message: "Note deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete note error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error deleting note",
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,246 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import { validateOidcCallback } from "../validation/auth.js";
+import {
+  generateAuthTokens,
+  generateChallengeToken,
+} from "../middleware/auth.js";
+import User from "../models/User.js";
+import Role from "../models/Role.js";
+import OidcLogin from "../models/OidcLogin.js";
+import {
+  isOidcEnabled,
+  getOidcConfig,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapRoleFromClaims,
+} from "../utils/oidc.js";
+import { generateRandomToken } from "../utils/tokens.js";
+import { recordAuditEvent } from "../utils/audit.js";
+
+const router = express.Router();
+
+// Rate limiting for SSO endpoints
+const oidcLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 requests per windowMs
+  message: {
+    status: "error",
+    message: "Too many authentication attempts, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// SSO endpoints only exist when a provider is configured
+const requireOidc = (req, res, next) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({
+      status: "error",
+      message: "Single sign-on is not configured",
+    });
+  }
+  next();
+};
+
+router.use(oidcLimiter, requireOidc);
+
+// Find the user for an SSO identity: by linked subject first, then by
+// verified email (linking an account whose email is verified too),
+// otherwise provision a new user
+const findOrProvisionUser = async (claims) => {
+  const { issuer } = getOidcConfig();
+
+  const linked = await User.findOne({
+    oidcIssuer: issuer,
+    oidcSubject: claims.sub,
+  }).select("+tokenVersion");
+  if (linked) return { user: linked };
+
+  if (!claims.email || claims.email_verified !== true) {
+    return {
+      error: "The identity provider did not supply a verified email address",
+    };
+  }
+
+  const email = claims.email.trim().toLowerCase();
+  const existing = await User.findOne({ email }).select("+tokenVersion");
+
+  if (existing) {
+    if (existing.oidcSubject) {
+      return {
+        error: "This account is already linked to a different SSO identity",
+      };
+    }
+
+    // Whoever registered an unverified address may not own it; linking would
+    // hand the SSO user an account someone else holds the password to
+    if (!existing.emailVerified) {
+      return {
+        error:
+          "An account with this email exists but its email is not verified. Verify it before using single sign-on",
+      };
+    }
+
+    existing.oidcIssuer = issuer;
+    existing.oidcSubject = claims.sub;
+    await existing.save({ validateBeforeSave: false });
+    return { user: existing };
+  }
+
+  // Just-in-time provisioning with a role mapped from the claims
+  let role = mapRoleFromClaims(claims);
+  if (!(await Role.isAssignable(role))) {
+    console.error(`OIDC role mapping produced unknown role "${role}"`);
+    role = "user";
+  }
+
+  const user = await User.create({
+    name: (claims.name || email.split("@")[0]).slice(0, 50),
+    email,
+    // SSO users sign in at the provider; this password is never disclosed
+    password: generateRandomToken(32),
+    role,
+    emailVerified: true,
+    oidcIssuer: issuer,
+    oidcSubject: claims.sub,
+  });
+
+  return { user, provisioned: true };
+};
+
+// @desc    Start an SSO login (authorization code flow with PKCE)
+// @route   GET /api/auth/oidc/authorize
+// @access  Public
+router.get("/authorize", async (req, res) => {
+  try {
+    const { state, nonce, codeChallenge } = await OidcLogin.start();
+    const authorizationUrl = await buildAuthorizationUrl({
+      state,
+      nonce,
+      codeChallenge,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: { authorizationUrl, state },
+    });
+  } catch (error) {
+    console.error("OIDC authorize error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error starting single sign-on",
+    });
+  }
+});
+
+// @desc    Complete an SSO login with the code returned by the provider
+// @route   POST /api/auth/oidc/callback
+// @access  Public
+router.post("/callback", validateOidcCallback, async (req, res) => {
+  try {
+    const login = await OidcLogin.consume(req.body.state);
+    if (!login) {
+      return res.status(400).json({
+        status: "error",
+        message: "SSO login is invalid or has expired. Please start again",
+      });
+    }
+
+    let claims;
+    try {
+      const tokens = await exchangeCode({
+        code: req.body.code,
+        codeVerifier: login.codeVerifier,
+      });
+      claims = await verifyIdToken(tokens.id_token, { nonce: login.nonce });
+    } catch (oidcError) {
+      console.error("OIDC token validation error:", oidcError.message);
+      await recordAuditEvent(req, {
+        event: "auth.sso",
+        outcome: "failure",
+        reason: oidcError.message,
+      });
+      return res.status(401).json({
+        status: "error",
+        message: "Single sign-on failed",
+      });
+    }
+
+    const { user, provisioned, error } = await findOrProvisionUser(claims);
+    if (error) {
+      await recordAuditEvent(req, {
+        event: "auth.sso",
+        outcome: "failure",
+        email: claims.email,
+        reason: error,
+        metadata: { subject: claims.sub },
+      });
+      return res.status(401).json({
+        status: "error",
+        message: error,
+      });
+    }
+
+    if (user.status === "disabled") {
+      await recordAuditEvent(req, {
+        event: "auth.sso",
+        outcome: "failure",
+        user,
+        reason: "Account disabled",
+      });
+      return res.status(403).json({
+        status: "error",
+        message: "Account is disabled. Contact an administrator",
+      });
+    }
+
+    // Accounts with 2FA still complete the second step here
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        status: "success",
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id),
+        },
+      });
+    }
+
+    await user.registerSuccessfulLogin(req.ip);
+    await recordAuditEvent(req, {
+      event: "auth.sso",
+      outcome: "success",
+      user,
+      metadata: { subject: claims.sub, provisioned: Boolean(provisioned) },
+    });
+
+    const { token, refreshToken } = await generateAuthTokens(user, req);
+
+    res.status(provisioned ? 201 : 200).json({
+      status: "success",
+      message: "Login successful",
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
+          createdAt: user.createdAt,
+        },
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error("OIDC callback error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error completing single sign-on",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,394 @@
+import express from "express";
+import {
+  protect,
+  requirePermission,
+  requireVerifiedEmail,
+} from "../middleware/auth.js";
+import { requireOrganization } from "../middleware/organization.js";
+import {
+  validateCreateOrganization,
+  validateAddMember,
+  validateUpdateMember,
+} from "../validation/organization.js";
+import Organization from "../models/Organization.js";
+import Membership from "../models/Membership.js";
+import User from "../models/User.js";
+import Client from "../models/Client.js";
+import Role from "../models/Role.js";
+import { recordAuditEvent } from "../utils/audit.js";
+
+const router = express.Router();
+
+// Apply protection to all routes
+router.use(protect);
+
+// Whether demoting or removing this member would leave the org without an admin
+const isLastOrgAdmin = async (membership) => {
+  if (membership.role !== "admin") return false;
+
+  const otherAdmins = await Membership.countDocuments({
+    _id: { $ne: membership._id },
+    organization: membership.organization,
+    role: "admin",
+  });
+  return otherAdmins === 0;
+};
+
+// Find a member of the active organization by user id
+const findMember = (req) =>
+  Membership.findOne({
+    organization: req.organization._id,
+    user: req.params.userId,
+  }).populate("user", "name email");
+
+// The current (not archived) client a client portal member will be linked to
+const findPortalClient = (clientId) =>
+  Client.findOne({ _id: clientId, archivedAt: null });
+
+// @desc    List the organizations the current user belongs to
+// @route   GET /api/organizations
+// @access  Private
+router.get("/", async (req, res) => {
+  try {
+    const memberships = await Membership.find({ user: req.user._id })
+      .populate("organization", "name slug")
+      .sort({ createdAt: 1 });
+
+    const organizations = memberships
+      .filter((membership) => membership.organization)
+      .map((membership) => ({
+        id: membership.organization._id,
+        name: membership.organization.name,
+        slug: membership.organization.slug,
+        role: membership.role,
+        isDefault: Boolean(
+          req.user.defaultOrganization &&
+          req.user.defaultOrganization.equals(membership.organization._id)
+        ),
+      }));
+
+    res.status(200).json({
+      status: "success",
+      data: { organizations },
+    });
+  } catch (error) {
+    console.error("Get organizations error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching organizations",
+    });
+  }
+});
+
+// @desc    Create an organization (the creator becomes its admin)
+// @route   POST /api/organizations
+// @access  Private (organization.manage)
+router.post(
+  "/",
+  requirePermission("organization.manage"),
+  requireVerifiedEmail,
+  validateCreateOrganization,
+  async (req, res) => {
+    try {
+      const name = req.body.name.trim();
+      const slug = req.body.slug
+        ? req.body.slug.trim().toLowerCase()
+        : Organization.slugify(name);
+
+      if (!slug) {
+        return res.status(400).json({
+          status: "error",
+          message: "Please provide a slug for this organization",
+        });
+      }
+
+      const existingOrganization = await Organization.findOne({ slug });
+      if (existingOrganization) {
+        return res.status(400).json({
+          status: "error",
+          message: "Organization with this slug already exists",
+        });
+      }
+
+      const organization = await Organization.create({
+        name,
+        slug,
+        createdBy: req.user.id,
+      });
+
+      await Membership.join(req.user, organization._id, "admin");
+
+      res.status(201).json({
+        status: "success",
+        message: "Organization created successfully",
+        data: { organization },
+      });
+    } catch (error) {
+      console.error("Create organization error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error creating organization",
+      });
+    }
+  }
+);
+
+// Everything below acts on the active organization
+router.use("/current", requireOrganization);
+
+// @desc    Get the active organization and the current user's role in it
+// @route   GET /api/organizations/current
+// @access  Private (member)
+router.get("/current", async (req, res) => {
+  res.status(200).json({
+    status: "success",
+    data: {
+      organization: req.organization,
+      role: req.membership.role,
+      client: req.membership.client,
+      permissions: req.permissions,
+    },
+  });
+});
+
+// @desc    List members of the active organization
+// @route   GET /api/organizations/current/members
+// @access  Private (member.manage)
+router.get(
+  "/current/members",
+  requirePermission("member.manage"),
+  async (req, res) => {
+    try {
+      const members = await Membership.find({
+        organization: req.organization._id,
+      })
+        .populate("user", "name email status")
+        .populate("client", "name company")
+        .sort({ createdAt: 1 });
+
+      res.status(200).json({
+        status: "success",
+        data: { members },
+      });
+    } catch (error) {
+      console.error("Get members error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error fetching members",
+      });
+    }
+  }
+);
+
+// @desc    Add an existing user to the active organization
+// @route   POST /api/organizations/current/members
+// @access  Private (member.manage)
+router.post(
+  "/current/members",
+  requirePermission("member.manage"),
+  validateAddMember,
+  async (req, res) => {
+    try {
+      const email = req.body.email.trim().toLowerCase();
+      const role = (req.body.role || "user").trim().toLowerCase();
+
+      if (!(await Role.isAssignable(role))) {
+        return res.status(400).json({
+          status: "error",
+          message: `Role ${role} does not exist`,
+        });
+      }
+
+      const client =
+        role === "client" ? await findPortalClient(req.body.clientId) : null;
+      if (role === "client" && !client) {
+        return res.status(404).json({
+          status: "error",
+          message: "Client not found",
+        });
+      }
+
+      const user = await User.findOne({ email });
+      if (!user) {
+        return res.status(404).json({
+          status: "error",
+          message: "User not found",
+        });
+      }
+
+      const existingMembership = await Membership.findOne({
+        user: user._id,
+        organization: req.organization._id,
+      });
+      if (existingMembership) {
+        return res.status(400).json({
+          status: "error",
+          message: "User is already a member of this organization",
+        });
+      }
+
+      const membership = await Membership.join(
+        user,
+        req.organization._id,
+        role,
+        client ? client._id : null
+      );
+      await membership.populate("user", "name email status");
+
+      await recordAuditEvent(req, {
+        event: "role.changed",
+        outcome: "success",
+        user,
+        actor: req.user,
+        metadata: {
+          organization: req.organization._id,
+          from: null,
+          to: role,
+          ...(client && { client: client._id }),
+        },
+      });
+
+      res.status(201).json({
+        status: "success",
+        message: "Member added successfully",
+        data: { member: membership },
+      });
+    } catch (error) {
+      console.error("Add member error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error adding member",
+      });
+    }
+  }
+);
+
+// @desc    Change a member's role in the active organization
+// @route   PATCH /api/organizations/current/members/:userId
+// @access  Private (member.manage)
+router.patch(
+  "/current/members/:userId",
+  requirePermission("member.manage"),
+  validateUpdateMember,
+  async (req, res) => {
+    try {
+      const membership = await findMember(req);
+
+      if (!membership) {
+        return res.status(404).json({
+          status: "error",
+          message: "Member not found",
+        });
+      }
+
+      const role = req.body.role.trim().toLowerCase();
+
+      if (!(await Role.isAssignable(role))) {
+        return res.status(400).json({
+          status: "error",
+          message: `Role ${role} does not exist`,
+        });
+      }
+
+      const client =
+        role === "client" ? await findPortalClient(req.body.clientId) : null;
+      if (role === "client" && !client) {
+        return res.status(404).json({
+          status: "error",
+          message: "Client not found",
+        });
+      }
+
+      if (role !== "admin" && (await isLastOrgAdmin(membership))) {
+        return res.status(400).json({
+          status: "error",
+          message: "Cannot demote the last admin of this organization",
+        });
+      }
+
+      const previousRole = membership.role;
+      membership.role = role;
+      membership.client = client ? client._id : null;
+      await membership.save();
+
+      await recordAuditEvent(req, {
+        event: "role.changed",
+        outcome: "success",
+        user: membership.user,
+        actor: req.user,
+        metadata: {
+          organization: req.organization._id,
+          from: previousRole,
+          to: role,
+          ...(client && { client: client._id }),
+        },
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "Member role updated successfully",
+        data: { member: membership },
+      });
+    } catch (error) {
+      console.error("Update member error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error updating member",
+      });
+    }
+  }
+);
+
+// @desc    Remove a member from the active organization
+// @route   DELETE /api/organizations/current/members/:userId
+// @access  Private (member.manage)
+router.delete(
+  "/current/members/:userId",
+  requirePermission("member.manage"),
+  async (req, res) => {
+    try {
+      const membership = await findMember(req);
+
+      if (!membership) {
+        return res.status(404).json({
+          status: "error",
+          message: "Member not found",
+        });
+      }
+
+      if (await isLastOrgAdmin(membership)) {
+        return res.status(400).json({
+          status: "error",
+          message: "Cannot remove the last admin of this organization",
+        });
+      }
+
+      await Membership.leave(membership);
+
+      await recordAuditEvent(req, {
+        event: "role.changed",
+        outcome: "success",
+        user: membership.user,
+        actor: req.user,
+        metadata: {
+          organization: req.organization._id,
+          from: membership.role,
+          to: null,
+        },
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "Member removed successfully",
+      });
+    } catch (error) {
+      console.error("Remove member error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error removing member",
+      });
+    }
+  }
+);
+
+export default router;
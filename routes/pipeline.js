@@ -0,0 +1,230 @@
+import express from "express";
+import mongoose from "mongoose";
+import {
+  protect,
+  requirePermission,
+  requireVerifiedEmail,
+} from "../middleware/auth.js";
+import { requireOrganization } from "../middleware/organization.js";
+import {
+  validateUpdatePipeline,
+  validatePipelineReportQuery,
+} from "../validation/pipeline.js";
+import Pipeline from "../models/Pipeline.js";
+import Client from "../models/Client.js";
+import ClientStageChange from "../models/ClientStageChange.js";
+
+const router = express.Router();
+
+// Apply protection to all routes and scope them to the active organization
+router.use(protect, requireOrganization);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    Get the organization's client pipeline
+// @route   GET /api/pipeline
+// @access  Private
+router.get("/", requirePermission("client.read"), async (req, res) => {
+  try {
+    const pipeline = await Pipeline.forOrganization(req.organization._id);
+
+    res.status(200).json({
+      status: "success",
+      data: { pipeline, isDefault: pipeline.isNew },
+    });
+  } catch (error) {
+    console.error("Get pipeline error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching pipeline",
+    });
+  }
+});
+
+// @desc    Replace the organization's client pipeline
+// @route   PUT /api/pipeline
+// @access  Private (pipeline.manage)
+router.put(
+  "/",
+  requirePermission("pipeline.manage"),
+  requireVerifiedEmail,
+  validateUpdatePipeline,
+  async (req, res) => {
+    try {
+      const { stages, transitions, defaultStage } = req.body;
+
+      // Stages can only be removed once no client is in them
+      const keys = stages.map((stage) => stage.key);
+      const stranded = await Client.aggregate([
+        { $match: { status: { $nin: keys } } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]);
+
+      if (stranded.length > 0) {
+        const counts = stranded
+          .map(({ _id, count }) => `${count} in "${_id}"`)
+          .join(", ");
+        return res.status(409).json({
+          status: "error",
+          message: `Clients are still in stages missing from this pipeline (${counts}). Move them first`,
+        });
+      }
+
+      const pipeline = await Pipeline.findOneAndUpdate(
+        { organization: req.organization._id },
+        { stages, transitions, defaultStage },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      res.status(200).json({
+        status: "success",
+        message: "Pipeline updated successfully",
+        data: { pipeline },
+      });
+    } catch (error) {
+      console.error("Update pipeline error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error updating pipeline",
+      });
+    }
+  }
+);
+
+// @desc    Pipeline report: clients per stage, conversion rates between
+//          stages and average time spent in each stage
+// @route   GET /api/pipeline/report
+// @access  Private
+router.get(
+  "/report",
+  requirePermission("client.read"),
+  validatePipelineReportQuery,
+  async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      const organizationId = new mongoose.Types.ObjectId(req.organization._id);
+      const pipeline = await Pipeline.forOrganization(organizationId);
+
+      const current = await Client.aggregate([
+        { $match: { archivedAt: null } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]);
+      const currentByStage = new Map(
+        current.map(({ _id, count }) => [_id, count])
+      );
+
+      // Every entry into a stage during the period, with where the client
+      // went next (if it has left the stage) and how long it stayed
+      const enteredAt = {};
+      if (from) enteredAt.$gte = from;
+      if (to) enteredAt.$lte = to;
+
+      const entries = await ClientStageChange.aggregate([
+        ...(from || to ? [{ $match: { createdAt: enteredAt } }] : []),
+        {
+          $lookup: {
+            from: ClientStageChange.collection.name,
+            let: { client: "$client", stage: "$to", at: "$createdAt" },
+            pipeline: [
+              {
+                $match: {
+                  organization: organizationId,
+                  $expr: {
+                    $and: [
+                      { $eq: ["$client", "$$client"] },
+                      { $eq: ["$from", "$$stage"] },
+                      { $gt: ["$createdAt", "$$at"] },
+                    ],
+                  },
+                },
+              },
+              { $sort: { createdAt: 1 } },
+              { $limit: 1 },
+              { $project: { to: 1, durationMs: 1 } },
+            ],
+            as: "next",
+          },
+        },
+        { $unwind: { path: "$next", preserveNullAndEmptyArrays: true } },
+        {
+          $group: {
+            _id: { stage: "$to", next: "$next.to" },
+            count: { $sum: 1 },
+            totalDurationMs: { $sum: { $ifNull: ["$next.durationMs", 0] } },
+          },
+        },
+      ]);
+
+      const stats = new Map();
+      const statsFor = (stage) => {
+        if (!stats.has(stage)) {
+          stats.set(stage, { entered: 0, exited: 0, durationMs: 0, next: {} });
+        }
+        return stats.get(stage);
+      };
+
+      entries.forEach(({ _id, count, totalDurationMs }) => {
+        const stage = statsFor(_id.stage);
+        stage.entered += count;
+        if (_id.next) {
+          stage.exited += count;
+          stage.durationMs += totalDurationMs;
+          stage.next[_id.next] = count;
+        }
+      });
+
+      const stages = pipeline.stages.map(({ key, label }) => {
+        const stage = statsFor(key);
+        return {
+          stage: key,
+          label,
+          clients: currentByStage.get(key) || 0,
+          entered: stage.entered,
+          exited: stage.exited,
+          averageDays: stage.exited
+            ? Math.round((stage.durationMs / stage.exited / DAY_MS) * 10) / 10
+            : null,
+        };
+      });
+
+      const conversions = pipeline.transitions.map(({ from, to: next }) => {
+        const stage = statsFor(from);
+        const count = stage.next[next] || 0;
+        return {
+          from,
+          to: next,
+          count,
+          rate: stage.entered
+            ? Math.round((count / stage.entered) * 1000) / 1000
+            : null,
+        };
+      });
+
+      // Clients in stages the pipeline no longer defines
+      const otherStages = [...currentByStage]
+        .filter(([key]) => !pipeline.stage(key))
+        .map(([key, count]) => ({ stage: key, clients: count }));
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          report: {
+            period: { from: from || null, to: to || null },
+            stages,
+            conversions,
+            otherStages,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Pipeline report error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error building pipeline report",
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,397 +1,623 @@
 import express from "express";
-import { protect, authorize } from "../middleware/auth.js";
+import {
+  protect,
+  requirePermission,
+  canActOn,
+  requireVerifiedEmail,
+  acceptApiKeys,
+  requireScope,
+} from "../middleware/auth.js";
+import { requireOrganization } from "../middleware/organization.js";
 import {
   validateCreateProject,
   validateUpdateProject,
   validateProjectQuery,
+  validateProjectExportQuery,
 } from "../validation/project.js";
-import Project from "../models/Project.js";
+import Project, { PROJECT_SEARCH_FIELDS } from "../models/Project.js";
 import Client from "../models/Client.js";
+import ClientActivity from "../models/ClientActivity.js";
+import Pipeline from "../models/Pipeline.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import { selectColumns, streamExport } from "../utils/export.js";
+import {
+  buildSearchFilter,
+  TEXT_SCORE,
+  relevanceSort,
+  withHighlights,
+} from "../utils/search.js";
 
 const router = express.Router();
 
-// Apply protection to all routes
-router.use(protect);
+// Apply protection to all routes (API keys are accepted here) and scope
+// them to the active organization
+router.use(acceptApiKeys, protect, requireOrganization);
+
+// Build the project filter from validated list/export query parameters
+const buildProjectQuery = ({
+  search,
+  status,
+  clientId,
+  startDateFrom,
+  startDateTo,
+  endDateFrom,
+  endDateTo,
+  budgetMin,
+  budgetMax,
+}) => {
+  const query = {};
+
+  // Text search (see utils/search.js for the syntax)
+  if (search) {
+    Object.assign(query, buildSearchFilter(search, PROJECT_SEARCH_FIELDS));
+  }
 
-// @desc    Get all projects
-// @route   GET /api/projects
-// @access  Private
-router.get("/", validateProjectQuery, async (req, res) => {
-  try {
-    const {
-      page,
-      limit,
-      search,
-      status,
-      clientId,
-      sortBy,
-      sortOrder,
-      startDateFrom,
-      startDateTo,
-      endDateFrom,
-      endDateTo,
-      budgetMin,
-      budgetMax,
-    } = req.query;
-
-    // Build query
-    let query = {};
-
-    // Search functionality
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-      ];
-    }
+  // Status filter
+  if (status) {
+    query.status = status;
+  }
 
-    // Status filter
-    if (status) {
-      query.status = status;
-    }
+  // Client filter
+  if (clientId) {
+    query.clientId = clientId;
+  }
 
-    // Client filter
-    if (clientId) {
-      query.clientId = clientId;
-    }
+  // Date range filters
+  if (startDateFrom || startDateTo) {
+    query.startDate = {};
+    if (startDateFrom) query.startDate.$gte = new Date(startDateFrom);
+    if (startDateTo) query.startDate.$lte = new Date(startDateTo);
+  }
 
-    // Date range filters
-    if (startDateFrom || startDateTo) {
-      query.startDate = {};
-      if (startDateFrom) query.startDate.$gte = new Date(startDateFrom);
-      if (startDateTo) query.startDate.$lte = new Date(startDateTo);
-    }
+  if (endDateFrom || endDateTo) {
+    query.endDate = {};
+    if (endDateFrom) query.endDate.$gte = new Date(endDateFrom);
+    if (endDateTo) query.endDate.$lte = new Date(endDateTo);
+  }
 
-    if (endDateFrom || endDateTo) {
-      query.endDate = {};
-      if (endDateFrom) query.endDate.$gte = new Date(endDateFrom);
-      if (endDateTo) query.endDate.$lte = new Date(endDateTo);
-    }
+  // Budget range filters
+  if (budgetMin || budgetMax) {
+    query.budget = {};
+    if (budgetMin) query.budget.$gte = budgetMin;
+    if (budgetMax) query.budget.$lte = budgetMax;
+  }
 
-    // Budget range filters
-    if (budgetMin || budgetMax) {
-      query.budget = {};
-      if (budgetMin) query.budget.$gte = budgetMin;
-      if (budgetMax) query.budget.$lte = budgetMax;
-    }
+  return query;
+};
+
+// Build the sort object; relevance sorts by text score
+const buildProjectSort = ({ sortBy, sortOrder }, query) =>
+  sortBy === "relevance"
+    ? relevanceSort(query)
+    : { [sortBy]: sortOrder === "asc" ? 1 : -1 };
+
+// Columns available in project exports, with the populated client and
+// creator flattened into their own columns
+const PROJECT_EXPORT_COLUMNS = [
+  { header: "id", value: (project) => project._id },
+  { header: "title", value: (project) => project.title },
+  { header: "description", value: (project) => project.description },
+  { header: "status", value: (project) => project.status },
+  { header: "startDate", value: (project) => project.startDate },
+  { header: "endDate", value: (project) => project.endDate },
+  { header: "budget", value: (project) => project.budget },
+  { header: "client.id", value: (project) => project.clientId?._id },
+  { header: "client.name", value: (project) => project.clientId?.name },
+  { header: "client.company", value: (project) => project.clientId?.company },
+  { header: "client.email", value: (project) => project.clientId?.email },
+  { header: "createdBy.id", value: (project) => project.createdBy?._id },
+  { header: "createdBy.name", value: (project) => project.createdBy?.name },
+  { header: "createdBy.email", value: (project) => project.createdBy?.email },
+  { header: "createdAt", value: (project) => project.createdAt },
+  { header: "updatedAt", value: (project) => project.updatedAt },
+];
 
-    // Calculate pagination
-    const skip = (page - 1) * limit;
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === "asc" ? 1 : -1;
-
-    // Execute query with pagination and populate
-    const projects = await Project.find(query)
-      .populate("clientId", "name company email")
-      .populate("createdBy", "name email")
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
-
-    // Get total count for pagination
-    const total = await Project.countDocuments(query);
-
-    // Calculate pagination info
-    const totalPages = Math.ceil(total / limit);
-    const hasNextPage = page < totalPages;
-    const hasPrevPage = page > 1;
-
-    res.status(200).json({
-      status: "success",
-      data: {
-        projects,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalRecords: total,
-          hasNextPage,
-          hasPrevPage,
-          limit,
+// @desc    Get all projects
+// @route   GET /api/projects
+// @access  Private
+router.get(
+  "/",
+  requireScope("projects:read"),
+  requirePermission("project.read"),
+  validateProjectQuery,
+  async (req, res) => {
+    try {
+      const { page, limit, search } = req.query;
+
+      // Build query
+      const query = buildProjectQuery(req.query);
+
+      // Calculate pagination
+      const skip = (page - 1) * limit;
+
+      // Build sort object
+      const sort = buildProjectSort(req.query, query);
+
+      // Execute query with pagination and populate
+      const projects = await Project.find(query)
+        .select(query.$text ? TEXT_SCORE : {})
+        .populate("clientId", "name company email")
+        .populate("createdBy", "name email")
+        .sort(sort)
+        .skip(skip)
+        .limit(limit);
+
+      // Get total count for pagination
+      const total = await Project.countDocuments(query);
+
+      // Calculate pagination info
+      const totalPages = Math.ceil(total / limit);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          projects: search
+            ? withHighlights(projects, search, PROJECT_SEARCH_FIELDS)
+            : projects,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalRecords: total,
+            hasNextPage,
+            hasPrevPage,
+            limit,
+          },
         },
-      },
-    });
-  } catch (error) {
-    console.error("Get projects error:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Error fetching projects",
-    });
+      });
+    } catch (error) {
+      console.error("Get projects error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error fetching projects",
+      });
+    }
   }
-});
+);
+
+// @desc    Export projects as CSV, XLSX or NDJSON, with the same filters as
+//          the project list
+// @route   GET /api/projects/export
+// @access  Private
+router.get(
+  "/export",
+  requireScope("projects:read"),
+  requirePermission("project.read"),
+  validateProjectExportQuery,
+  async (req, res) => {
+    try {
+      const { format, columns: names } = req.query;
+
+      const { columns, error } = selectColumns(PROJECT_EXPORT_COLUMNS, names);
+      if (error) {
+        return res.status(400).json({
+          status: "error",
+          message: error,
+        });
+      }
+
+      const query = buildProjectQuery(req.query);
+      const cursor = Project.find(query)
+        .populate("clientId", "name company email")
+        .populate("createdBy", "name email")
+        .sort(buildProjectSort(req.query, query))
+        .cursor();
+
+      try {
+        await streamExport(res, {
+          format,
+          filename: "projects",
+          sheetName: "Projects",
+          columns,
+          docs: cursor,
+        });
+      } finally {
+        await cursor.close();
+      }
+    } catch (error) {
+      console.error("Export projects error:", error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        status: "error",
+        message: "Error exporting projects",
+      });
+    }
+  }
+);
 
 // @desc    Get single project
 // @route   GET /api/projects/:id
 // @access  Private
-router.get("/:id", async (req, res) => {
-  try {
-    const project = await Project.findById(req.params.id)
-      .populate("clientId", "name company email phone address")
-      .populate("createdBy", "name email role");
-
-    if (!project) {
-      return res.status(404).json({
+router.get(
+  "/:id",
+  requireScope("projects:read"),
+  requirePermission("project.read"),
+  async (req, res) => {
+    try {
+      const project = await Project.findById(req.params.id)
+        .populate("clientId", "name company email phone address")
+        .populate("createdBy", "name email role");
+
+      if (!project) {
+        return res.status(404).json({
+          status: "error",
+          message: "Project not found",
+        });
+      }
+
+      res.status(200).json({
+        status: "success",
+        data: { project },
+      });
+    } catch (error) {
+      console.error("Get project error:", error);
+      res.status(500).json({
         status: "error",
-        message: "Project not found",
+        message: "Error fetching project",
       });
     }
-
-    res.status(200).json({
-      status: "success",
-      data: { project },
-    });
-  } catch (error) {
-    console.error("Get project error:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Error fetching project",
-    });
   }
-});
+);
 
 // @desc    Create new project
 // @route   POST /api/projects
 // @access  Private
-router.post("/", validateCreateProject, async (req, res) => {
-  try {
-    const { title, description, clientId, status, startDate, endDate, budget } =
-      req.body;
-
-    // Verify client exists and is active
-    const client = await Client.findById(clientId);
-    if (!client) {
-      return res.status(404).json({
-        status: "error",
-        message: "Client not found",
+router.post(
+  "/",
+  requireScope("projects:write"),
+  requirePermission("project.create"),
+  requireVerifiedEmail,
+  validateCreateProject,
+  async (req, res) => {
+    try {
+      const {
+        title,
+        description,
+        clientId,
+        status,
+        startDate,
+        endDate,
+        budget,
+      } = req.body;
+
+      // Verify client exists and is active
+      const client = await Client.findById(clientId);
+      if (!client) {
+        return res.status(404).json({
+          status: "error",
+          message: "Client not found",
+        });
+      }
+
+      // Clients whose pipeline stage doesn't accept projects are inactive
+      const pipeline = await Pipeline.forOrganization(req.organization._id);
+      if (!pipeline.acceptsProjects(client.status)) {
+        return res.status(400).json({
+          status: "error",
+          message: "Cannot create project for inactive client",
+        });
+      }
+
+      if (client.archivedAt) {
+        return res.status(400).json({
+          status: "error",
+          message: "Cannot create project for archived client",
+        });
+      }
+
+      const project = await Project.create({
+        title,
+        description,
+        clientId,
+        status,
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+        budget,
+        createdBy: req.user.id,
       });
-    }
 
-    if (client.status === "inactive") {
-      return res.status(400).json({
+      await ClientActivity.record(clientId, "project.created", {
+        actor: req.user.id,
+        project: project._id,
+        metadata: { title: project.title },
+      });
+      if (project.status === "completed") {
+        await ClientActivity.record(clientId, "project.completed", {
+          actor: req.user.id,
+          project: project._id,
+          metadata: { title: project.title },
+        });
+      }
+
+      // Populate the created project
+      await project.populate([
+        { path: "clientId", select: "name company email" },
+        { path: "createdBy", select: "name email" },
+      ]);
+
+      res.status(201).json({
+        status: "success",
+        message: "Project created successfully",
+        data: { project },
+      });
+    } catch (error) {
+      console.error("Create project error:", error);
+      res.status(500).json({
         status: "error",
-        message: "Cannot create project for inactive client",
+        message: "Error creating project",
       });
     }
-
-    const project = await Project.create({
-      title,
-      description,
-      clientId,
-      status,
-      startDate: new Date(startDate),
-      endDate: new Date(endDate),
-      budget,
-      createdBy: req.user.id,
-    });
-
-    // Populate the created project
-    await project.populate([
-      { path: "clientId", select: "name company email" },
-      { path: "createdBy", select: "name email" },
-    ]);
-
-    res.status(201).json({
-      status: "success",
-      message: "Project created successfully",
-      data: { project },
-    });
-  } catch (error) {
-    console.error("Create project error:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Error creating project",
-    });
   }
-});
+);
 
 // @desc    Update project
 // @route   PUT /api/projects/:id
-// @access  Private
-router.put("/:id", validateUpdateProject, async (req, res) => {
-  try {
-    const updateData = { ...req.body };
+// @access  Private (project.update.any, or project.update.own for own projects)
+router.put(
+  "/:id",
+  requireScope("projects:write"),
+  requirePermission("project.update.any", "project.update.own"),
+  requireVerifiedEmail,
+  validateUpdateProject,
+  async (req, res) => {
+    try {
+      const updateData = { ...req.body };
 
-    // If clientId is being updated, verify the new client exists and is active
-    if (updateData.clientId) {
-      const client = await Client.findById(updateData.clientId);
-      if (!client) {
+      const existingProject = await Project.findById(req.params.id);
+      if (!existingProject) {
         return res.status(404).json({
           status: "error",
-          message: "Client not found",
+          message: "Project not found",
         });
       }
 
-      if (client.status === "inactive") {
-        return res.status(400).json({
+      if (!canActOn(req, "project.update", existingProject.createdBy)) {
+        await recordAuditEvent(req, {
+          event: "authorization.denied",
+          outcome: "denied",
+          user: req.user,
+          reason: "Not the project owner",
+          metadata: { project: existingProject._id },
+        });
+
+        return res.status(403).json({
           status: "error",
-          message: "Cannot assign project to inactive client",
+          message: "Not authorized to update this project",
         });
       }
-    }
 
-    // Convert date strings to Date objects if provided
-    if (updateData.startDate) {
-      updateData.startDate = new Date(updateData.startDate);
-    }
-    if (updateData.endDate) {
-      updateData.endDate = new Date(updateData.endDate);
-    }
+      // If clientId is being updated, verify the new client exists and is active
+      if (updateData.clientId) {
+        const client = await Client.findById(updateData.clientId);
+        if (!client) {
+          return res.status(404).json({
+            status: "error",
+            message: "Client not found",
+          });
+        }
+
+        const pipeline = await Pipeline.forOrganization(req.organization._id);
+        if (!pipeline.acceptsProjects(client.status)) {
+          return res.status(400).json({
+            status: "error",
+            message: "Cannot assign project to inactive client",
+          });
+        }
+
+        if (client.archivedAt) {
+          return res.status(400).json({
+            status: "error",
+            message: "Cannot assign project to archived client",
+          });
+        }
+      }
+
+      // Convert date strings to Date objects if provided
+      if (updateData.startDate) {
+        updateData.startDate = new Date(updateData.startDate);
+      }
+      if (updateData.endDate) {
+        updateData.endDate = new Date(updateData.endDate);
+      }
 
-    const project = await Project.findByIdAndUpdate(req.params.id, updateData, {
-      new: true,
-      runValidators: true,
-    }).populate([
-      { path: "clientId", select: "name company email" },
-      { path: "createdBy", select: "name email" },
-    ]);
+      const project = await Project.findByIdAndUpdate(
+        req.params.id,
+        updateData,
+        {
+          new: true,
+          runValidators: true,
+        }
+      ).populate([
+        { path: "clientId", select: "name company email" },
+        { path: "createdBy", select: "name email" },
+      ]);
+
+      if (!project) {
+        return res.status(404).json({
+          status: "error",
+          message: "Project not found",
+        });
+      }
 
-    if (!project) {
-      return res.status(404).json({
+      if (
+        project.status === "completed" &&
+        existingProject.status !== "completed"
+      ) {
+        await ClientActivity.record(
+          updateData.clientId || existingProject.clientId,
+          "project.completed",
+          {
+            actor: req.user.id,
+            project: project._id,
+            metadata: { title: project.title },
+          }
+        );
+      }
+
+      res.status(200).json({
+        status: "success",
+        message: "Project updated successfully",
+        data: { project },
+      });
+    } catch (error) {
+      console.error("Update project error:", error);
+      res.status(500).json({
         status: "error",
-        message: "Project not found",
+        message: "Error updating project",
       });
     }
-
-    res.status(200).json({
-      status: "success",
-      message: "Project updated successfully",
-      data: { project },
-    });
-  } catch (error) {
-    console.error("Update project error:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Error updating project",
-    });
   }
-});
+);
 
 // @desc    Delete project
 // @route   DELETE /api/projects/:id
-// @access  Private
-router.delete("/:id", async (req, res) => {
-  try {
-    const project = await Project.findById(req.params.id);
+// @access  Private (project.delete.any, or project.delete.own for own projects)
+router.delete(
+  "/:id",
+  requireScope("projects:write"),
+  requirePermission("project.delete.any", "project.delete.own"),
+  requireVerifiedEmail,
+  async (req, res) => {
+    try {
+      const project = await Project.findById(req.params.id);
+
+      if (!project) {
+        return res.status(404).json({
+          status: "error",
+          message: "Project not found",
+        });
+      }
 
-    if (!project) {
-      return res.status(404).json({
-        status: "error",
-        message: "Project not found",
-      });
-    }
+      // Only allow deletion of own projects unless allowed on any project
+      if (!canActOn(req, "project.delete", project.createdBy)) {
+        await recordAuditEvent(req, {
+          event: "authorization.denied",
+          outcome: "denied",
+          user: req.user,
+          reason: "Not the project owner",
+          metadata: { project: project._id },
+        });
+
+        return res.status(403).json({
+          status: "error",
+          message: "Not authorized to delete this project",
+        });
+      }
+
+      await Project.findByIdAndDelete(req.params.id);
 
-    // Only allow deletion by project creator or admin
-    if (
-      project.createdBy.toString() !== req.user.id &&
-      req.user.role !== "admin"
-    ) {
-      return res.status(403).json({
+      res.status(200).json({
+        status: "success",
+        message: "Project deleted successfully",
+      });
+    } catch (error) {
+      console.error("Delete project error:", error);
+      res.status(500).json({
         status: "error",
-        message: "Not authorized to delete this project",
+        message: "Error deleting project",
       });
     }
-
-    await Project.findByIdAndDelete(req.params.id);
-
-    res.status(200).json({
-      status: "success",
-      message: "Project deleted successfully",
-    });
-  } catch (error) {
-    console.error("Delete project error:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Error deleting project",
-    });
   }
-});
+);
 
 // @desc    Get projects by client
 // @route   GET /api/projects/client/:clientId
 // @access  Private
-router.get("/client/:clientId", async (req, res) => {
-  try {
-    const { clientId } = req.params;
-
-    // Verify client exists
-    const client = await Client.findById(clientId);
-    if (!client) {
-      return res.status(404).json({
+router.get(
+  "/client/:clientId",
+  requireScope("projects:read"),
+  requirePermission("project.read"),
+  async (req, res) => {
+    try {
+      const { clientId } = req.params;
+
+      // Verify client exists
+      const client = await Client.findById(clientId);
+      if (!client) {
+        return res.status(404).json({
+          status: "error",
+          message: "Client not found",
+        });
+      }
+
+      const projects = await Project.find({ clientId })
+        .populate("createdBy", "name email")
+        .sort({ createdAt: -1 });
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          client: {
+            id: client._id,
+            name: client.name,
+            company: client.company,
+          },
+          projects,
+        },
+      });
+    } catch (error) {
+      console.error("Get projects by client error:", error);
+      res.status(500).json({
         status: "error",
-        message: "Client not found",
+        message: "Error fetching projects",
       });
     }
-
-    const projects = await Project.find({ clientId })
-      .populate("createdBy", "name email")
-      .sort({ createdAt: -1 });
-
-    res.status(200).json({
-      status: "success",
-      data: {
-        client: {
-          id: client._id,
-          name: client.name,
-          company: client.company,
-        },
-        projects,
-      },
-    });
-  } catch (error) {
-    console.error("Get projects by client error:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Error fetching projects",
-    });
   }
-});
+);
 
 // @desc    Get project statistics
 // @route   GET /api/projects/stats
 // @access  Private
-router.get("/stats/overview", async (req, res) => {
-  try {
-    const stats = await Project.aggregate([
-      {
-        $group: {
-          _id: "$status",
-          count: { $sum: 1 },
-          totalBudget: { $sum: "$budget" },
-          avgBudget: { $avg: "$budget" },
+router.get(
+  "/stats/overview",
+  requireScope("projects:read"),
+  requirePermission("project.read"),
+  async (req, res) => {
+    try {
+      const stats = await Project.aggregate([
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+            totalBudget: { $sum: "$budget" },
+            avgBudget: { $avg: "$budget" },
+          },
         },
-      },
-    ]);
-
-    const totalProjects = await Project.countDocuments();
-    const totalBudget = await Project.aggregate([
-      { $group: { _id: null, total: { $sum: "$budget" } } },
-    ]);
-
-    const overallStats = {
-      totalProjects,
-      totalBudget: totalBudget[0]?.total || 0,
-      statusBreakdown: stats.reduce((acc, stat) => {
-        acc[stat._id] = {
-          count: stat.count,
-          totalBudget: stat.totalBudget,
-          avgBudget: Math.round(stat.avgBudget),
-        };
-        return acc;
-      }, {}),
-    };
-
-    res.status(200).json({
-      status: "success",
-      data: { stats: overallStats },
-    });
-  } catch (error) {
-    console.error("Get project stats error:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Error fetching project statistics",
-    });
+      ]);
+
+      const totalProjects = await Project.countDocuments();
+      const totalBudget = await Project.aggregate([
+        { $group: { _id: null, total: { $sum: "$budget" } } },
+      ]);
+
+      const overallStats = {
+        totalProjects,
+        totalBudget: totalBudget[0]?.total || 0,
+        statusBreakdown: stats.reduce((acc, stat) => {
+          acc[stat._id] = {
+            count: stat.count,
+            totalBudget: stat.totalBudget,
+            avgBudget: Math.round(stat.avgBudget),
+          };
+          return acc;
+        }, {}),
+      };
+
+      res.status(200).json({
+        status: "success",
+        data: { stats: overallStats },
+      });
+    } catch (error) {
+      console.error("Get project stats error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error fetching project statistics",
+      });
+    }
   }
-});
+);
 
 export default router;
@@ -0,0 +1,184 @@
+import express from "express";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { validateCreateRole, validateUpdateRole } from "../validation/role.js";
+import { PERMISSIONS, BUILT_IN_ROLES } from "../config/permissions.js";
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+import Membership from "../models/Membership.js";
+import { recordAuditEvent } from "../utils/audit.js";
+
+const router = express.Router();
+
+// The parts of a role definition recorded in the audit log
+const auditedRole = (role) => ({
+  name: role.name,
+  permissions: [...role.permissions],
+});
+
+// Apply protection to all routes
+router.use(protect, requirePermission("role.manage"));
+
+// @desc    Get all roles (built-in and custom) and the permission catalogue
+// @route   GET /api/roles
+// @access  Private (role.manage)
+router.get("/", async (req, res) => {
+  try {
+    const customRoles = await Role.find().sort({ name: 1 });
+
+    const builtInRoles = Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+      name,
+      description: role.description,
+      permissions: role.permissions,
+      builtIn: true,
+    }));
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        roles: [
+          ...builtInRoles,
+          ...customRoles.map((role) => ({ ...role.toJSON(), builtIn: false })),
+        ],
+        permissions: PERMISSIONS,
+      },
+    });
+  } catch (error) {
+    console.error("Get roles error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching roles",
+    });
+  }
+});
+
+// @desc    Create a custom role
+// @route   POST /api/roles
+// @access  Private (role.manage)
+router.post("/", validateCreateRole, async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    // Built-in names are taken too
+    const nameTaken = await Role.isAssignable(name.trim().toLowerCase());
+    if (nameTaken) {
+      return res.status(400).json({
+        status: "error",
+        message: "Role with this name already exists",
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      createdBy: req.user.id,
+    });
+
+    await recordAuditEvent(req, {
+      event: "role.changed",
+      outcome: "success",
+      actor: req.user,
+      metadata: { role: role._id, from: null, to: auditedRole(role) },
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Role created successfully",
+      data: { role },
+    });
+  } catch (error) {
+    console.error("Create role error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error creating role",
+    });
+  }
+});
+
+// @desc    Update a custom role
+// @route   PUT /api/roles/:id
+// @access  Private (role.manage)
+router.put("/:id", validateUpdateRole, async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        status: "error",
+        message: "Role not found",
+      });
+    }
+
+    const previous = auditedRole(role);
+    role.set(req.body);
+    await role.save();
+
+    await recordAuditEvent(req, {
+      event: "role.changed",
+      outcome: "success",
+      actor: req.user,
+      metadata: { role: role._id, from: previous, to: auditedRole(role) },
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Role updated successfully",
+      data: { role },
+    });
+  } catch (error) {
+    console.error("Update role error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error updating role",
+    });
+  }
+});
+
+// @desc    Delete a custom role
+// @route   DELETE /api/roles/:id
+// @access  Private (role.manage)
+router.delete("/:id", async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        status: "error",
+        message: "Role not found",
+      });
+    }
+
+    // Count account roles and organization roles alike
+    const assignedUsers =
+      (await User.countDocuments({ role: role.name })) +
+      (await Membership.countDocuments({ role: role.name }));
+    if (assignedUsers > 0) {
+      return res.status(400).json({
+        status: "error",
+        message: `Cannot delete role assigned to ${assignedUsers} user(s). Reassign them first.`,
+      });
+    }
+
+    await Role.findByIdAndDelete(req.params.id);
+
+    await recordAuditEvent(req, {
+      event: "role.changed",
+      outcome: "success",
+      actor: req.user,
+      metadata: { role: role._id, from: auditedRole(role), to: null },
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "Role deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete role error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error deleting role",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,265 @@
+import express from "express";
+import jwt from "jsonwebtoken";
+import rateLimit from "express-rate-limit";
+import {
+  validateTwoFactorConfirm,
+  validateTwoFactorDisable,
+  validateTwoFactorLogin,
+} from "../validation/auth.js";
+import { generateAuthTokens, protect } from "../middleware/auth.js";
+import User from "../models/User.js";
+import { generateSecret, buildOtpauthUri, verifyCode } from "../utils/totp.js";
+import { recordAuditEvent } from "../utils/audit.js";
+
+const router = express.Router();
+
+const TWO_FACTOR_FIELDS =
+  "+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes";
+
+// Rate limiting for code submission
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 code attempts per windowMs
+  message: {
+    status: "error",
+    message: "Too many two-factor attempts, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  // Tests submit many codes from one IP
+  skip: () => process.env.NODE_ENV === "test",
+});
+
+// @desc    Start 2FA enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post("/setup", protect, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: "error",
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateSecret();
+    req.user.twoFactorPendingSecret = secret;
+    await req.user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: "success",
+      message: "Scan the URI with your authenticator app, then confirm a code",
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(
+          secret,
+          req.user.email,
+          process.env.TWO_FACTOR_ISSUER || "Workcity"
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error starting two-factor setup",
+    });
+  }
+});
+
+// @desc    Confirm 2FA enrollment and issue recovery codes
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+router.post(
+  "/confirm",
+  twoFactorLimiter,
+  protect,
+  validateTwoFactorConfirm,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id).select(
+        "+twoFactorPendingSecret"
+      );
+
+      if (!user.twoFactorPendingSecret) {
+        return res.status(400).json({
+          status: "error",
+          message: "No two-factor setup in progress",
+        });
+      }
+
+      const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({
+          status: "error",
+          message: "Invalid authentication code",
+        });
+      }
+
+      user.twoFactorSecret = user.twoFactorPendingSecret;
+      user.twoFactorPendingSecret = undefined;
+      user.twoFactorLastUsedStep = step;
+      user.twoFactorEnabled = true;
+      const recoveryCodes = user.generateRecoveryCodes();
+      await user.save({ validateBeforeSave: false });
+
+      res.status(200).json({
+        status: "success",
+        message:
+          "Two-factor authentication enabled. Store these recovery codes safely; they will not be shown again",
+        data: { recoveryCodes },
+      });
+    } catch (error) {
+      console.error("2FA confirm error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error confirming two-factor setup",
+      });
+    }
+  }
+);
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post(
+  "/disable",
+  twoFactorLimiter,
+  protect,
+  validateTwoFactorDisable,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id).select(
+        `+password ${TWO_FACTOR_FIELDS}`
+      );
+
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({
+          status: "error",
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+
+      const isMatch = await user.matchPassword(req.body.password);
+      if (!isMatch || !user.verifyTwoFactorCode(req.body.code)) {
+        return res.status(401).json({
+          status: "error",
+          message: "Invalid credentials",
+        });
+      }
+
+      user.twoFactorEnabled = false;
+      user.twoFactorSecret = undefined;
+      user.twoFactorLastUsedStep = undefined;
+      user.twoFactorRecoveryCodes = [];
+      await user.save({ validateBeforeSave: false });
+
+      res.status(200).json({
+        status: "success",
+        message: "Two-factor authentication disabled",
+      });
+    } catch (error) {
+      console.error("2FA disable error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error disabling two-factor authentication",
+      });
+    }
+  }
+);
+
+// @desc    Complete a 2FA login by exchanging the challenge token and a code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+router.post(
+  "/verify",
+  twoFactorLimiter,
+  validateTwoFactorLogin,
+  async (req, res) => {
+    try {
+      let decoded;
+      try {
+        decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+      } catch (error) {
+        decoded = null;
+      }
+
+      if (!decoded || decoded.purpose !== "2fa-challenge") {
+        return res.status(401).json({
+          status: "error",
+          message: "Invalid or expired challenge token",
+        });
+      }
+
+      const user = await User.findById(decoded.id).select(
+        `+tokenVersion ${TWO_FACTOR_FIELDS}`
+      );
+
+      if (!user || !user.twoFactorEnabled || user.status === "disabled") {
+        return res.status(401).json({
+          status: "error",
+          message: "Invalid or expired challenge token",
+        });
+      }
+
+      if (user.isLocked) {
+        return res.status(423).json({
+          status: "error",
+          message: `Account is temporarily locked due to repeated failed logins. Try again in ${Math.ceil(
+            (user.lockUntil - Date.now()) / 60000
+          )} minute(s)`,
+        });
+      }
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      if (!user.verifyTwoFactorCode(req.body.code)) {
+        await user.registerFailedLogin(req.ip);
+        await recordAuditEvent(req, {
+          event: "auth.two-factor",
+          outcome: "failure",
+          user,
+          reason: "Invalid authentication code",
+        });
+        return res.status(401).json({
+          status: "error",
+          message: "Invalid authentication code",
+        });
+      }
+      await user.save({ validateBeforeSave: false });
+      await user.registerSuccessfulLogin(req.ip);
+      await recordAuditEvent(req, {
+        event: "auth.two-factor",
+        outcome: "success",
+        user,
+      });
+
+      const { token, refreshToken } = await generateAuthTokens(user, req);
+
+      res.status(200).json({
+        status: "success",
+        message: "Login successful",
+        data: {
+          user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            emailVerified: user.emailVerified,
+            createdAt: user.createdAt,
+          },
+          token,
+          refreshToken,
+          recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+        },
+      });
+    } catch (error) {
+      console.error("2FA verify error:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Error verifying two-factor code",
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,310 @@
+import express from "express";
+import { protect, requirePermission } from "../middleware/auth.js";
+import {
+  validateUpdateRole,
+  validateUpdateStatus,
+  validateUserQuery,
+} from "../validation/user.js";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import ApiKey from "../models/ApiKey.js";
+import Role from "../models/Role.js";
+import { sendPasswordResetEmail } from "../utils/emails.js";
+import { recordAuditEvent } from "../utils/audit.js";
+import { escapeRegex } from "../utils/search.js";
+
+const router = express.Router();
+
+// Apply protection to all routes
+router.use(protect, requirePermission("user.manage"));
+
+// Whether demoting or disabling this user would leave no active admin
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== "admin" || user.status !== "active") return false;
+
+  const otherAdmins = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: "admin",
+    status: "active",
+  });
+  return otherAdmins === 0;
+};
+
+// Sign a user out of every session and invalidate outstanding access tokens
+const revokeAllSessions = async (user) => {
+  await User.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+  await Session.revokeAllForUser(user._id, "logout");
+};
+
+// @desc    Get all users
+// @route   GET /api/users
+// @access  Private (user.manage)
+router.get("/", validateUserQuery, async (req, res) => {
+  try {
+    const { page, limit, search, role, status, sortBy, sortOrder } = req.query;
+
+    // Build query
+    const query = {};
+
+    // Search functionality
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { name: { $regex: pattern, $options: "i" } },
+        { email: { $regex: pattern, $options: "i" } },
+      ];
+    }
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    // Build sort object
+    const sort = {};
+    sort[sortBy] = sortOrder === "asc" ? 1 : -1;
+
+    const users = await User.find(query).sort(sort).skip(skip).limit(limit);
+
+    const total = await User.countDocuments(query);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(total / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        users,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalRecords: total,
+          hasNextPage,
+          hasPrevPage,
+          limit,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get users error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching users",
+    });
+  }
+});
+
+// @desc    Get single user
+// @route   GET /api/users/:id
+// @access  Private (user.manage)
+router.get("/:id", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: { user },
+    });
+  } catch (error) {
+    console.error("Get user error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error fetching user",
+    });
+  }
+});
+
+// @desc    Change a user's role
+// @route   PATCH /api/users/:id/role
+// @access  Private (user.manage)
+router.patch("/:id/role", validateUpdateRole, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    // Validation middleware doesn't normalize the body
+    const role = req.body.role.trim().toLowerCase();
+
+    if (!(await Role.isAssignable(role))) {
+      return res.status(400).json({
+        status: "error",
+        message: `Role ${role} does not exist`,
+      });
+    }
+
+    if (role !== "admin" && (await isLastActiveAdmin(user))) {
+      return res.status(400).json({
+        status: "error",
+        message: "Cannot demote the last active admin",
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, {
+      event: "role.changed",
+      outcome: "success",
+      user,
+      actor: req.user,
+      metadata: { from: previousRole, to: role },
+    });
+
+    res.status(200).json({
+      status: "success",
+      message: "User role updated successfully",
+      data: { user },
+    });
+  } catch (error) {
+    console.error("Update user role error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error updating user role",
+    });
+  }
+});
+
+// @desc    Activate or deactivate a user
+// @route   PATCH /api/users/:id/status
+// @access  Private (user.manage)
+router.patch("/:id/status", validateUpdateStatus, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    if (req.body.status === "disabled" && (await isLastActiveAdmin(user))) {
+      return res.status(400).json({
+        status: "error",
+        message: "Cannot disable the last active admin",
+      });
+    }
+
+    user.status = req.body.status;
+    await user.save({ validateBeforeSave: false });
+
+    // Disabled users lose their sessions immediately
+    if (user.status === "disabled") {
+      await revokeAllSessions(user);
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: `User ${
+        user.status === "active" ? "activated" : "deactivated"
+      } successfully`,
+      data: { user },
+    });
+  } catch (error) {
+    console.error("Update user status error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error updating user status",
+    });
+  }
+});
+
+// @desc    Force a password reset and email the user a reset link
+// @route   POST /api/users/:id/reset-password
+// @access  Private (user.manage)
+router.post("/:id/reset-password", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    // Assume the account may be compromised: the current password stops
+    // working, and every session, access token and API key is revoked
+    const resetToken = user.createPasswordResetToken();
+    user.mustResetPassword = true;
+    await user.save({ validateBeforeSave: false });
+    await revokeAllSessions(user);
+    await ApiKey.revokeAllForUser(user._id);
+
+    await sendPasswordResetEmail(user, resetToken, { requestedByAdmin: true });
+
+    res.status(200).json({
+      status: "success",
+      message:
+        "Password reset: the current password no longer works, all sessions and API keys were revoked and a reset link was emailed",
+    });
+  } catch (error) {
+    console.error("Admin reset password error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error resetting user password",
+    });
+  }
+});
+
+// @desc    Unlock an account locked by failed logins
+// @route   POST /api/users/:id/unlock
+// @access  Private (user.manage)
+router.post("/:id/unlock", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "User not found",
+      });
+    }
+
+    await user.unlock();
+
+    res.status(200).json({
+      status: "success",
+      message: "User account unlocked successfully",
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          failedLoginAttempts: user.failedLoginAttempts,
+          lockUntil: user.lockUntil,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Unlock user error:", error);
+    res.status(500).json({
+      status: "error",
+      message: "Error unlocking user",
+    });
+  }
+});
+
+export default router;
@@ -8,19 +8,33 @@ import xss from "xss-clean";
 import dotenv from "dotenv";
 import connectDB from "./config/database.js";
 import errorHandler from "./middleware/errorHandler.js";
+import { getTransport } from "./utils/mailer.js";
 
 dotenv.config({ path: "./.env.example" });
 
 // Import routes
 import authRoutes from "./routes/auth.js";
+import twoFactorRoutes from "./routes/twoFactor.js";
+import oidcRoutes from "./routes/oidc.js";
+import invitationRoutes from "./routes/invitations.js";
 import clientRoutes from "./routes/clients.js";
 import projectRoutes from "./routes/projects.js";
+import userRoutes from "./routes/users.js";
+import apiKeyRoutes from "./routes/apiKeys.js";
+import roleRoutes from "./routes/roles.js";
+import organizationRoutes from "./routes/organizations.js";
+import auditLogRoutes from "./routes/auditLogs.js";
+import customFieldRoutes from "./routes/customFields.js";
+import pipelineRoutes from "./routes/pipeline.js";
 
 const app = express();
 
 // Connect to database
 connectDB();
 
+// Fail at startup, not on the first email, if mail isn't configured
+getTransport();
+
 // Security middleware
 app.use(helmet());
 
@@ -69,8 +83,18 @@ app.get("/health", (req, res) => {
 
 // API routes
 app.use("/api/auth", authRoutes);
+app.use("/api/auth/2fa", twoFactorRoutes);
+app.use("/api/auth/oidc", oidcRoutes);
+app.use("/api/invitations", invitationRoutes);
 app.use("/api/clients", clientRoutes);
 app.use("/api/projects", projectRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/organizations", organizationRoutes);
+app.use("/api/audit-logs", auditLogRoutes);
+app.use("/api/custom-fields", customFieldRoutes);
+app.use("/api/pipeline", pipelineRoutes);
 
 // Handle undefined routes
 app.all("*", (req, res) => {
@@ -0,0 +1,82 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  createTestProject,
+  expectAuthError,
+  expectAuthorizationError,
+  expectSuccessResponse,
+} from "./helpers";
+
+describe("API keys", () => {
+  let userToken;
+
+  const createKey = (scopes) =>
+    request(app)
+      .post("/api/api-keys")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ name: "BI export", scopes });
+
+  beforeEach(async () => {
+    const { token } = await createTestUser({ email: "owner@example.com" });
+    userToken = token;
+    await createTestProject();
+  });
+
+  test("should show the key only once and store a prefix", async () => {
+    const response = await createKey(["projects:read"]);
+
+    expectSuccessResponse(response, 201);
+    expect(response.body.data.key).toMatch(/^wc_[a-f0-9]{48}$/);
+    expect(response.body.data.apiKey.prefix).toBe(
+      response.body.data.key.slice(0, 11)
+    );
+    expect(response.body.data.apiKey.keyHash).toBeUndefined();
+  });
+
+  test("should authenticate with the X-API-Key header", async () => {
+    const { key } = (await createKey(["projects:read"])).body.data;
+
+    const response = await request(app)
+      .get("/api/projects")
+      .set("X-API-Key", key);
+
+    expectSuccessResponse(response);
+    expect(response.body.data.projects).toHaveLength(1);
+  });
+
+  test("should enforce scopes", async () => {
+    const { key } = (await createKey(["projects:read"])).body.data;
+
+    const response = await request(app)
+      .get("/api/clients")
+      .set("X-API-Key", key);
+
+    expectAuthorizationError(response);
+  });
+
+  test("should not accept keys outside clients and projects", async () => {
+    const { key } = (await createKey(["projects:read"])).body.data;
+
+    const response = await request(app)
+      .get("/api/api-keys")
+      .set("X-API-Key", key);
+
+    expectAuthError(response, "API keys are not accepted");
+  });
+
+  test("should reject revoked keys", async () => {
+    const created = (await createKey(["projects:read"])).body.data;
+
+    await request(app)
+      .delete(`/api/api-keys/${created.apiKey.id}`)
+      .set("Authorization", `Bearer ${userToken}`);
+
+    const response = await request(app)
+      .get("/api/projects")
+      .set("X-API-Key", created.key);
+
+    expectAuthError(response, "invalid or expired API key");
+  });
+});
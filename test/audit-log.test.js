@@ -0,0 +1,128 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  createTestAdmin,
+  expectSuccessResponse,
+} from "./helpers";
+import AuditLog from "../models/AuditLog";
+
+describe("Audit log", () => {
+  let adminToken, userToken;
+
+  beforeEach(async () => {
+    ({ token: adminToken } = await createTestAdmin());
+    ({ token: userToken } = await createTestUser());
+  });
+
+  test("should record failed and successful logins", async () => {
+    await request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@example.com", password: "WrongPass1" });
+    await request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@example.com", password: "Password123" });
+
+    const entries = await AuditLog.find({ event: "auth.login" }).sort({
+      createdAt: 1,
+    });
+    expect(entries.map((entry) => entry.outcome)).toEqual([
+      "failure",
+      "success",
+    ]);
+    expect(entries[0].email).toBe("test@example.com");
+    expect(entries[0].ip).toBeDefined();
+  });
+
+  test("should record rejected tokens", async () => {
+    await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", "Bearer not-a-valid-token");
+
+    const entry = await AuditLog.findOne({ event: "auth.token-rejected" });
+    expect(entry.outcome).toBe("failure");
+  });
+
+  test("should record authorization denials", async () => {
+    await request(app)
+      .get("/api/audit-logs")
+      .set("Authorization", `Bearer ${userToken}`);
+
+    const entry = await AuditLog.findOne({ event: "authorization.denied" });
+    expect(entry.metadata.required).toEqual(["audit.read"]);
+  });
+
+  test("should record role definition changes", async () => {
+    const created = await request(app)
+      .post("/api/roles")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "auditor", permissions: ["audit.read"] });
+    const roleId = created.body.data.role._id;
+
+    await request(app)
+      .put(`/api/roles/${roleId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ permissions: ["audit.read", "client.read"] });
+    await request(app)
+      .delete(`/api/roles/${roleId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    const entries = await AuditLog.find({ event: "role.changed" }).sort({
+      createdAt: 1,
+      _id: 1,
+    });
+    expect(entries).toHaveLength(3);
+    expect(entries[0].metadata.from).toBeNull();
+    expect(entries[1].metadata.from.permissions).toEqual(["audit.read"]);
+    expect(entries[1].metadata.to.permissions).toEqual([
+      "audit.read",
+      "client.read",
+    ]);
+    expect(entries[2].metadata.to).toBeNull();
+    expect(entries.every((entry) => entry.actor)).toBe(true);
+  });
+
+  test("should not allow entries to be modified", async () => {
+    const entry = await AuditLog.create({
+      event: "auth.login",
+      outcome: "success",
+    });
+
+    await expect(
+      AuditLog.updateOne({ _id: entry._id }, { outcome: "failure" })
+    ).rejects.toThrow("cannot be modified");
+  });
+
+  describe("GET /api/audit-logs", () => {
+    test("should filter entries for admins", async () => {
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: "nobody@example.com", password: "WrongPass1" });
+
+      const response = await request(app)
+        .get("/api/audit-logs?event=auth.login&outcome=failure")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expectSuccessResponse(response);
+      expect(response.body.data.entries).toHaveLength(1);
+      expect(response.body.data.entries[0].email).toBe("nobody@example.com");
+    });
+
+    test("should export entries as CSV", async () => {
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: "nobody@example.com", password: "WrongPass1" });
+
+      const response = await request(app)
+        .get("/api/audit-logs/export?event=auth.login")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain("text/csv");
+      expect(response.headers["content-disposition"]).toContain("audit-log-");
+      expect(response.text.split("\r\n")[0]).toContain("event,outcome");
+      expect(response.text).toContain("nobody@example.com");
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  createTestAdmin,
+  expectSuccessResponse,
+} from "./helpers";
+import User from "../models/User";
+
+const MINUTE_MS = 60 * 1000;
+
+describe("Account lockout", () => {
+  let user;
+
+  const login = (password) =>
+    request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@example.com", password });
+
+  // Fail enough logins in a row to lock the account (MAX_FAILED_LOGINS)
+  const failLogins = async (count = 5) => {
+    let response;
+    for (let attempt = 0; attempt < count; attempt += 1) {
+      response = await login("WrongPassword1");
+    }
+    return response;
+  };
+
+  beforeEach(async () => {
+    ({ user } = await createTestUser());
+  });
+
+  test("should lock the account after repeated failed logins", async () => {
+    const fourth = await failLogins(4);
+    expect(fourth.status).toBe(401);
+
+    const fifth = await login("WrongPassword1");
+    expect(fifth.status).toBe(423);
+
+    // Even the right password is refused while locked
+    const correct = await login("Password123");
+    expect(correct.status).toBe(423);
+    expect(correct.body.message).toContain("temporarily locked");
+  });
+
+  test("should double the lockout after each further lockout", async () => {
+    await failLogins();
+    const first = await User.findById(user._id);
+    expect(first.lockCount).toBe(1);
+    expect(first.lockUntil - Date.now()).toBeLessThanOrEqual(5 * MINUTE_MS);
+
+    // Let the first lockout expire, then fail again
+    await User.updateOne({ _id: user._id }, { lockUntil: new Date() });
+    const relocked = await failLogins();
+    expect(relocked.status).toBe(423);
+
+    const second = await User.findById(user._id);
+    expect(second.lockCount).toBe(2);
+    expect(second.lockUntil - Date.now()).toBeGreaterThan(9 * MINUTE_MS);
+    expect(second.lockUntil - Date.now()).toBeLessThanOrEqual(10 * MINUTE_MS);
+  });
+
+  test("should let an admin unlock the account", async () => {
+    const { token: adminToken } = await createTestAdmin();
+    await failLogins();
+
+    const unlocked = await request(app)
+      .post(`/api/users/${user._id}/unlock`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expectSuccessResponse(unlocked);
+    expect(unlocked.body.data.user.lockUntil).toBeNull();
+
+    const response = await login("Password123");
+    expectSuccessResponse(response);
+  });
+
+  test("should report the last successful and failed logins", async () => {
+    await login("WrongPassword1");
+    const response = await login("Password123");
+    expectSuccessResponse(response);
+
+    const me = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${response.body.data.token}`);
+
+    expectSuccessResponse(me);
+    const { lastLogin, lastFailedLogin } = me.body.data.user;
+    expect(new Date(lastLogin.at).getTime()).toBeGreaterThan(
+      Date.now() - MINUTE_MS
+    );
+    expect(lastLogin.ip).toMatch(/127\.0\.0\.1|::1/);
+    expect(lastFailedLogin.at).toBeDefined();
+  });
+});
@@ -0,0 +1,93 @@
+import request from "supertest";
+import app from "../server";
+import { setTransport } from "../utils/mailer";
+
+import {
+  createTestUser,
+  expectAuthError,
+  expectSuccessResponse,
+} from "./helpers";
+
+// Capture outgoing mail instead of delivering it
+const sentMail = [];
+const extractToken = (message) => message.text.match(/token=([a-f0-9]+)/)[1];
+
+describe("Password reset", () => {
+  let userToken;
+
+  beforeEach(async () => {
+    sentMail.length = 0;
+    setTransport({
+      name: "memory",
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: String(sentMail.length) };
+      },
+    });
+
+    const { token } = await createTestUser();
+    userToken = token;
+  });
+
+  test("should not reveal whether an account exists", async () => {
+    const response = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "nobody@example.com" });
+
+    expectSuccessResponse(response);
+    expect(sentMail).toHaveLength(0);
+  });
+
+  test("should reset the password with the emailed token", async () => {
+    await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "test@example.com" });
+
+    expect(sentMail).toHaveLength(1);
+    const token = extractToken(sentMail[0]);
+
+    const response = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, password: "NewPassword123" });
+    expectSuccessResponse(response);
+
+    const login = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@example.com", password: "NewPassword123" });
+    expectSuccessResponse(login);
+  });
+
+  test("should only accept a reset token once", async () => {
+    await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "test@example.com" });
+    const token = extractToken(sentMail[0]);
+
+    await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, password: "NewPassword123" });
+
+    const response = await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, password: "OtherPassword123" });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe("Reset token is invalid or has expired");
+  });
+
+  test("should invalidate existing tokens after a reset", async () => {
+    await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "test@example.com" });
+    const token = extractToken(sentMail[0]);
+
+    await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token, password: "NewPassword123" });
+
+    const me = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${userToken}`);
+    expectAuthError(me, "password was changed");
+  });
+});
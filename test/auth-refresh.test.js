@@ -0,0 +1,96 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  expectAuthError,
+  expectSuccessResponse,
+} from "./helpers";
+
+const login = () =>
+  request(app)
+    .post("/api/auth/login")
+    .send({ email: "test@example.com", password: "Password123" });
+
+describe("Refresh tokens", () => {
+  beforeEach(async () => {
+    await createTestUser();
+  });
+
+  test("should return a refresh token on login", async () => {
+    const response = await login();
+
+    expectSuccessResponse(response);
+    expect(response.body.data.token).toBeDefined();
+    expect(response.body.data.refreshToken).toBeDefined();
+  });
+
+  describe("POST /api/auth/refresh", () => {
+    test("should rotate the refresh token", async () => {
+      const { refreshToken } = (await login()).body.data;
+
+      const response = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken });
+
+      expectSuccessResponse(response);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+    });
+
+    test("should reject an unknown refresh token", async () => {
+      const response = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: "not-a-real-token" });
+
+      expect(response.status).toBe(401);
+      expect(response.body.status).toBe("error");
+    });
+
+    test("should revoke the whole family when an old token is reused", async () => {
+      const { refreshToken: original } = (await login()).body.data;
+
+      const rotated = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: original });
+      const { token, refreshToken: latest } = rotated.body.data;
+
+      // Replaying the consumed token signals theft
+      const reuse = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: original });
+      expect(reuse.status).toBe(401);
+
+      const afterReuse = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: latest });
+      expect(afterReuse.status).toBe(401);
+
+      const me = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${token}`);
+      expectAuthError(me, "session has been revoked");
+    });
+  });
+
+  describe("POST /api/auth/logout", () => {
+    test("should revoke the session server-side", async () => {
+      const { token, refreshToken } = (await login()).body.data;
+
+      const response = await request(app)
+        .post("/api/auth/logout")
+        .send({ refreshToken });
+      expectSuccessResponse(response);
+
+      const me = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${token}`);
+      expectAuthError(me, "session has been revoked");
+
+      const refresh = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+  });
+});
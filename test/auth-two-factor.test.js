@@ -0,0 +1,142 @@
+import request from "supertest";
+import app from "../server";
+import { generateCode, currentStep } from "../utils/totp";
+
+import {
+  createTestUser,
+  expectAuthError,
+  expectSuccessResponse,
+} from "./helpers";
+
+const login = () =>
+  request(app)
+    .post("/api/auth/login")
+    .send({ email: "test@example.com", password: "Password123" });
+
+const verify = (challengeToken, code) =>
+  request(app).post("/api/auth/2fa/verify").send({ challengeToken, code });
+
+describe("Two-factor authentication", () => {
+  let userToken;
+
+  const post = (path, body) =>
+    request(app)
+      .post(path)
+      .set("Authorization", `Bearer ${userToken}`)
+      .send(body);
+
+  // Enroll the test user; returns the secret and recovery codes
+  const enroll = async () => {
+    const setup = await post("/api/auth/2fa/setup");
+    const { secret } = setup.body.data;
+
+    const confirm = await post("/api/auth/2fa/confirm", {
+      code: generateCode(secret),
+    });
+    return { secret, recoveryCodes: confirm.body.data.recoveryCodes };
+  };
+
+  // The confirm step used the current code; later logins use the next one
+  const nextCode = (secret) => generateCode(secret, currentStep() + 1);
+
+  beforeEach(async () => {
+    ({ token: userToken } = await createTestUser());
+  });
+
+  test("should enable 2FA only with a valid code", async () => {
+    const setup = await post("/api/auth/2fa/setup");
+    expectSuccessResponse(setup);
+    expect(setup.body.data.otpauthUri).toContain("otpauth://totp/");
+
+    const wrong = await post("/api/auth/2fa/confirm", { code: "000000" });
+    expect(wrong.status).toBe(400);
+
+    const confirm = await post("/api/auth/2fa/confirm", {
+      code: generateCode(setup.body.data.secret),
+    });
+    expectSuccessResponse(confirm);
+    expect(confirm.body.data.recoveryCodes).toHaveLength(10);
+
+    const again = await post("/api/auth/2fa/setup");
+    expect(again.status).toBe(400);
+  });
+
+  test("should return a challenge instead of tokens once enabled", async () => {
+    await enroll();
+
+    const response = await login();
+
+    expectSuccessResponse(response);
+    expect(response.body.data.twoFactorRequired).toBe(true);
+    expect(response.body.data.challengeToken).toBeDefined();
+    expect(response.body.data.token).toBeUndefined();
+  });
+
+  test("should exchange the challenge and a code for tokens", async () => {
+    const { secret } = await enroll();
+    const { challengeToken } = (await login()).body.data;
+
+    const response = await verify(challengeToken, nextCode(secret));
+
+    expectSuccessResponse(response);
+    expect(response.body.data.token).toBeDefined();
+    expect(response.body.data.refreshToken).toBeDefined();
+  });
+
+  test("should reject the challenge token as an access token", async () => {
+    await enroll();
+    const { challengeToken } = (await login()).body.data;
+
+    const response = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${challengeToken}`);
+
+    expectAuthError(response, "invalid token type");
+  });
+
+  test("should reject wrong and replayed codes", async () => {
+    const { secret } = await enroll();
+    const { challengeToken } = (await login()).body.data;
+
+    const wrong = await verify(challengeToken, "000000");
+    expect(wrong.status).toBe(401);
+
+    const code = nextCode(secret);
+    expectSuccessResponse(await verify(challengeToken, code));
+
+    const replayed = await verify(challengeToken, code);
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.message).toBe("Invalid authentication code");
+  });
+
+  test("should accept each recovery code only once", async () => {
+    const { recoveryCodes } = await enroll();
+    const { challengeToken } = (await login()).body.data;
+
+    const first = await verify(challengeToken, recoveryCodes[0]);
+    expectSuccessResponse(first);
+    expect(first.body.data.recoveryCodesRemaining).toBe(9);
+
+    const reused = await verify(challengeToken, recoveryCodes[0]);
+    expect(reused.status).toBe(401);
+  });
+
+  test("should disable 2FA with the password and a code", async () => {
+    const { secret } = await enroll();
+
+    const wrongPassword = await post("/api/auth/2fa/disable", {
+      password: "WrongPassword1",
+      code: nextCode(secret),
+    });
+    expect(wrongPassword.status).toBe(401);
+
+    const response = await post("/api/auth/2fa/disable", {
+      password: "Password123",
+      code: nextCode(secret),
+    });
+    expectSuccessResponse(response);
+
+    const loginResponse = await login();
+    expect(loginResponse.body.data.token).toBeDefined();
+  });
+});
@@ -0,0 +1,96 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestClient,
+  expectSuccessResponse,
+  expectValidationError,
+} from "./helpers";
+
+describe("Client billing profile", () => {
+  let adminToken, client;
+
+  const put = (body, token = adminToken) =>
+    request(app)
+      .put(`/api/clients/${client._id}/billing`)
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+
+  beforeEach(async () => {
+    ({ token: adminToken } = await createTestAdmin());
+    client = await createTestClient();
+  });
+
+  test("should start without a billing profile", async () => {
+    const response = await request(app)
+      .get(`/api/clients/${client._id}/billing`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expectSuccessResponse(response);
+    expect(response.body.data.billing).toBeNull();
+  });
+
+  test("should save and normalize a billing profile", async () => {
+    const response = await put({
+      street: "Friedrichstraße 1",
+      city: "Berlin",
+      postalCode: "10117",
+      country: "de",
+      taxId: "123 456 789",
+      currency: "eur",
+      paymentTermsDays: 30,
+    });
+
+    expectSuccessResponse(response);
+    expect(response.body.data.billing).toMatchObject({
+      country: "DE",
+      taxId: "DE123456789",
+      currency: "EUR",
+      paymentTermsDays: 30,
+    });
+  });
+
+  test("should merge updates and clear fields set to null", async () => {
+    await put({ country: "GB", currency: "GBP", paymentTermsDays: 14 });
+
+    const response = await put({ paymentTermsDays: null, city: "London" });
+
+    expectSuccessResponse(response);
+    expect(response.body.data.billing).toEqual({
+      country: "GB",
+      currency: "GBP",
+      city: "London",
+    });
+  });
+
+  test("should check the tax ID against the country", async () => {
+    await put({ country: "NL" });
+
+    const invalid = await put({ taxId: "123456789" });
+    expectValidationError(invalid, "taxId", "not valid for NL");
+
+    const valid = await put({ taxId: "NL123456789B01" });
+    expectSuccessResponse(valid);
+  });
+
+  test("should require a country with a tax ID", async () => {
+    const response = await put({ taxId: "12345678" });
+
+    expectValidationError(response, "taxId", "country is required");
+  });
+
+  test("should reject unknown countries and currencies", async () => {
+    expectValidationError(await put({ country: "XX" }), "country", "ISO");
+    expectValidationError(await put({ currency: "ABC" }), "currency", "ISO");
+  });
+
+  test("should not let regular users change billing", async () => {
+    const { token } = await createTestUser();
+
+    const response = await put({ currency: "USD" }, token);
+
+    expect(response.status).toBe(403);
+  });
+});
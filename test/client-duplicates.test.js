@@ -0,0 +1,74 @@
+import {
+  normalizeCompanyName,
+  emailDomain,
+  normalizePhone,
+  scoreClientPair,
+  findDuplicateCandidates,
+} from "../utils/clientDuplicates.js";
+
+describe("Duplicate client scoring", () => {
+  test("should normalize company names", () => {
+    expect(normalizeCompanyName("Acme Ltd")).toBe("acme");
+    expect(normalizeCompanyName("ACME Limited.")).toBe("acme");
+    expect(normalizeCompanyName("The Café & Co")).toBe("cafe and");
+  });
+
+  test("should ignore free email domains", () => {
+    expect(emailDomain("jane@Acme.com")).toBe("acme.com");
+    expect(emailDomain("jane@gmail.com")).toBeNull();
+  });
+
+  test("should compare phone numbers by their last ten digits", () => {
+    expect(normalizePhone("+44 (20) 7946-0958")).toBe(
+      normalizePhone("020 7946 0958").slice(-10)
+    );
+    expect(normalizePhone("123")).toBeNull();
+  });
+
+  test("should score matching signals", () => {
+    const acme = {
+      company: "Acme Ltd",
+      email: "info@acme.com",
+      phone: "+1 555 010 0000",
+    };
+
+    expect(
+      scoreClientPair(acme, {
+        company: "ACME Limited",
+        email: "sales@acme.com",
+        phone: "555-010-0000",
+      })
+    ).toEqual({ score: 1, reasons: ["company", "email-domain", "phone"] });
+
+    expect(
+      scoreClientPair(acme, {
+        company: "Acme Inc",
+        email: "acme@gmail.com",
+        phone: "1234567",
+      })
+    ).toEqual({ score: 0.5, reasons: ["company"] });
+
+    expect(
+      scoreClientPair(acme, {
+        company: "Acmee",
+        email: "x@other.com",
+        phone: "999",
+      }).reasons
+    ).toEqual(["similar-company"]);
+  });
+
+  test("should find candidate pairs, best first", () => {
+    const clients = [
+      { company: "Acme Ltd", email: "a@acme.com", phone: "5550100000" },
+      { company: "ACME Limited", email: "b@acme.com", phone: "5550100001" },
+      { company: "Globex", email: "c@globex.com", phone: "5550100002" },
+      { company: "Initech", email: "d@initech.com", phone: "5550100000" },
+    ];
+
+    const candidates = findDuplicateCandidates(clients, { minScore: 0.4 });
+
+    expect(candidates.map((candidate) => candidate.score)).toEqual([0.8, 0.4]);
+    expect(candidates[0].clients).toEqual([clients[0], clients[1]]);
+    expect(candidates[1].reasons).toEqual(["phone"]);
+  });
+});
@@ -0,0 +1,135 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestClient,
+  expectSuccessResponse,
+  expectValidationError,
+} from "./helpers";
+import Client from "../models/Client";
+
+const CSV = [
+  "Client Name,Email,Phone,Company,Tags",
+  "Acme,acme@example.com,+1234567890,Acme Inc,vip;emea",
+  "Beta,beta@example.com,+1234567891,Beta Ltd,",
+  "Broken,not-an-email,123,B,",
+  "Acme Again,ACME@example.com,+1234567892,Acme Inc,",
+].join("\n");
+
+const MAPPING = {
+  "Client Name": "name",
+  Email: "email",
+  Phone: "phone",
+  Company: "company",
+  Tags: "tags",
+};
+
+describe("POST /api/clients/import", () => {
+  let adminToken;
+
+  const importCsv = (body, token = adminToken) =>
+    request(app)
+      .post("/api/clients/import")
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+
+  beforeEach(async () => {
+    ({ token: adminToken } = await createTestAdmin());
+  });
+
+  test("should report per-row results without writing on a dry run", async () => {
+    const response = await importCsv({
+      csv: CSV,
+      mapping: MAPPING,
+      dryRun: true,
+    });
+
+    expectSuccessResponse(response);
+    const { summary, rows } = response.body.data;
+    expect(summary).toEqual({
+      total: 4,
+      created: 2,
+      updated: 0,
+      skipped: 0,
+      rejected: 2,
+    });
+    expect(rows[2].row).toBe(4);
+    expect(rows[2].errors.map((error) => error.field)).toEqual(
+      expect.arrayContaining(["email", "phone", "company"])
+    );
+    expect(rows[3].errors[0].message).toContain("first used on row 2");
+    expect(await Client.countDocuments()).toBe(0);
+  });
+
+  test("should create clients and skip existing emails", async () => {
+    await createTestClient({ email: "beta@example.com" });
+
+    const response = await importCsv({ csv: CSV, mapping: MAPPING });
+
+    expectSuccessResponse(response);
+    const { rows, summary } = response.body.data;
+    expect(rows.map((row) => row.action)).toEqual([
+      "created",
+      "skipped",
+      "rejected",
+      "rejected",
+    ]);
+    expect(summary.created).toBe(1);
+
+    const acme = await Client.findOne({ email: "acme@example.com" });
+    expect(acme.tags).toEqual(["vip", "emea"]);
+  });
+
+  test("should update existing clients when asked to", async () => {
+    const existing = await createTestClient({ email: "beta@example.com" });
+
+    const response = await importCsv({
+      csv: CSV,
+      mapping: MAPPING,
+      onDuplicate: "update",
+    });
+
+    expectSuccessResponse(response);
+    expect(response.body.data.rows[1].action).toBe("updated");
+    expect(response.body.data.rows[1].clientId).toBe(existing._id.toString());
+
+    const updated = await Client.findById(existing._id);
+    expect(updated.name).toBe("Beta");
+  });
+
+  test("should map headers named after client fields by default", async () => {
+    const response = await importCsv({
+      csv: "name,email,phone,company,notes\nGamma,gamma@example.com,+1234567890,Gamma Co,ignored",
+    });
+
+    expectSuccessResponse(response);
+    expect(response.body.data.summary.created).toBe(1);
+    expect(response.body.data.ignoredColumns).toEqual(["notes"]);
+  });
+
+  test("should reject a CSV without an email column", async () => {
+    const response = await importCsv({ csv: "name\nNo Email" });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe("No column is mapped to email");
+  });
+
+  test("should validate the request body", async () => {
+    const response = await importCsv({ csv: CSV, onDuplicate: "merge" });
+
+    expectValidationError(response, "onDuplicate", "skip or update");
+  });
+
+  test("should require client.update to update duplicates", async () => {
+    const { token } = await createTestUser();
+
+    const response = await importCsv(
+      { csv: CSV, mapping: MAPPING, onDuplicate: "update" },
+      token
+    );
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,136 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestClient,
+  createTestProject,
+  expectSuccessResponse,
+  expectValidationError,
+} from "./helpers";
+import Project from "../models/Project";
+import Client from "../models/Client";
+
+describe("Client archive, restore and purge", () => {
+  let adminToken, admin, client;
+
+  const post = (path, body = {}) =>
+    request(app)
+      .post(`/api/clients/${client._id}${path}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body);
+
+  beforeEach(async () => {
+    ({ token: adminToken, admin } = await createTestAdmin());
+    client = await createTestClient();
+  });
+
+  test("should archive a client and hide it from listings", async () => {
+    const response = await request(app)
+      .delete(`/api/clients/${client._id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expectSuccessResponse(response);
+    expect(response.body.data.client.archivedAt).toBeTruthy();
+
+    const current = await request(app)
+      .get("/api/clients")
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(current.body.data.clients).toHaveLength(0);
+
+    const archived = await request(app)
+      .get("/api/clients?archived=true")
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(archived.body.data.clients).toHaveLength(1);
+  });
+
+  test("should restore an archived client", async () => {
+    await post("/archive");
+    const response = await post("/restore");
+
+    expectSuccessResponse(response);
+    expect(response.body.data.client.archivedAt).toBeNull();
+  });
+
+  test("should only purge archived clients", async () => {
+    const response = await post("/purge");
+
+    expect(response.status).toBe(400);
+    expect(await Client.countDocuments()).toBe(1);
+  });
+
+  test("should block a purge while projects exist", async () => {
+    await createTestProject({
+      clientId: client._id,
+      createdBy: admin._id,
+      status: "completed",
+    });
+    await post("/archive");
+
+    const response = await post("/purge", { strategy: "block" });
+
+    expect(response.status).toBe(409);
+    expect(await Client.countDocuments()).toBe(1);
+  });
+
+  test("should cascade-delete projects and report them", async () => {
+    const { project } = await createTestProject({
+      clientId: client._id,
+      createdBy: admin._id,
+      status: "completed",
+    });
+    await post("/archive");
+
+    const response = await post("/purge", { strategy: "cascade" });
+
+    expectSuccessResponse(response);
+    expect(response.body.data.report.projects.deleted).toEqual([
+      project._id.toString(),
+    ]);
+    expect(await Client.countDocuments()).toBe(0);
+    expect(await Project.countDocuments()).toBe(0);
+  });
+
+  test("should reassign projects to another client", async () => {
+    const other = await createTestClient({ email: "other@example.com" });
+    const { project } = await createTestProject({
+      clientId: client._id,
+      createdBy: admin._id,
+      status: "completed",
+    });
+    await post("/archive");
+
+    const response = await post("/purge", {
+      strategy: "reassign",
+      reassignTo: other._id.toString(),
+    });
+
+    expectSuccessResponse(response);
+    expect(response.body.data.report.projects.reassignedTo).toBe(
+      other._id.toString()
+    );
+    const moved = await Project.findById(project._id);
+    expect(moved.clientId.toString()).toBe(other._id.toString());
+  });
+
+  test("should require a target when reassigning", async () => {
+    await post("/archive");
+
+    const response = await post("/purge", { strategy: "reassign" });
+
+    expectValidationError(response, "reassignTo", "required");
+  });
+
+  test("should not let regular users purge", async () => {
+    const { token } = await createTestUser();
+    await post("/archive");
+
+    const response = await request(app)
+      .post(`/api/clients/${client._id}/purge`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ strategy: "cascade" });
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,135 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestClient,
+  createTestProject,
+  expectSuccessResponse,
+  expectValidationError,
+} from "./helpers";
+import Project from "../models/Project";
+import Client from "../models/Client";
+import AuditLog from "../models/AuditLog";
+
+describe("Duplicate client detection and merge", () => {
+  let adminToken, admin, survivor, duplicate;
+
+  const merge = (body, token = adminToken) =>
+    request(app)
+      .post(`/api/clients/${survivor._id}/merge`)
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+
+  beforeEach(async () => {
+    ({ token: adminToken, admin } = await createTestAdmin());
+    survivor = await createTestClient({
+      name: "Acme",
+      email: "info@acme.com",
+      company: "Acme Ltd",
+      phone: "+1 555 010 0000",
+      address: undefined,
+      tags: ["retail"],
+    });
+    duplicate = await createTestClient({
+      name: "ACME Sales",
+      email: "sales@acme.com",
+      company: "ACME Limited",
+      phone: "555-010-0000",
+      address: "1 Market Street",
+      tags: ["enterprise"],
+    });
+  });
+
+  test("should list scored duplicate candidates", async () => {
+    await createTestClient({
+      email: "hello@globex.com",
+      company: "Globex",
+      phone: "5550109999",
+    });
+
+    const response = await request(app)
+      .get("/api/clients/duplicates")
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expectSuccessResponse(response);
+    expect(response.body.data.total).toBe(1);
+    expect(response.body.data.candidates[0].score).toBe(1);
+    expect(response.body.data.candidates[0].reasons).toEqual([
+      "company",
+      "email-domain",
+      "phone",
+    ]);
+  });
+
+  test("should merge a duplicate into the survivor", async () => {
+    const { project } = await createTestProject({
+      clientId: duplicate._id,
+      createdBy: admin._id,
+    });
+
+    const response = await merge({
+      duplicateId: duplicate._id.toString(),
+      keep: { name: "duplicate" },
+    });
+
+    expectSuccessResponse(response);
+    const { client, report } = response.body.data;
+    expect(client.name).toBe("ACME Sales");
+    expect(client.email).toBe("info@acme.com");
+    expect(client.address).toBe("1 Market Street");
+    expect(client.tags).toEqual(["retail", "enterprise"]);
+    expect(client.contacts.map((contact) => contact.email)).toContain(
+      "sales@acme.com"
+    );
+    expect(report.previous).toEqual({ name: "Acme" });
+    expect(report.projectsMoved).toEqual([project._id.toString()]);
+
+    const moved = await Project.findById(project._id);
+    expect(moved.clientId.toString()).toBe(survivor._id.toString());
+
+    const archived = await Client.findById(duplicate._id);
+    expect(archived.archivedAt).toBeTruthy();
+    expect(archived.mergedInto.toString()).toBe(survivor._id.toString());
+
+    const entry = await AuditLog.findOne({ event: "client.merged" });
+    expect(entry.metadata.duplicate.toString()).toBe(duplicate._id.toString());
+  });
+
+  test("should not restore a merged client", async () => {
+    await merge({ duplicateId: duplicate._id.toString() });
+
+    const response = await request(app)
+      .post(`/api/clients/${duplicate._id}/restore`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(400);
+  });
+
+  test("should not merge a client into itself", async () => {
+    const response = await merge({ duplicateId: survivor._id.toString() });
+
+    expect(response.status).toBe(400);
+  });
+
+  test("should validate field choices", async () => {
+    const response = await merge({
+      duplicateId: duplicate._id.toString(),
+      keep: { email: "duplicate" },
+    });
+
+    expectValidationError(response, "keep", "not allowed");
+  });
+
+  test("should not let regular users merge", async () => {
+    const { token } = await createTestUser();
+
+    const response = await merge(
+      { duplicateId: duplicate._id.toString() },
+      token
+    );
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,185 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestClient,
+  createTestProject,
+  expectSuccessResponse,
+  expectValidationError,
+} from "./helpers";
+import Client from "../models/Client";
+import Membership from "../models/Membership";
+
+describe("Client portal", () => {
+  let adminToken, admin, portalToken, portalUser, ownClient, otherClient;
+  let ownProject, otherProject;
+
+  const get = (path, token = portalToken) =>
+    request(app).get(path).set("Authorization", `Bearer ${token}`);
+
+  beforeEach(async () => {
+    ({ token: adminToken, admin } = await createTestAdmin());
+    ({ token: portalToken, user: portalUser } = await createTestUser({
+      email: "portal@example.com",
+    }));
+
+    ownClient = await createTestClient();
+    otherClient = await createTestClient({
+      name: "Other Client",
+      email: "other@example.com",
+    });
+    ({ project: ownProject } = await createTestProject({
+      clientId: ownClient._id,
+      createdBy: admin._id,
+    }));
+    ({ project: otherProject } = await createTestProject({
+      title: "Other Project",
+      clientId: otherClient._id,
+      createdBy: admin._id,
+    }));
+
+    const linked = await request(app)
+      .patch(`/api/organizations/current/members/${portalUser._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ role: "client", clientId: ownClient._id.toString() });
+    expectSuccessResponse(linked);
+  });
+
+  test("should require a client for the client role", async () => {
+    const response = await request(app)
+      .patch(`/api/organizations/current/members/${portalUser._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ role: "client" });
+
+    expectValidationError(response, "clientId", "required for the client role");
+  });
+
+  test("should report the linked client for the active organization", async () => {
+    const response = await get("/api/organizations/current");
+
+    expectSuccessResponse(response);
+    expect(response.body.data.role).toBe("client");
+    expect(response.body.data.client).toBe(ownClient._id.toString());
+  });
+
+  test("should only list the client's own projects", async () => {
+    const response = await get("/api/projects");
+
+    expectSuccessResponse(response);
+    expect(response.body.data.projects).toHaveLength(1);
+    expect(response.body.data.projects[0]._id).toBe(ownProject._id.toString());
+    expect(response.body.data.pagination.totalRecords).toBe(1);
+
+    // Filtering by another client can't widen the scope
+    const filtered = await get(`/api/projects?clientId=${otherClient._id}`);
+    expectSuccessResponse(filtered);
+    expect(filtered.body.data.projects).toHaveLength(0);
+  });
+
+  test("should ignore budget filters and sorting", async () => {
+    // The own project's budget is 10000; staff see the filter apply
+    const staff = await get("/api/projects?budgetMin=20000", adminToken);
+    expect(staff.body.data.projects).toHaveLength(0);
+
+    for (const query of ["budgetMin=20000", "budgetMax=5000"]) {
+      const response = await get(`/api/projects?${query}`);
+      expectSuccessResponse(response);
+      expect(response.body.data.projects).toHaveLength(1);
+      expect(response.body.data.pagination.totalRecords).toBe(1);
+    }
+
+    const sorted = await get("/api/projects?sortBy=budget");
+    expectSuccessResponse(sorted);
+    expect(sorted.body.data.projects).toHaveLength(1);
+  });
+
+  test("should hide budgets and creator emails", async () => {
+    const response = await get(`/api/projects/${ownProject._id}`);
+
+    expectSuccessResponse(response);
+    const { project } = response.body.data;
+    expect(project.title).toBe("Test Project");
+    expect(project.budget).toBeUndefined();
+    expect(project.createdBy).toEqual({
+      _id: admin._id.toString(),
+      name: admin.name,
+    });
+    expect(project.clientId).toEqual({
+      _id: ownClient._id.toString(),
+      name: ownClient.name,
+      company: ownClient.company,
+    });
+
+    // Staff still see every field
+    const staff = await get(`/api/projects/${ownProject._id}`, adminToken);
+    expect(staff.body.data.project.budget).toBe(10000);
+    expect(staff.body.data.project.createdBy.email).toBe(admin.email);
+  });
+
+  test("should not find other clients or their projects", async () => {
+    const project = await get(`/api/projects/${otherProject._id}`);
+    expect(project.status).toBe(404);
+
+    const clientProjects = await get(
+      `/api/clients/${otherClient._id}/projects`
+    );
+    expect(clientProjects.status).toBe(404);
+
+    const own = await get(`/api/clients/${ownClient._id}/projects`);
+    expectSuccessResponse(own);
+    expect(own.body.data.projects).toHaveLength(1);
+    expect(own.body.data.projects[0].budget).toBeUndefined();
+  });
+
+  test("should handle portal members when their client is purged", async () => {
+    await Client.updateOne({ _id: ownClient._id }, { archivedAt: new Date() });
+    const purge = (body) =>
+      request(app)
+        .post(`/api/clients/${ownClient._id}/purge`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(body);
+
+    const blocked = await purge({});
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.message).toContain("1 client portal member(s)");
+
+    const response = await purge({
+      strategy: "reassign",
+      reassignTo: otherClient._id.toString(),
+    });
+
+    expectSuccessResponse(response);
+    expect(response.body.data.report.portalMembers.reassigned).toEqual([
+      portalUser._id.toString(),
+    ]);
+    const membership = await Membership.findOne({ user: portalUser._id });
+    expect(membership.client.toString()).toBe(otherClient._id.toString());
+  });
+
+  test("should refuse writes and every other route", async () => {
+    const responses = await Promise.all([
+      request(app)
+        .put(`/api/projects/${ownProject._id}`)
+        .set("Authorization", `Bearer ${portalToken}`)
+        .send({ title: "Renamed" }),
+      request(app)
+        .post("/api/projects")
+        .set("Authorization", `Bearer ${portalToken}`)
+        .send({ title: "New" }),
+      get(`/api/clients/${ownClient._id}`),
+      get(`/api/clients/${ownClient._id}/notes`),
+      get("/api/projects/stats/overview"),
+      get("/api/projects/export"),
+      get("/api/pipeline"),
+    ]);
+
+    responses.forEach((response) => {
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(
+        "Client portal users can only view their own projects"
+      );
+    });
+  });
+});
@@ -155,7 +155,7 @@ describe("POST /api/clients", () => {
           status: "invalid-status",
         });
 
-      expectValidationError(response, "status", "either active or inactive");
+      expectValidationError(response, "status", "pipeline stages");
     });
   });
 
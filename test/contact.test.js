@@ -0,0 +1,127 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestAdmin,
+  createTestClient,
+  expectSuccessResponse,
+  expectValidationError,
+} from "./helpers";
+
+describe("Client contacts", () => {
+  let adminToken, client;
+
+  const addContact = (data) =>
+    request(app)
+      .post(`/api/clients/${client._id}/contacts`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(data);
+
+  beforeEach(async () => {
+    ({ token: adminToken } = await createTestAdmin());
+    client = await createTestClient();
+  });
+
+  test("should add contacts and make the first one primary", async () => {
+    const response = await addContact({
+      name: "Billing Person",
+      email: "billing@client.com",
+      role: "billing",
+    });
+
+    expectSuccessResponse(response, 201);
+    expect(response.body.data.contact.isPrimary).toBe(true);
+    expect(response.body.data.contact.role).toBe("billing");
+  });
+
+  test("should keep a single primary contact", async () => {
+    await addContact({ name: "First Contact", email: "first@client.com" });
+    await addContact({
+      name: "Second Contact",
+      email: "second@client.com",
+      isPrimary: true,
+    });
+
+    const response = await request(app)
+      .get(`/api/clients/${client._id}/contacts`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expectSuccessResponse(response);
+    const primary = response.body.data.contacts.filter(
+      (contact) => contact.isPrimary
+    );
+    expect(primary).toHaveLength(1);
+    expect(primary[0].name).toBe("Second Contact");
+  });
+
+  test("should update and delete a contact", async () => {
+    const created = await addContact({
+      name: "Tech Person",
+      email: "tech@client.com",
+    });
+    const contactId = created.body.data.contact._id;
+
+    const updated = await request(app)
+      .put(`/api/clients/${client._id}/contacts/${contactId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ role: "technical" });
+    expectSuccessResponse(updated);
+    expect(updated.body.data.contact.role).toBe("technical");
+
+    const deleted = await request(app)
+      .delete(`/api/clients/${client._id}/contacts/${contactId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expectSuccessResponse(deleted);
+
+    const fetched = await request(app)
+      .get(`/api/clients/${client._id}/contacts/${contactId}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(fetched.status).toBe(404);
+  });
+
+  test("should validate contacts", async () => {
+    const response = await addContact({ name: "No Way To Reach" });
+
+    expectValidationError(response);
+  });
+
+  test("should reject duplicate contact emails within a client", async () => {
+    await addContact({ name: "First Contact", email: "same@client.com" });
+    const response = await addContact({
+      name: "Second Contact",
+      email: "same@client.com",
+    });
+
+    expect(response.status).toBe(400);
+  });
+
+  test("should refuse contact changes on an archived client", async () => {
+    await request(app)
+      .post(`/api/clients/${client._id}/archive`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    const response = await addContact({
+      name: "Late Contact",
+      email: "late@client.com",
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(
+      "Archived clients cannot be changed. Restore it first"
+    );
+  });
+
+  test("should find clients by contact name or email", async () => {
+    await addContact({ name: "Sponsor Sally", email: "sally@sponsor.com" });
+
+    const byName = await request(app)
+      .get("/api/clients?search=Sally")
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(byName.body.data.clients).toHaveLength(1);
+
+    const byEmail = await request(app)
+      .get("/api/clients?search=sponsor.com")
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(byEmail.body.data.clients).toHaveLength(1);
+  });
+});
@@ -0,0 +1,65 @@
+import { escapeCsvValue, toCsv, parseCsv } from "../utils/csv.js";
+
+describe("CSV utilities", () => {
+  test("should quote values containing separators, quotes or newlines", () => {
+    expect(escapeCsvValue("plain")).toBe("plain");
+    expect(escapeCsvValue("a,b")).toBe('"a,b"');
+    expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvValue("line\nbreak")).toBe('"line\nbreak"');
+  });
+
+  test("should neutralise spreadsheet formulas", () => {
+    expect(escapeCsvValue("=SUM(A1:A2)")).toBe("'=SUM(A1:A2)");
+    expect(escapeCsvValue("@cmd")).toBe("'@cmd");
+    expect(escapeCsvValue(-5)).toBe("-5");
+  });
+
+  test("should format dates, objects and empty values", () => {
+    expect(escapeCsvValue(new Date("2024-01-02T03:04:05Z"))).toBe(
+      "2024-01-02T03:04:05.000Z"
+    );
+    expect(escapeCsvValue({ a: 1 })).toBe('"{""a"":1}"');
+    expect(escapeCsvValue(null)).toBe("");
+    expect(escapeCsvValue(undefined)).toBe("");
+  });
+
+  test("should build a document with a header row", () => {
+    const csv = toCsv(
+      [{ name: "Acme", count: 2 }],
+      [
+        { header: "name", value: (row) => row.name },
+        { header: "count", value: (row) => row.count },
+      ]
+    );
+
+    expect(csv).toBe("name,count\r\nAcme,2\r\n");
+  });
+
+  test("should parse quoted fields, doubled quotes and line endings", () => {
+    const csv =
+      '\ufeffname,notes\r\n"Acme, Inc","said ""hi""\nthen left"\nBeta,\n\n';
+
+    expect(parseCsv(csv)).toEqual([
+      ["name", "notes"],
+      ["Acme, Inc", 'said "hi"\nthen left'],
+      ["Beta", ""],
+    ]);
+  });
+
+  test("should round-trip documents built by toCsv", () => {
+    const rows = [{ a: 'x,"y"', b: "line\nbreak" }];
+    const csv = toCsv(rows, [
+      { header: "a", value: (row) => row.a },
+      { header: "b", value: (row) => row.b },
+    ]);
+
+    expect(parseCsv(csv)).toEqual([
+      ["a", "b"],
+      ['x,"y"', "line\nbreak"],
+    ]);
+  });
+
+  test("should reject unterminated quotes", () => {
+    expect(() => parseCsv('name\n"open')).toThrow("unterminated");
+  });
+});
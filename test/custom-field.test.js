@@ -0,0 +1,160 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestClient,
+  expectSuccessResponse,
+  expectValidationError,
+} from "./helpers";
+
+const clientData = (overrides = {}) => ({
+  name: "Segmented Client",
+  email: "segmented@client.com",
+  phone: "+1234567890",
+  company: "Segment Co",
+  ...overrides,
+});
+
+describe("Client tags and custom fields", () => {
+  let adminToken;
+
+  const defineField = (data) =>
+    request(app)
+      .post("/api/custom-fields")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(data);
+
+  const createClient = (data) =>
+    request(app)
+      .post("/api/clients")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(clientData(data));
+
+  const listClients = (query) =>
+    request(app)
+      .get(`/api/clients?${query}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+  beforeEach(async () => {
+    ({ token: adminToken } = await createTestAdmin());
+  });
+
+  test("should only let admins define custom fields", async () => {
+    const { token } = await createTestUser();
+
+    const response = await request(app)
+      .post("/api/custom-fields")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ key: "tier", label: "Tier", type: "text" });
+
+    expect(response.status).toBe(403);
+  });
+
+  test("should require options for enum fields", async () => {
+    const response = await defineField({
+      key: "industry",
+      label: "Industry",
+      type: "enum",
+    });
+
+    expectValidationError(response, "options", "required");
+  });
+
+  test("should validate client values against the definitions", async () => {
+    await defineField({
+      key: "industry",
+      label: "Industry",
+      type: "enum",
+      options: ["retail", "software"],
+      required: true,
+    });
+
+    const missing = await createClient();
+    expectValidationError(missing, "customFields.industry", "required");
+
+    const invalid = await createClient({
+      customFields: { industry: "farming" },
+    });
+    expectValidationError(invalid, "customFields.industry");
+
+    const unknown = await createClient({
+      customFields: { industry: "retail", mood: "happy" },
+    });
+    expectValidationError(unknown, "customFields.mood");
+
+    const valid = await createClient({
+      customFields: { industry: "retail" },
+      tags: ["VIP", "emea"],
+    });
+    expectSuccessResponse(valid, 201);
+    expect(valid.body.data.client.customFields.industry).toBe("retail");
+    expect(valid.body.data.client.tags).toEqual(["vip", "emea"]);
+  });
+
+  test("should merge custom fields on update", async () => {
+    await defineField({ key: "region", label: "Region", type: "text" });
+    await defineField({ key: "seats", label: "Seats", type: "number" });
+
+    const created = await createClient({
+      customFields: { region: "EMEA", seats: 10 },
+    });
+
+    const response = await request(app)
+      .put(`/api/clients/${created.body.data.client._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ customFields: { region: null, seats: "25" } });
+
+    expectSuccessResponse(response);
+    expect(response.body.data.client.customFields).toEqual({ seats: 25 });
+  });
+
+  test("should filter by tags and custom fields and sort by them", async () => {
+    await defineField({ key: "seats", label: "Seats", type: "number" });
+    await createClient({ tags: ["vip", "emea"], customFields: { seats: 5 } });
+    await createClient({
+      email: "second@client.com",
+      tags: ["vip"],
+      customFields: { seats: 50 },
+    });
+    await createTestClient({ email: "plain@client.com" });
+
+    const tagged = await listClients("tags=vip,emea");
+    expect(tagged.body.data.clients).toHaveLength(1);
+
+    const ranged = await listClients("custom[seats][gte]=10");
+    expect(ranged.body.data.clients).toHaveLength(1);
+    expect(ranged.body.data.clients[0].email).toBe("second@client.com");
+
+    const sorted = await listClients("tags=vip&sortBy=custom.seats");
+    expect(
+      sorted.body.data.clients.map((client) => client.customFields.seats)
+    ).toEqual([50, 5]);
+  });
+
+  test("should reject filters on unknown custom fields", async () => {
+    const response = await listClients("custom[unknown]=x");
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe("Invalid query parameters");
+  });
+
+  test("should remove values when a field is deleted", async () => {
+    const field = await defineField({
+      key: "region",
+      label: "Region",
+      type: "text",
+    });
+    const created = await createClient({ customFields: { region: "APAC" } });
+
+    await request(app)
+      .delete(`/api/custom-fields/${field.body.data.customField._id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    const response = await request(app)
+      .get(`/api/clients/${created.body.data.client._id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(response.body.data.client.customFields.region).toBeUndefined();
+  });
+});
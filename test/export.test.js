@@ -0,0 +1,94 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestAdmin,
+  createTestClient,
+  createTestProject,
+} from "./helpers";
+
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+describe("Client and project exports", () => {
+  let adminToken, admin;
+
+  const get = (path) =>
+    request(app).get(path).set("Authorization", `Bearer ${adminToken}`);
+
+  beforeEach(async () => {
+    ({ token: adminToken, admin } = await createTestAdmin());
+    await createTestClient({ name: "Active Client", tags: ["vip"] });
+    await createTestClient({
+      name: "Dormant Client",
+      email: "dormant@example.com",
+      status: "inactive",
+    });
+  });
+
+  test("should export filtered clients as CSV with selected columns", async () => {
+    const response = await get(
+      "/api/clients/export?status=active&columns=name,email,tags"
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toContain("text/csv");
+    expect(response.headers["content-disposition"]).toContain("clients-");
+    expect(response.text).toBe(
+      "name,email,tags\r\nActive Client,client@example.com,vip\r\n"
+    );
+  });
+
+  test("should export clients as NDJSON", async () => {
+    const response = await get(
+      "/api/clients/export?format=ndjson&columns=name,status&sortBy=name&sortOrder=asc"
+    ).buffer(true);
+
+    const records = response.text
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    expect(records).toEqual([
+      { name: "Active Client", status: "active" },
+      { name: "Dormant Client", status: "inactive" },
+    ]);
+  });
+
+  test("should export projects as XLSX", async () => {
+    await createTestProject({ createdBy: admin._id });
+
+    const response = await get("/api/projects/export?format=xlsx")
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toContain("spreadsheetml");
+    // XLSX files are ZIP archives
+    expect(response.body.subarray(0, 2).toString()).toBe("PK");
+  });
+
+  test("should flatten the project's client and creator", async () => {
+    await createTestProject({ createdBy: admin._id });
+
+    const response = await get(
+      "/api/projects/export?columns=title,client.name,createdBy.email"
+    );
+
+    expect(response.text).toBe(
+      "title,client.name,createdBy.email\r\nTest Project,Test Client,admin@example.com\r\n"
+    );
+  });
+
+  test("should reject unknown columns and formats", async () => {
+    const columns = await get("/api/clients/export?columns=name,secret");
+    expect(columns.status).toBe(400);
+    expect(columns.body.message).toContain("secret");
+
+    const format = await get("/api/projects/export?format=pdf");
+    expect(format.status).toBe(400);
+    expect(format.body.message).toBe("Invalid query parameters");
+  });
+});
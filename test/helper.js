@@ -2,6 +2,8 @@ const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const Client = require("../models/Client");
 const Project = require("../models/Project");
+const Organization = require("../models/Organization");
+const Membership = require("../models/Membership");
 
 // Generate JWT token for testing
 const generateTestToken = (userId, role = "user") => {
@@ -10,6 +12,14 @@ const generateTestToken = (userId, role = "user") => {
   });
 };
 
+// Get (or create) an organization; test users join "test-org" by default
+const createTestOrganization = async (slug = "test-org") => {
+  const existing = await Organization.findOne({ slug });
+  if (existing) return existing;
+
+  return Organization.create({ name: `Organization ${slug}`, slug });
+};
+
 // Create test user
 const createTestUser = async (userData = {}) => {
   const defaultUser = {
@@ -17,9 +27,12 @@ const createTestUser = async (userData = {}) => {
     email: "test@example.com",
     password: "Password123",
     role: "user",
+    emailVerified: true,
   };
 
   const user = await User.create({ ...defaultUser, ...userData });
+  const organization = await createTestOrganization();
+  await Membership.join(user, organization._id, user.role);
   const token = generateTestToken(user._id, user.role);
 
   return { user, token };
@@ -32,9 +45,12 @@ const createTestAdmin = async (userData = {}) => {
     email: "admin@example.com",
     password: "AdminPass123",
     role: "admin",
+    emailVerified: true,
   };
 
   const admin = await User.create({ ...defaultAdmin, ...userData });
+  const organization = await createTestOrganization();
+  await Membership.join(admin, organization._id, admin.role);
   const token = generateTestToken(admin._id, admin.role);
 
   return { admin, token };
@@ -51,7 +67,12 @@ const createTestClient = async (clientData = {}) => {
     status: "active",
   };
 
-  const client = await Client.create({ ...defaultClient, ...clientData });
+  const organization = await createTestOrganization();
+  const client = await Client.create({
+    organization: organization._id,
+    ...defaultClient,
+    ...clientData,
+  });
   return client;
 };
 
@@ -81,7 +102,12 @@ const createTestProject = async (projectData = {}) => {
     budget: 10000,
   };
 
-  const project = await Project.create({ ...defaultProject, ...projectData });
+  const organization = await createTestOrganization();
+  const project = await Project.create({
+    organization: organization._id,
+    ...defaultProject,
+    ...projectData,
+  });
   return { project, client, user };
 };
 
@@ -125,12 +151,15 @@ const cleanupDatabase = async () => {
   await User.deleteMany({});
   await Client.deleteMany({});
   await Project.deleteMany({});
+  await Organization.deleteMany({});
+  await Membership.deleteMany({});
 };
 
 module.exports = {
   generateTestToken,
   createTestUser,
   createTestAdmin,
+  createTestOrganization,
   createTestClient,
   createTestProject,
   expectValidationError,
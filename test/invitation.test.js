@@ -0,0 +1,146 @@
+import request from "supertest";
+import app from "../server";
+import { setTransport } from "../utils/mailer";
+
+import {
+  createTestUser,
+  createTestAdmin,
+  expectAuthorizationError,
+  expectSuccessResponse,
+} from "./helpers";
+import Organization from "../models/Organization";
+import AuditLog from "../models/AuditLog";
+
+const sentMail = [];
+const extractToken = (message) => message.text.match(/token=([a-f0-9]+)/)[1];
+
+describe("Invitations", () => {
+  let adminToken;
+  let userToken;
+
+  beforeEach(async () => {
+    sentMail.length = 0;
+    setTransport({
+      name: "memory",
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: String(sentMail.length) };
+      },
+    });
+
+    const { token: adminT } = await createTestAdmin();
+    const { token: userT } = await createTestUser();
+    adminToken = adminT;
+    userToken = userT;
+  });
+
+  test("should not allow signing up as an admin", async () => {
+    const response = await request(app).post("/api/auth/signup").send({
+      name: "Mallory",
+      email: "mallory@example.com",
+      password: "Password123",
+      role: "admin",
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].field).toBe("role");
+  });
+
+  test("should require admin role to invite", async () => {
+    const response = await request(app)
+      .post("/api/invitations")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ email: "new@example.com", role: "admin" });
+
+    expectAuthorizationError(response);
+  });
+
+  test("should create the account with the invited role", async () => {
+    const invite = await request(app)
+      .post("/api/invitations")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ email: "new@example.com", role: "admin" });
+    expectSuccessResponse(invite, 201);
+    expect(sentMail).toHaveLength(1);
+
+    const token = extractToken(sentMail[0]);
+    const response = await request(app)
+      .post("/api/invitations/accept")
+      .send({ token, name: "New Admin", password: "Password123" });
+
+    expectSuccessResponse(response, 201);
+    expect(response.body.data.user.email).toBe("new@example.com");
+    expect(response.body.data.user.role).toBe("admin");
+
+    // Invitations are single-use
+    const again = await request(app)
+      .post("/api/invitations/accept")
+      .send({ token, name: "New Admin", password: "Password123" });
+    expect(again.status).toBe(400);
+  });
+
+  test("should add the user to the inviter's organization", async () => {
+    await request(app)
+      .post("/api/invitations")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ email: "new@example.com", organizationRole: "admin" });
+    expect(sentMail[0].text).toContain("Organization test-org");
+
+    const accepted = await request(app)
+      .post("/api/invitations/accept")
+      .send({
+        token: extractToken(sentMail[0]),
+        name: "New User",
+        password: "Password123",
+      });
+    expectSuccessResponse(accepted, 201);
+
+    // The new account can work with clients straight away
+    const current = await request(app)
+      .get("/api/organizations/current")
+      .set("Authorization", `Bearer ${accepted.body.data.token}`);
+    expectSuccessResponse(current);
+    expect(current.body.data.organization.slug).toBe("test-org");
+    expect(current.body.data.role).toBe("admin");
+
+    const entry = await AuditLog.findOne({ event: "auth.signup" });
+    expect(entry.email).toBe("new@example.com");
+    expect(entry.actor).not.toBeNull();
+    expect(entry.metadata.organizationRole).toBe("admin");
+  });
+
+  test("should only invite into organizations the inviter manages", async () => {
+    const organization = await Organization.create({
+      name: "Elsewhere",
+      slug: "elsewhere",
+    });
+
+    const response = await request(app)
+      .post("/api/invitations")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        email: "new@example.com",
+        organizationId: organization._id.toString(),
+      });
+
+    expect(response.status).toBe(403);
+    expect(sentMail).toHaveLength(0);
+  });
+
+  test("should reject revoked invitations", async () => {
+    const invite = await request(app)
+      .post("/api/invitations")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ email: "new@example.com" });
+    const token = extractToken(sentMail[0]);
+
+    await request(app)
+      .delete(`/api/invitations/${invite.body.data.invitation.id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    const response = await request(app)
+      .post("/api/invitations/accept")
+      .send({ token, name: "New User", password: "Password123" });
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,82 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestAdmin,
+  createTestClient,
+  createTestProject,
+  expectSuccessResponse,
+} from "./helpers";
+
+describe("GET /api/clients and /api/projects search", () => {
+  let adminToken, admin;
+
+  const get = (path) =>
+    request(app).get(path).set("Authorization", `Bearer ${adminToken}`);
+
+  beforeEach(async () => {
+    ({ token: adminToken, admin } = await createTestAdmin());
+  });
+
+  test("should rank clients by weighted relevance", async () => {
+    await createTestClient({
+      name: "Northwind",
+      email: "hello@northwind.com",
+      company: "Traders",
+      address: "1 Acme Road",
+    });
+    await createTestClient({
+      name: "Acme",
+      email: "info@acme.com",
+      company: "Acme Ltd",
+    });
+
+    const response = await get("/api/clients?search=acme");
+
+    expectSuccessResponse(response);
+    const { clients } = response.body.data;
+    expect(clients.map((client) => client.name)).toEqual(["Acme", "Northwind"]);
+    expect(clients[0].score).toBeGreaterThan(clients[1].score);
+    expect(clients[1].highlights).toEqual([
+      { field: "address", snippet: "1 Acme Road", matches: [[2, 6]] },
+    ]);
+  });
+
+  test("should treat regex characters as text", async () => {
+    await createTestClient({ company: "C++ (Consulting)" });
+
+    const response = await get(
+      `/api/clients?search=${encodeURIComponent("(consult*")}`
+    );
+
+    expectSuccessResponse(response);
+    expect(response.body.data.clients).toHaveLength(1);
+  });
+
+  test("should match projects by phrase and stemmed words", async () => {
+    const client = await createTestClient();
+    await createTestProject({
+      clientId: client._id,
+      createdBy: admin._id,
+      title: "Website redesign",
+      description: "Designing the new marketing website",
+    });
+    await createTestProject({
+      clientId: client._id,
+      createdBy: admin._id,
+      title: "Mobile app",
+      description: "A website for the mobile launch",
+    });
+
+    const byWord = await get("/api/projects?search=designs");
+    expect(byWord.body.data.projects).toHaveLength(1);
+
+    const byPhrase = await get(
+      `/api/projects?search=${encodeURIComponent('"marketing website"')}`
+    );
+    expect(byPhrase.body.data.projects).toHaveLength(1);
+
+    const ranked = await get("/api/projects?search=website");
+    expect(ranked.body.data.projects[0].title).toBe("Website redesign");
+  });
+});
@@ -0,0 +1,38 @@
+import { getTransport, setTransport } from "../utils/mailer.js";
+
+describe("Mail transport", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    setTransport(undefined);
+  });
+
+  test("should default to console outside production", () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = "development";
+
+    expect(getTransport().name).toBe("console");
+  });
+
+  test("should refuse to default to console in production", () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = "production";
+
+    expect(() => getTransport()).toThrow("MAIL_TRANSPORT must be set");
+  });
+
+  test("should refuse the console transport in production", () => {
+    process.env.MAIL_TRANSPORT = "console";
+    process.env.NODE_ENV = "production";
+
+    expect(() => getTransport()).toThrow("MAIL_TRANSPORT must be set");
+  });
+
+  test("should use the configured transport in production", () => {
+    process.env.MAIL_TRANSPORT = "file";
+    process.env.NODE_ENV = "production";
+
+    expect(getTransport().name).toBe("file");
+  });
+});
@@ -0,0 +1,94 @@
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+
+// Local OpenID Connect provider for tests: serves discovery and JWKS, and
+// issues codes that its token endpoint exchanges for signed ID tokens.
+// Codes are only redeemable with the PKCE verifier matching the challenge.
+export const startMockOidcProvider = async ({ clientId }) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const kid = "test-key";
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ["code"],
+      code_challenge_methods_supported: ["S256"],
+      id_token_signing_alg_values_supported: ["RS256"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: "jwk" }), kid, use: "sig" }],
+    });
+  });
+
+  app.post("/token", (req, res) => {
+    const entry = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge =
+      req.body.code_verifier &&
+      crypto
+        .createHash("sha256")
+        .update(req.body.code_verifier)
+        .digest("base64url");
+
+    if (
+      !entry ||
+      req.body.client_id !== clientId ||
+      challenge !== entry.codeChallenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const idToken = jwt.sign(
+      { nonce: entry.nonce, ...entry.claims },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: kid,
+        issuer,
+        audience: clientId,
+        expiresIn: "5m",
+      }
+    );
+
+    res.json({ access_token: "mock-access-token", id_token: idToken });
+  });
+
+  return {
+    issuer,
+
+    // Simulate the user signing in at the provider for an authorization URL
+    authorize(authorizationUrl, claims) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString("hex");
+
+      codes.set(code, {
+        nonce: params.get("nonce"),
+        codeChallenge: params.get("code_challenge"),
+        claims,
+      });
+
+      return { code, state: params.get("state") };
+    },
+
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
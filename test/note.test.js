@@ -0,0 +1,177 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestClient,
+  expectSuccessResponse,
+  expectValidationError,
+} from "./helpers";
+
+describe("Client notes", () => {
+  let adminToken, userToken, client;
+
+  const addNote = (token, data) =>
+    request(app)
+      .post(`/api/clients/${client._id}/notes`)
+      .set("Authorization", `Bearer ${token}`)
+      .send(data);
+
+  beforeEach(async () => {
+    ({ token: adminToken } = await createTestAdmin());
+    ({ token: userToken } = await createTestUser());
+    client = await createTestClient();
+  });
+
+  test("should let a user add a note", async () => {
+    const response = await addNote(userToken, {
+      body: "Discussed renewal",
+      type: "call",
+    });
+
+    expectSuccessResponse(response, 201);
+    expect(response.body.data.note.author.name).toBe("Test User");
+    expect(response.body.data.note.pinned).toBe(false);
+  });
+
+  test("should validate the note type", async () => {
+    const response = await addNote(userToken, {
+      body: "Discussed renewal",
+      type: "fax",
+    });
+
+    expectValidationError(response);
+  });
+
+  test("should refuse notes on an archived client", async () => {
+    await request(app)
+      .post(`/api/clients/${client._id}/archive`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    const response = await addNote(userToken, {
+      body: "Too late",
+      type: "call",
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(
+      "Archived clients cannot be changed. Restore it first"
+    );
+  });
+
+  test("should keep the previous version when a note is edited", async () => {
+    const created = await addNote(userToken, {
+      body: "First draft",
+      type: "call",
+    });
+    const noteId = created.body.data.note._id;
+
+    const response = await request(app)
+      .put(`/api/clients/${client._id}/notes/${noteId}`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ body: "Corrected", type: "meeting", pinned: true });
+
+    expectSuccessResponse(response);
+    expect(response.body.data.note.body).toBe("Corrected");
+    expect(response.body.data.note.pinned).toBe(true);
+    expect(response.body.data.note.history).toHaveLength(1);
+    expect(response.body.data.note.history[0].body).toBe("First draft");
+    expect(response.body.data.note.history[0].type).toBe("call");
+  });
+
+  test("should not let users edit someone else's note", async () => {
+    const created = await addNote(adminToken, {
+      body: "Admin note",
+      type: "email",
+    });
+
+    const response = await request(app)
+      .put(`/api/clients/${client._id}/notes/${created.body.data.note._id}`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ body: "Changed" });
+
+    expect(response.status).toBe(403);
+  });
+
+  test("should list pinned notes first", async () => {
+    await addNote(userToken, { body: "Pinned", type: "call", pinned: true });
+    await addNote(userToken, { body: "Newer", type: "email" });
+
+    const response = await request(app)
+      .get(`/api/clients/${client._id}/notes`)
+      .set("Authorization", `Bearer ${userToken}`);
+
+    expectSuccessResponse(response);
+    expect(response.body.data.notes.map((note) => note.body)).toEqual([
+      "Pinned",
+      "Newer",
+    ]);
+    expect(response.body.data.pagination.totalRecords).toBe(2);
+  });
+});
+
+describe("GET /api/clients/:id/timeline", () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    ({ token: adminToken } = await createTestAdmin());
+  });
+
+  test("should merge notes and system events newest first", async () => {
+    const created = await request(app)
+      .post("/api/clients")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        name: "Timeline Client",
+        email: "timeline@client.com",
+        phone: "+1234567890",
+        company: "Timeline Co",
+      });
+    const clientId = created.body.data.client._id;
+
+    await request(app)
+      .post(`/api/clients/${clientId}/notes`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ body: "Kick-off call", type: "call" });
+
+    await request(app)
+      .put(`/api/clients/${clientId}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ status: "churned" });
+
+    const response = await request(app)
+      .get(`/api/clients/${clientId}/timeline`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expectSuccessResponse(response);
+    const { timeline, pagination } = response.body.data;
+    expect(timeline.map((item) => item.event || item.kind)).toEqual([
+      "client.status-changed",
+      "note",
+      "client.created",
+    ]);
+    expect(timeline[0].metadata).toEqual({ from: "active", to: "churned" });
+    expect(timeline[1].author.name).toBe("Test Admin");
+    expect(pagination.totalRecords).toBe(3);
+  });
+
+  test("should paginate and filter by kind", async () => {
+    const client = await createTestClient();
+    for (const body of ["One", "Two", "Three"]) {
+      await request(app)
+        .post(`/api/clients/${client._id}/notes`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ body, type: "email" });
+    }
+
+    const response = await request(app)
+      .get(`/api/clients/${client._id}/timeline?kind=note&limit=2&page=2`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expectSuccessResponse(response);
+    expect(response.body.data.timeline).toHaveLength(1);
+    expect(response.body.data.timeline[0].body).toBe("One");
+    expect(response.body.data.pagination.hasPrevPage).toBe(true);
+  });
+});
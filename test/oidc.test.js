@@ -0,0 +1,132 @@
+import request from "supertest";
+import app from "../server";
+
+import { createTestUser, expectSuccessResponse } from "./helpers";
+import { startMockOidcProvider } from "./mockOidcProvider";
+import { resetOidcCache } from "../utils/oidc";
+import User from "../models/User";
+
+const startLogin = async () => {
+  const response = await request(app).get("/api/auth/oidc/authorize");
+  return response.body.data.authorizationUrl;
+};
+
+describe("OpenID Connect SSO", () => {
+  let provider;
+
+  beforeAll(async () => {
+    provider = await startMockOidcProvider({ clientId: "workcity-api" });
+
+    process.env.OIDC_ISSUER = provider.issuer;
+    process.env.OIDC_CLIENT_ID = "workcity-api";
+    process.env.OIDC_REDIRECT_URI = "http://localhost:3000/sso/callback";
+    process.env.OIDC_ROLE_MAP = JSON.stringify({ "crm-admins": "admin" });
+    resetOidcCache();
+  });
+
+  afterAll(async () => {
+    delete process.env.OIDC_ISSUER;
+    resetOidcCache();
+    await provider.close();
+  });
+
+  test("should return an authorization URL using PKCE", async () => {
+    const url = new URL(await startLogin());
+
+    expect(url.searchParams.get("code_challenge_method")).toBe("S256");
+    expect(url.searchParams.get("code_challenge")).toBeDefined();
+    expect(url.searchParams.get("nonce")).toBeDefined();
+  });
+
+  test("should provision a new user with a role mapped from claims", async () => {
+    const { code, state } = provider.authorize(await startLogin(), {
+      sub: "staff-1",
+      email: "staff@example.com",
+      email_verified: true,
+      name: "Staff Member",
+      groups: ["crm-admins"],
+    });
+
+    const response = await request(app)
+      .post("/api/auth/oidc/callback")
+      .send({ code, state });
+
+    expectSuccessResponse(response, 201);
+    expect(response.body.data.user.role).toBe("admin");
+    expect(response.body.data.token).toBeDefined();
+  });
+
+  test("should link an existing user by email", async () => {
+    const { user } = await createTestUser();
+
+    const { code, state } = provider.authorize(await startLogin(), {
+      sub: "staff-2",
+      email: "test@example.com",
+      email_verified: true,
+      groups: ["crm-admins"],
+    });
+
+    const response = await request(app)
+      .post("/api/auth/oidc/callback")
+      .send({ code, state });
+
+    expectSuccessResponse(response);
+    expect(response.body.data.user.id).toBe(user._id.toString());
+    // Linking keeps the existing role
+    expect(response.body.data.user.role).toBe("user");
+  });
+
+  test("should not link an account whose email is unverified", async () => {
+    const { user } = await createTestUser({ emailVerified: false });
+
+    const { code, state } = provider.authorize(await startLogin(), {
+      sub: "staff-4",
+      email: "test@example.com",
+      email_verified: true,
+    });
+
+    const response = await request(app)
+      .post("/api/auth/oidc/callback")
+      .send({ code, state });
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toContain("not verified");
+
+    const unchanged = await User.findById(user._id);
+    expect(unchanged.oidcSubject).toBeFalsy();
+    expect(unchanged.emailVerified).toBe(false);
+  });
+
+  test("should reject an unverified email", async () => {
+    const { code, state } = provider.authorize(await startLogin(), {
+      sub: "staff-3",
+      email: "unverified@example.com",
+      email_verified: false,
+    });
+
+    const response = await request(app)
+      .post("/api/auth/oidc/callback")
+      .send({ code, state });
+
+    expect(response.status).toBe(401);
+  });
+
+  test("should not accept the same state twice", async () => {
+    const url = await startLogin();
+    const claims = {
+      sub: "staff-4",
+      email: "staff4@example.com",
+      email_verified: true,
+    };
+
+    const first = provider.authorize(url, claims);
+    await request(app).post("/api/auth/oidc/callback").send(first);
+
+    const replay = provider.authorize(url, claims);
+    const response = await request(app)
+      .post("/api/auth/oidc/callback")
+      .send(replay);
+
+    expect(response.status).toBe(400);
+  });
+});
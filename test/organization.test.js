@@ -0,0 +1,131 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestAdmin,
+  createTestOrganization,
+  createTestClient,
+  expectSuccessResponse,
+} from "./helpers";
+import Membership from "../models/Membership";
+import Client from "../models/Client";
+import { runInOrganization } from "../utils/orgContext";
+
+const clientData = {
+  name: "Acme Contact",
+  email: "contact@acme.com",
+  phone: "1234567890",
+  company: "Acme",
+};
+
+describe("Organizations", () => {
+  let admin, adminToken, otherOrg;
+
+  beforeEach(async () => {
+    ({ admin, token: adminToken } = await createTestAdmin());
+
+    // A second organization the admin also belongs to
+    otherOrg = await createTestOrganization("other-org");
+    await Membership.join(admin, otherOrg._id, "admin");
+  });
+
+  test("should list the user's organizations with their role", async () => {
+    const response = await request(app)
+      .get("/api/organizations")
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expectSuccessResponse(response);
+    expect(response.body.data.organizations).toHaveLength(2);
+    expect(response.body.data.organizations[0].role).toBe("admin");
+  });
+
+  test("should only return clients from the active organization", async () => {
+    await createTestClient();
+
+    const defaultOrg = await request(app)
+      .get("/api/clients")
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(defaultOrg.body.data.clients).toHaveLength(1);
+
+    const other = await request(app)
+      .get("/api/clients")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("X-Organization-Id", otherOrg._id.toString());
+    expectSuccessResponse(other);
+    expect(other.body.data.clients).toHaveLength(0);
+  });
+
+  test("should confine every query operation to the active organization", async () => {
+    await createTestClient();
+    const inOtherOrg = (query) =>
+      new Promise((resolve, reject) =>
+        runInOrganization(otherOrg._id, () => query().then(resolve, reject))
+      );
+
+    expect(await inOtherOrg(() => Client.distinct("email"))).toEqual([]);
+    expect(await inOtherOrg(() => Client.countDocuments())).toBe(0);
+
+    const replaced = await inOtherOrg(() =>
+      Client.replaceOne({}, { ...clientData, organization: otherOrg._id })
+    );
+    expect(replaced.matchedCount).toBe(0);
+
+    await expect(
+      inOtherOrg(() => Client.estimatedDocumentCount())
+    ).rejects.toThrow("use countDocuments");
+  });
+
+  test("should not fetch a client that belongs to another organization", async () => {
+    const client = await createTestClient();
+
+    const response = await request(app)
+      .get(`/api/clients/${client._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("X-Organization-Id", otherOrg._id.toString());
+
+    expect(response.status).toBe(404);
+  });
+
+  test("should apply client email uniqueness per organization", async () => {
+    await createTestClient({ email: clientData.email });
+
+    const otherOrgResponse = await request(app)
+      .post("/api/clients")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("X-Organization-Id", otherOrg._id.toString())
+      .send(clientData);
+    expectSuccessResponse(otherOrgResponse, 201);
+
+    const sameOrgResponse = await request(app)
+      .post("/api/clients")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(clientData);
+    expect(sameOrgResponse.status).toBe(400);
+  });
+
+  test("should reject organizations the user does not belong to", async () => {
+    const foreignOrg = await createTestOrganization("foreign-org");
+
+    const response = await request(app)
+      .get("/api/clients")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("X-Organization-Id", foreignOrg._id.toString());
+
+    expect(response.status).toBe(403);
+  });
+
+  test("should use the role held in the active organization", async () => {
+    await Membership.updateOne(
+      { user: admin._id, organization: otherOrg._id },
+      { role: "user" }
+    );
+
+    const response = await request(app)
+      .post("/api/clients")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .set("X-Organization-Id", otherOrg._id.toString())
+      .send(clientData);
+
+    expect(response.status).toBe(403);
+  });
+});
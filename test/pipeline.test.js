@@ -0,0 +1,204 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  createTestAdmin,
+  expectSuccessResponse,
+  expectValidationError,
+  createTestClient,
+} from "./helpers";
+import Client from "../models/Client";
+import ClientStageChange from "../models/ClientStageChange";
+
+describe("Client pipeline", () => {
+  let adminToken, admin;
+
+  const send = (method, path, body, token = adminToken) =>
+    request(app)
+      [method](path)
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+
+  const createClient = async (body = {}) => {
+    const response = await send("post", "/api/clients", {
+      name: "Pipeline Client",
+      email: "pipeline@example.com",
+      phone: "1234567890",
+      company: "Pipeline Co",
+      ...body,
+    });
+    return response.body.data.client;
+  };
+
+  beforeEach(async () => {
+    ({ token: adminToken, admin } = await createTestAdmin());
+  });
+
+  test("should return the default pipeline", async () => {
+    const response = await send("get", "/api/pipeline");
+
+    expectSuccessResponse(response);
+    expect(response.body.data.isDefault).toBe(true);
+    expect(
+      response.body.data.pipeline.stages.map((stage) => stage.key)
+    ).toEqual(["lead", "prospect", "active", "churned"]);
+  });
+
+  test("should record allowed transitions with actor and reason", async () => {
+    const client = await createClient({ status: "lead" });
+
+    const moved = await send("post", `/api/clients/${client._id}/stage`, {
+      stage: "prospect",
+      reason: "Asked for a quote",
+    });
+    expectSuccessResponse(moved);
+    expect(moved.body.data.client.status).toBe("prospect");
+
+    const history = await send(
+      "get",
+      `/api/clients/${client._id}/stage-history`
+    );
+    expectSuccessResponse(history);
+    expect(history.body.data.history).toMatchObject([
+      {
+        from: "lead",
+        to: "prospect",
+        reason: "Asked for a quote",
+        actor: { name: admin.name },
+      },
+      { from: null, to: "lead" },
+    ]);
+  });
+
+  test("should time a legacy client's first move from its creation", async () => {
+    // Created before pipelines existed: no stageEnteredAt
+    const legacy = await createTestClient({ status: "active" });
+    const createdAt = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+    await Client.collection.updateOne(
+      { _id: legacy._id },
+      { $set: { createdAt }, $unset: { stageEnteredAt: "" } }
+    );
+
+    const moved = await send("post", `/api/clients/${legacy._id}/stage`, {
+      stage: "churned",
+    });
+
+    expectSuccessResponse(moved);
+    expect(moved.body.data.change.durationMs).toBeGreaterThanOrEqual(
+      3 * 24 * 60 * 60 * 1000
+    );
+  });
+
+  test("should reject transitions the pipeline doesn't allow", async () => {
+    const client = await createClient({ status: "lead" });
+
+    const stage = await send("post", `/api/clients/${client._id}/stage`, {
+      stage: "active",
+    });
+    expect(stage.status).toBe(400);
+    expect(stage.body.message).toContain('"lead" to "active"');
+
+    const update = await send("put", `/api/clients/${client._id}`, {
+      status: "active",
+    });
+    expectValidationError(update, "status", '"lead" to "active"');
+  });
+
+  test("should block projects for stages that don't accept them", async () => {
+    const client = await createClient();
+    await send("post", `/api/clients/${client._id}/stage`, {
+      stage: "churned",
+    });
+
+    const response = await send("post", "/api/projects", {
+      title: "New Project",
+      description: "A project for a churned client",
+      clientId: client._id,
+      startDate: new Date().toISOString(),
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(
+      "Cannot create project for inactive client"
+    );
+  });
+
+  test("should replace the pipeline but keep stages that hold clients", async () => {
+    await createClient({ status: "churned" });
+
+    const pipeline = {
+      stages: [
+        { key: "lead", label: "Lead" },
+        { key: "active", label: "Customer" },
+        { key: "churned", label: "Lost", acceptsProjects: false },
+      ],
+      transitions: [
+        { from: "lead", to: "active" },
+        { from: "active", to: "churned" },
+      ],
+      defaultStage: "lead",
+    };
+
+    const updated = await send("put", "/api/pipeline", pipeline);
+    expectSuccessResponse(updated);
+    expect(updated.body.data.pipeline.defaultStage).toBe("lead");
+
+    const removing = await send("put", "/api/pipeline", {
+      ...pipeline,
+      stages: pipeline.stages.slice(0, 2),
+      transitions: pipeline.transitions.slice(0, 1),
+    });
+    expect(removing.status).toBe(409);
+
+    const invalid = await send("put", "/api/pipeline", {
+      ...pipeline,
+      defaultStage: "won",
+    });
+    expectValidationError(invalid, "defaultStage", "pipeline's stages");
+  });
+
+  test("should report stage counts, conversions and time in stage", async () => {
+    const lead = await createClient({ status: "lead" });
+    await createClient({ email: "second@example.com", status: "lead" });
+    await send("post", `/api/clients/${lead._id}/stage`, {
+      stage: "prospect",
+    });
+
+    // Pretend the first client spent two days as a lead
+    await ClientStageChange.updateOne(
+      { client: lead._id, from: "lead" },
+      { durationMs: 2 * 24 * 60 * 60 * 1000 }
+    );
+
+    const response = await send("get", "/api/pipeline/report");
+
+    expectSuccessResponse(response);
+    const { stages, conversions } = response.body.data.report;
+    expect(stages.find((stage) => stage.stage === "lead")).toMatchObject({
+      clients: 1,
+      entered: 2,
+      exited: 1,
+      averageDays: 2,
+    });
+    expect(
+      conversions.find(
+        (conversion) =>
+          conversion.from === "lead" && conversion.to === "prospect"
+      )
+    ).toMatchObject({ count: 1, rate: 0.5 });
+  });
+
+  test("should not let regular users change the pipeline", async () => {
+    const { token } = await createTestUser();
+
+    const response = await send(
+      "put",
+      "/api/pipeline",
+      { stages: [], transitions: [], defaultStage: "lead" },
+      token
+    );
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,111 @@
+import request from "supertest";
+import app from "../server";
+
+import {
+  createTestUser,
+  expectSuccessResponse,
+  expectValidationError,
+} from "./helpers";
+
+const login = (password = "Password123") =>
+  request(app)
+    .post("/api/auth/login")
+    .send({ email: "test@example.com", password });
+
+describe("Self-service profile", () => {
+  let token;
+
+  beforeEach(async () => {
+    await createTestUser();
+    ({ token } = (await login()).body.data);
+  });
+
+  describe("PATCH /api/auth/me", () => {
+    test("should update the name", async () => {
+      const response = await request(app)
+        .patch("/api/auth/me")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ name: "Renamed User" });
+
+      expectSuccessResponse(response);
+      expect(response.body.data.user.name).toBe("Renamed User");
+      expect(response.body.data.user.emailVerified).toBe(true);
+    });
+
+    test("should require re-verification after an email change", async () => {
+      const response = await request(app)
+        .patch("/api/auth/me")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ email: "New@Example.com" });
+
+      expectSuccessResponse(response);
+      expect(response.body.data.user.email).toBe("new@example.com");
+      expect(response.body.data.user.emailVerified).toBe(false);
+    });
+
+    test("should reject an email that is already taken", async () => {
+      await createTestUser({ email: "taken@example.com" });
+
+      const response = await request(app)
+        .patch("/api/auth/me")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ email: "taken@example.com" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("User already exists with this email");
+    });
+
+    test("should reject an empty update", async () => {
+      const response = await request(app)
+        .patch("/api/auth/me")
+        .set("Authorization", `Bearer ${token}`)
+        .send({});
+
+      expectValidationError(response);
+    });
+  });
+
+  describe("POST /api/auth/change-password", () => {
+    test("should change the password and sign out other sessions", async () => {
+      const { token: otherToken } = (await login()).body.data;
+
+      const response = await request(app)
+        .post("/api/auth/change-password")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ currentPassword: "Password123", newPassword: "NewPass456" });
+
+      expectSuccessResponse(response);
+
+      // The current session continues with the re-issued token
+      const current = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${response.body.data.token}`);
+      expectSuccessResponse(current);
+
+      const other = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${otherToken}`);
+      expect(other.status).toBe(401);
+
+      expectSuccessResponse(await login("NewPass456"));
+    });
+
+    test("should reject a wrong current password", async () => {
+      const response = await request(app)
+        .post("/api/auth/change-password")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ currentPassword: "WrongPass1", newPassword: "NewPass456" });
+
+      expect(response.status).toBe(401);
+    });
+
+    test("should enforce password complexity", async () => {
+      const response = await request(app)
+        .post("/api/auth/change-password")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ currentPassword: "Password123", newPassword: "weak" });
+
+      expectValidationError(response);
+    });
+  });
+});
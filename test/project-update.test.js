@@ -15,16 +15,16 @@ describe("PUT /api/projects/:id", () => {
   let userToken, adminToken, project, client, user;
 
   beforeEach(async () => {
-    const { token: userT } = await createTestUser();
+    const { user: owner, token: userT } = await createTestUser();
     const { token: adminT } = await createTestAdmin();
     userToken = userT;
     adminToken = adminT;
 
-    // Create test project
-    const projectData = await createTestProject();
+    // Create test project owned by the test user
+    const projectData = await createTestProject({ createdBy: owner._id });
     project = projectData.project;
     client = projectData.client;
-    user = projectData.user;
+    user = owner;
   });
 
   describe("Authentication and Authorization", () => {
@@ -38,7 +38,7 @@ describe("PUT /api/projects/:id", () => {
       expectAuthError(response);
     });
 
-    test("should allow authenticated users to update projects", async () => {
+    test("should allow the project owner to update the project", async () => {
       const updateData = { title: "Updated Project Title" };
 
       const response = await request(app)
@@ -48,6 +48,31 @@ describe("PUT /api/projects/:id", () => {
 
       expectSuccessResponse(response);
     });
+
+    test("should not allow other users to update the project", async () => {
+      const { token: otherToken } = await createTestUser({
+        email: "other@example.com",
+      });
+
+      const response = await request(app)
+        .put(`/api/projects/${project._id}`)
+        .set("Authorization", `Bearer ${otherToken}`)
+        .send({ title: "Updated Project Title" });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(
+        "Not authorized to update this project"
+      );
+    });
+
+    test("should allow admins to update any project", async () => {
+      const response = await request(app)
+        .put(`/api/projects/${project._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Updated Project Title" });
+
+      expectSuccessResponse(response);
+    });
   });
 
   describe("Validation", () => {
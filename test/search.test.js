@@ -0,0 +1,67 @@
+import {
+  parseSearch,
+  buildSearchFilter,
+  relevanceSort,
+  highlightMatches,
+} from "../utils/search.js";
+
+describe("Search", () => {
+  test("should parse words, phrases and prefixes", () => {
+    expect(parseSearch('acme "web design" dev* -old')).toEqual({
+      words: ["acme", "old"],
+      phrases: ["web design"],
+      prefixes: ["dev"],
+    });
+  });
+
+  test("should match words with punctuation as phrases", () => {
+    expect(parseSearch("sally@acme.com").phrases).toEqual(["sally@acme.com"]);
+  });
+
+  test("should build a text search with escaped prefix matching", () => {
+    const filter = buildSearchFilter('"big launch" c++* (a*', ["title"]);
+
+    expect(filter.$text).toEqual({ $search: '"big launch"' });
+    expect(filter.$and).toEqual([
+      { $or: [{ title: { $regex: "\\bc\\+\\+", $options: "i" } }] },
+      { $or: [{ title: { $regex: "\\(a", $options: "i" } }] },
+    ]);
+  });
+
+  test("should only rank text searches by relevance", () => {
+    expect(relevanceSort(buildSearchFilter("acme", []))).toEqual({
+      score: { $meta: "textScore" },
+      _id: 1,
+    });
+    expect(relevanceSort(buildSearchFilter("acm*", ["name"]))).toEqual({
+      createdAt: -1,
+    });
+  });
+
+  test("should highlight matches with their offsets", () => {
+    const doc = {
+      title: "Website redesign",
+      description: `${"x".repeat(200)} new design system ${"y".repeat(200)}`,
+      contacts: [{ name: "Design Lead" }],
+    };
+
+    const highlights = highlightMatches(doc, "design", [
+      "title",
+      "description",
+      "contacts.name",
+    ]);
+
+    expect(highlights[0]).toEqual({
+      field: "description",
+      snippet: expect.stringMatching(/^….*…$/),
+      matches: [[expect.any(Number), expect.any(Number)]],
+    });
+    const [[from, to]] = highlights[0].matches;
+    expect(highlights[0].snippet.slice(from, to)).toBe("design");
+    expect(highlights[1]).toEqual({
+      field: "contacts.name",
+      snippet: "Design Lead",
+      matches: [[0, 6]],
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import request from "supertest";
+import app from "../server";
+
+import { createTestUser, expectSuccessResponse } from "./helpers";
+
+const login = (userAgent) =>
+  request(app)
+    .post("/api/auth/login")
+    .set("User-Agent", userAgent)
+    .send({ email: "test@example.com", password: "Password123" });
+
+describe("Sessions", () => {
+  let laptop, phone;
+
+  beforeEach(async () => {
+    await createTestUser();
+    laptop = (await login("Laptop Browser")).body.data;
+    phone = (await login("Phone App")).body.data;
+  });
+
+  describe("GET /api/auth/sessions", () => {
+    test("should list active sessions and mark the current one", async () => {
+      const response = await request(app)
+        .get("/api/auth/sessions")
+        .set("Authorization", `Bearer ${laptop.token}`);
+
+      expectSuccessResponse(response);
+      const { sessions } = response.body.data;
+      expect(sessions).toHaveLength(2);
+
+      const current = sessions.find((session) => session.current);
+      expect(current.userAgent).toBe("Laptop Browser");
+      expect(current.ip).toBeDefined();
+      expect(current.lastSeenAt).toBeDefined();
+    });
+  });
+
+  describe("DELETE /api/auth/sessions/:id", () => {
+    test("should revoke another session", async () => {
+      const list = await request(app)
+        .get("/api/auth/sessions")
+        .set("Authorization", `Bearer ${laptop.token}`);
+      const other = list.body.data.sessions.find((session) => !session.current);
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${other.id}`)
+        .set("Authorization", `Bearer ${laptop.token}`);
+
+      expectSuccessResponse(response);
+
+      // The revoked session's access and refresh tokens stop working
+      const me = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${phone.token}`);
+      expect(me.status).toBe(401);
+
+      const refresh = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: phone.refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+
+    test("should not revoke another user's session", async () => {
+      const list = await request(app)
+        .get("/api/auth/sessions")
+        .set("Authorization", `Bearer ${phone.token}`);
+      const sessionId = list.body.data.sessions[0].id;
+
+      const { token: otherToken } = await createTestUser({
+        email: "other@example.com",
+      });
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${sessionId}`)
+        .set("Authorization", `Bearer ${otherToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("DELETE /api/auth/sessions", () => {
+    test("should log out everywhere except the current session", async () => {
+      const response = await request(app)
+        .delete("/api/auth/sessions")
+        .set("Authorization", `Bearer ${laptop.token}`);
+
+      expectSuccessResponse(response);
+
+      const current = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${laptop.token}`);
+      expectSuccessResponse(current);
+
+      const other = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${phone.token}`);
+      expect(other.status).toBe(401);
+    });
+  });
+});
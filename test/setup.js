@@ -1,6 +1,5 @@
 import mongoose from "mongoose";
-import { MongoMemoryServer } from "mongodb-memory-server";
-
+import { MongoMemoryReplSet } from "mongodb-memory-server";
 
 let mongoServer;
 
@@ -9,8 +8,9 @@ beforeAll(async () => {
   // Set test environment
   process.env.NODE_ENV = "test";
 
-  // Create in-memory MongoDB instance
-  mongoServer = await MongoMemoryServer.create();
+  // Create in-memory MongoDB instance (a single-node replica set, so
+  // transactions work)
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
   const mongoUri = mongoServer.getUri();
 
   // Connect to test database
@@ -18,6 +18,11 @@ beforeAll(async () => {
     useNewUrlParser: true,
     useUnifiedTopology: true,
   });
+
+  // Wait for index builds; text search fails without its index
+  await Promise.all(
+    mongoose.modelNames().map((name) => mongoose.model(name).init())
+  );
 });
 
 // Clean up after each test
@@ -0,0 +1,47 @@
+import {
+  generateCode,
+  verifyCode,
+  generateSecret,
+  buildOtpauthUri,
+  currentStep,
+} from "../utils/totp";
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("TOTP utilities", () => {
+  test("should match the RFC 6238 SHA-1 test vectors", () => {
+    expect(generateCode(RFC_SECRET, Math.floor(59 / 30))).toBe("287082");
+    expect(generateCode(RFC_SECRET, Math.floor(1111111109 / 30))).toBe(
+      "081804"
+    );
+    expect(generateCode(RFC_SECRET, Math.floor(2000000000 / 30))).toBe(
+      "279037"
+    );
+  });
+
+  test("should verify the current code and return its step", () => {
+    const secret = generateSecret();
+    const code = generateCode(secret);
+
+    expect(verifyCode(secret, code)).toBe(currentStep());
+  });
+
+  test("should reject malformed and wrong codes", () => {
+    const secret = generateSecret();
+
+    expect(verifyCode(secret, "abc123")).toBeNull();
+    expect(verifyCode(secret, "12345")).toBeNull();
+    expect(
+      verifyCode(secret, generateCode(secret, currentStep() + 5))
+    ).toBeNull();
+  });
+
+  test("should build an otpauth URI", () => {
+    const uri = buildOtpauthUri(RFC_SECRET, "admin@example.com", "Workcity");
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Workcity%3Aadmin%40example.com\?/);
+    expect(uri).toContain(`secret=${RFC_SECRET}`);
+    expect(uri).toContain("issuer=Workcity");
+  });
+});
@@ -0,0 +1,164 @@
+import request from "supertest";
+import app from "../server";
+import { setTransport } from "../utils/mailer";
+
+import {
+  createTestUser,
+  createTestAdmin,
+  expectAuthError,
+  expectSuccessResponse,
+} from "./helpers";
+
+// Capture outgoing mail instead of delivering it
+const sentMail = [];
+const extractToken = (message) => message.text.match(/token=([a-f0-9]+)/)[1];
+
+describe("User management", () => {
+  let adminToken, admin, userToken, user;
+
+  const send = (method, path, body, token = adminToken) =>
+    request(app)
+      [method](path)
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+
+  beforeEach(async () => {
+    sentMail.length = 0;
+    setTransport({
+      name: "memory",
+      send: async (message) => {
+        sentMail.push(message);
+        return { messageId: String(sentMail.length) };
+      },
+    });
+
+    ({ token: adminToken, admin } = await createTestAdmin());
+    ({ token: userToken, user } = await createTestUser());
+  });
+
+  test("should only be available to user managers", async () => {
+    const response = await send("get", "/api/users", undefined, userToken);
+
+    expect(response.status).toBe(403);
+  });
+
+  test("should search and paginate users", async () => {
+    await Promise.all(
+      [1, 2, 3].map((index) =>
+        createTestUser({
+          name: `Searchable ${index}`,
+          email: `searchable${index}@example.com`,
+        })
+      )
+    );
+
+    const response = await send(
+      "get",
+      "/api/users?search=searchable&limit=2&page=2&sortBy=email&sortOrder=asc"
+    );
+
+    expectSuccessResponse(response);
+    expect(response.body.data.users).toHaveLength(1);
+    expect(response.body.data.users[0].email).toBe("searchable3@example.com");
+    expect(response.body.data.pagination).toMatchObject({
+      currentPage: 2,
+      totalPages: 2,
+      totalRecords: 3,
+      hasNextPage: false,
+      hasPrevPage: true,
+    });
+  });
+
+  test("should treat search input as text, not a pattern", async () => {
+    const response = await send("get", "/api/users?search=.*");
+
+    expectSuccessResponse(response);
+    expect(response.body.data.users).toHaveLength(0);
+  });
+
+  test("should not demote or disable the last active admin", async () => {
+    const demote = await send("patch", `/api/users/${admin._id}/role`, {
+      role: "user",
+    });
+    expect(demote.status).toBe(400);
+    expect(demote.body.message).toBe("Cannot demote the last active admin");
+
+    const disable = await send("patch", `/api/users/${admin._id}/status`, {
+      status: "disabled",
+    });
+    expect(disable.status).toBe(400);
+    expect(disable.body.message).toBe("Cannot disable the last active admin");
+
+    // With a second admin, the first can be demoted
+    await createTestAdmin({ email: "second-admin@example.com" });
+    const allowed = await send("patch", `/api/users/${admin._id}/role`, {
+      role: "user",
+    });
+    expectSuccessResponse(allowed);
+  });
+
+  test("should lock out disabled users until they are reactivated", async () => {
+    const disabled = await send("patch", `/api/users/${user._id}/status`, {
+      status: "disabled",
+    });
+    expectSuccessResponse(disabled);
+
+    // Existing tokens stop working straight away
+    const me = await send("get", "/api/auth/me", undefined, userToken);
+    expectAuthError(me);
+
+    // So do API keys created before the reset
+    const withKey = await request(app)
+      .get("/api/projects")
+      .set("X-API-Key", created.body.data.key);
+    expectAuthError(withKey);
+
+    const login = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@example.com", password: "Password123" });
+    expect(login.status).toBe(403);
+
+    await send("patch", `/api/users/${user._id}/status`, { status: "active" });
+    const reactivated = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@example.com", password: "Password123" });
+    expectSuccessResponse(reactivated);
+  });
+
+  test("should disable the old password on an admin reset", async () => {
+    const created = await send(
+      "post",
+      "/api/api-keys",
+      { name: "BI export", scopes: ["projects:read"] },
+      userToken
+    );
+    expectSuccessResponse(created, 201);
+
+    const response = await send(
+      "post",
+      `/api/users/${user._id}/reset-password`
+    );
+    expectSuccessResponse(response);
+    expect(sentMail).toHaveLength(1);
+
+    // Existing tokens and the old password no longer work
+    const me = await send("get", "/api/auth/me", undefined, userToken);
+    expectAuthError(me);
+
+    const oldPassword = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@example.com", password: "Password123" });
+    expect(oldPassword.status).toBe(403);
+    expect(oldPassword.body.data).toBeUndefined();
+
+    // The emailed link restores access
+    await request(app)
+      .post("/api/auth/reset-password")
+      .send({ token: extractToken(sentMail[0]), password: "NewPassword123" });
+
+    const login = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "test@example.com", password: "NewPassword123" });
+    expectSuccessResponse(login);
+  });
+});
@@ -0,0 +1,26 @@
+import AuditLog from "../models/AuditLog.js";
+
+// Append a security event to the audit log, capturing request details.
+// Never throws: a failure to audit is logged but must not break the request.
+export const recordAuditEvent = async (
+  req,
+  { event, outcome, user, email, actor, reason, metadata }
+) => {
+  try {
+    await AuditLog.create({
+      event,
+      outcome,
+      user: user ? user._id || user : null,
+      email: email || (user && user.email) || null,
+      actor: actor ? actor._id || actor : null,
+      reason: reason || null,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      metadata,
+    });
+  } catch (error) {
+    console.error("Audit log error:", error);
+  }
+};
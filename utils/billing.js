@@ -0,0 +1,106 @@
+// Reference data and tax ID checks for client billing profiles
+
+// ISO 3166-1 alpha-2 country codes
+export const COUNTRY_CODES = [
+  "AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG",
+  "BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ CA CC CD CF CG CH CI",
+  "CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH",
+  "ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ",
+  "GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT",
+  "JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS",
+  "LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU",
+  "MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG",
+  "PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG",
+  "SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK",
+  "TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU",
+  "WF WS YE YT ZA ZM ZW",
+].flatMap((line) => line.split(" "));
+
+// ISO 4217 currency codes known to the runtime
+export const CURRENCY_CODES = Intl.supportedValuesOf("currency");
+
+// Tax ID formats by country, after removing spaces, dots, dashes and
+// slashes. VAT numbers carry their country prefix (EL for Greece), which is
+// added when missing. Countries not listed accept 4-20 letters and digits.
+const TAX_ID_FORMATS = {
+  AT: { prefix: "AT", pattern: /^ATU\d{8}$/, example: "ATU12345678" },
+  BE: { prefix: "BE", pattern: /^BE[01]\d{9}$/, example: "BE0123456789" },
+  BG: { prefix: "BG", pattern: /^BG\d{9,10}$/, example: "BG123456789" },
+  CY: { prefix: "CY", pattern: /^CY\d{8}[A-Z]$/, example: "CY12345678L" },
+  CZ: { prefix: "CZ", pattern: /^CZ\d{8,10}$/, example: "CZ12345678" },
+  DE: { prefix: "DE", pattern: /^DE\d{9}$/, example: "DE123456789" },
+  DK: { prefix: "DK", pattern: /^DK\d{8}$/, example: "DK12345678" },
+  EE: { prefix: "EE", pattern: /^EE\d{9}$/, example: "EE123456789" },
+  ES: {
+    prefix: "ES",
+    pattern: /^ES[A-Z0-9]\d{7}[A-Z0-9]$/,
+    example: "ESX1234567X",
+  },
+  FI: { prefix: "FI", pattern: /^FI\d{8}$/, example: "FI12345678" },
+  FR: {
+    prefix: "FR",
+    pattern: /^FR[A-HJ-NP-Z0-9]{2}\d{9}$/,
+    example: "FR12345678901",
+  },
+  GR: { prefix: "EL", pattern: /^EL\d{9}$/, example: "EL123456789" },
+  HR: { prefix: "HR", pattern: /^HR\d{11}$/, example: "HR12345678901" },
+  HU: { prefix: "HU", pattern: /^HU\d{8}$/, example: "HU12345678" },
+  IE: {
+    prefix: "IE",
+    pattern: /^IE(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+    example: "IE1234567T",
+  },
+  IT: { prefix: "IT", pattern: /^IT\d{11}$/, example: "IT12345678901" },
+  LT: { prefix: "LT", pattern: /^LT(\d{9}|\d{12})$/, example: "LT123456789" },
+  LU: { prefix: "LU", pattern: /^LU\d{8}$/, example: "LU12345678" },
+  LV: { prefix: "LV", pattern: /^LV\d{11}$/, example: "LV12345678901" },
+  MT: { prefix: "MT", pattern: /^MT\d{8}$/, example: "MT12345678" },
+  NL: { prefix: "NL", pattern: /^NL\d{9}B\d{2}$/, example: "NL123456789B01" },
+  PL: { prefix: "PL", pattern: /^PL\d{10}$/, example: "PL1234567890" },
+  PT: { prefix: "PT", pattern: /^PT\d{9}$/, example: "PT123456789" },
+  RO: { prefix: "RO", pattern: /^RO\d{2,10}$/, example: "RO1234567890" },
+  SE: { prefix: "SE", pattern: /^SE\d{10}01$/, example: "SE123456789001" },
+  SI: { prefix: "SI", pattern: /^SI\d{8}$/, example: "SI12345678" },
+  SK: { prefix: "SK", pattern: /^SK\d{10}$/, example: "SK1234567890" },
+  GB: {
+    prefix: "GB",
+    pattern: /^GB(\d{9}|\d{12}|GD[0-4]\d{2}|HA[5-9]\d{2})$/,
+    example: "GB123456789",
+  },
+  CH: {
+    prefix: "CHE",
+    pattern: /^CHE\d{9}(MWST|TVA|IVA)?$/,
+    example: "CHE123456789",
+  },
+  NO: { prefix: "NO", pattern: /^NO\d{9}(MVA)?$/, example: "NO123456789MVA" },
+  US: { pattern: /^\d{9}$/, example: "12-3456789" },
+  CA: { pattern: /^\d{9}(RT\d{4})?$/, example: "123456789RT0001" },
+  AU: { pattern: /^\d{11}$/, example: "51824753556" },
+  IN: {
+    pattern: /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/,
+    example: "22AAAAA0000A1Z5",
+  },
+};
+
+const GENERIC_TAX_ID = /^[A-Z0-9]{4,20}$/;
+
+// Check a tax ID against the format of `country`. Returns { value } with
+// the normalized ID, or { error }.
+export const normalizeTaxId = (taxId, country) => {
+  const format = TAX_ID_FORMATS[country];
+  let value = taxId.toUpperCase().replace(/[\s.\-/]/g, "");
+
+  if (format?.prefix && !value.startsWith(format.prefix.slice(0, 2))) {
+    value = `${format.prefix}${value}`;
+  }
+
+  if (!(format?.pattern || GENERIC_TAX_ID).test(value)) {
+    return {
+      error: format
+        ? `Tax ID is not valid for ${country} (e.g. ${format.example})`
+        : "Tax ID must be 4-20 letters and digits",
+    };
+  }
+
+  return { value };
+};
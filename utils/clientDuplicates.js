@@ -0,0 +1,169 @@
+// Scoring of likely duplicate clients on normalized company name, email
+// domain and phone number
+
+// Legal-form words that don't distinguish one company from another
+const COMPANY_SUFFIXES = new Set([
+  "the",
+  "ltd",
+  "limited",
+  "inc",
+  "incorporated",
+  "llc",
+  "llp",
+  "plc",
+  "corp",
+  "corporation",
+  "co",
+  "company",
+  "gmbh",
+  "ag",
+  "sa",
+  "bv",
+  "pty",
+  "group",
+  "holdings",
+]);
+
+// Mailbox providers shared by unrelated people, so a match means nothing
+const FREE_EMAIL_DOMAINS = new Set([
+  "gmail.com",
+  "googlemail.com",
+  "yahoo.com",
+  "outlook.com",
+  "hotmail.com",
+  "live.com",
+  "icloud.com",
+  "aol.com",
+  "proton.me",
+  "protonmail.com",
+  "gmx.com",
+  "mail.com",
+]);
+
+// Points each signal contributes; a pair's score is their sum, capped at 1
+const WEIGHTS = {
+  company: 0.5,
+  similarCompany: 0.35,
+  emailDomain: 0.3,
+  phone: 0.4,
+};
+
+// "ACME Limited" and "Acme Ltd." both become "acme"
+export const normalizeCompanyName = (name = "") =>
+  name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[̀-ͯ]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((word) => word && !COMPANY_SUFFIXES.has(word))
+    .join(" ");
+
+// Email domain, or null for free mail providers
+export const emailDomain = (email = "") => {
+  const domain = email.toLowerCase().split("@")[1];
+  return domain && !FREE_EMAIL_DOMAINS.has(domain) ? domain : null;
+};
+
+// Last ten digits, so national and international forms of a number match
+export const normalizePhone = (phone = "") => {
+  const digits = phone.replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+// Edit-distance similarity between two strings, from 0 to 1
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+// The normalized values a client is compared on
+export const duplicateKeys = (client) => ({
+  company: normalizeCompanyName(client.company),
+  domain: emailDomain(client.email),
+  phone: normalizePhone(client.phone),
+});
+
+// Score how likely two clients are the same; returns { score, reasons }
+export const scoreClientPair = (a, b) => {
+  const keysA = duplicateKeys(a);
+  const keysB = duplicateKeys(b);
+  const reasons = [];
+  let score = 0;
+
+  if (keysA.company && keysA.company === keysB.company) {
+    score += WEIGHTS.company;
+    reasons.push("company");
+  } else if (similarity(keysA.company, keysB.company) >= 0.8) {
+    score += WEIGHTS.similarCompany;
+    reasons.push("similar-company");
+  }
+
+  if (keysA.domain && keysA.domain === keysB.domain) {
+    score += WEIGHTS.emailDomain;
+    reasons.push("email-domain");
+  }
+
+  if (keysA.phone && keysA.phone === keysB.phone) {
+    score += WEIGHTS.phone;
+    reasons.push("phone");
+  }
+
+  return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+};
+
+// Find likely duplicate pairs among clients, best first. Only clients that
+// share a company prefix, email domain or phone are compared, so this stays
+// fast for large client lists.
+export const findDuplicateCandidates = (clients, { minScore = 0.5 } = {}) => {
+  const blocks = new Map();
+  const addToBlock = (key, index) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(index);
+  };
+
+  clients.forEach((client, index) => {
+    const { company, domain, phone } = duplicateKeys(client);
+    if (company) addToBlock(`company:${company.slice(0, 4)}`, index);
+    if (domain) addToBlock(`domain:${domain}`, index);
+    if (phone) addToBlock(`phone:${phone}`, index);
+  });
+
+  const seen = new Set();
+  const candidates = [];
+
+  for (const members of blocks.values()) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const pair = `${members[i]}:${members[j]}`;
+        if (seen.has(pair)) continue;
+        seen.add(pair);
+
+        const a = clients[members[i]];
+        const b = clients[members[j]];
+        const { score, reasons } = scoreClientPair(a, b);
+        if (score >= minScore) {
+          candidates.push({ score, reasons, clients: [a, b] });
+        }
+      }
+    }
+  }
+
+  return candidates.sort((x, y) => y.score - x.score);
+};
@@ -0,0 +1,144 @@
+import { parseCsv } from "./csv.js";
+import {
+  createClientSchema,
+  buildCustomFieldsSchema,
+} from "../validation/client.js";
+
+// Largest number of data rows accepted in one import
+export const IMPORT_MAX_ROWS = 5000;
+
+const CORE_FIELDS = ["name", "email", "phone", "company", "address", "status"];
+
+// Resolve which CSV column feeds which client field. With a mapping
+// (header -> field) only mapped columns are used; without one, headers that
+// name a client field are used and the rest are ignored.
+const resolveColumns = (headers, mapping, definitions) => {
+  const trimmed = headers.map((header) => header.trim());
+  const customKeys = new Set(definitions.map((field) => field.key));
+  const isField = (field) =>
+    CORE_FIELDS.includes(field) ||
+    field === "tags" ||
+    (field.startsWith("customFields.") && customKeys.has(field.slice(13)));
+
+  const pairs = mapping
+    ? Object.entries(mapping)
+    : trimmed.filter(isField).map((header) => [header, header]);
+
+  const columns = [];
+  for (const [header, field] of pairs) {
+    const index = trimmed.indexOf(header.trim());
+    if (index === -1) {
+      return { error: `Column "${header}" was not found in the CSV header` };
+    }
+    if (!isField(field)) {
+      return { error: `Unknown custom field "${field.slice(13)}"` };
+    }
+    if (columns.some((column) => column.field === field)) {
+      return { error: `More than one column is mapped to ${field}` };
+    }
+    columns.push({ index, field });
+  }
+
+  if (!columns.some((column) => column.field === "email")) {
+    return { error: "No column is mapped to email" };
+  }
+
+  const used = new Set(columns.map((column) => column.index));
+  const ignoredColumns = trimmed.filter((header, index) => !used.has(index));
+
+  return { columns, ignoredColumns };
+};
+
+// Build the client fields for one CSV record; blank cells are left out and
+// tags are separated by semicolons
+const mapRecord = (cells, columns) => {
+  const data = {};
+
+  for (const { index, field } of columns) {
+    const cell = (cells[index] || "").trim();
+    if (cell === "") continue;
+
+    if (field === "tags") {
+      data.tags = cell
+        .split(";")
+        .map((tag) => tag.trim())
+        .filter(Boolean);
+    } else if (field.startsWith("customFields.")) {
+      data.customFields = data.customFields || {};
+      data.customFields[field.slice(13)] = cell;
+    } else {
+      data[field] = cell;
+    }
+  }
+
+  return data;
+};
+
+// Validate a record like POST /api/clients, collecting every error
+const validateRecord = (data, customFieldsSchema) => {
+  const core = createClientSchema.validate(data, { abortEarly: false });
+  const custom = customFieldsSchema.validate(data.customFields || {}, {
+    abortEarly: false,
+  });
+
+  const errors = [
+    ...(core.error ? core.error.details : []).map((detail) => ({
+      field: detail.path[0],
+      message: detail.message,
+    })),
+    ...(custom.error ? custom.error.details : []).map((detail) => ({
+      field: `customFields.${detail.path[0]}`,
+      message: detail.message,
+    })),
+  ];
+
+  return {
+    value: { ...core.value, customFields: custom.value },
+    errors,
+  };
+};
+
+// Turn a CSV document into validated client records. Returns { error } when
+// the document or mapping is unusable, otherwise { rows, ignoredColumns }
+// where each row has its spreadsheet row number (the header is row 1), the
+// client data and any validation errors.
+export const prepareClientImport = (csv, { mapping, definitions }) => {
+  let records;
+  try {
+    records = parseCsv(csv);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const [headers, ...body] = records;
+  if (!headers || body.length === 0) {
+    return { error: "The CSV needs a header row and at least one client" };
+  }
+  if (body.length > IMPORT_MAX_ROWS) {
+    return {
+      error: `A CSV import can contain at most ${IMPORT_MAX_ROWS} clients`,
+    };
+  }
+
+  const { columns, ignoredColumns, error } = resolveColumns(
+    headers,
+    mapping,
+    definitions
+  );
+  if (error) return { error };
+
+  const customFieldsSchema = buildCustomFieldsSchema(definitions);
+  const rows = body.map((cells, index) => {
+    const data = mapRecord(cells, columns);
+    const { value, errors } = validateRecord(data, customFieldsSchema);
+
+    return {
+      row: index + 2,
+      email: data.email ? data.email.toLowerCase() : null,
+      data: value,
+      errors,
+    };
+  });
+
+  return { rows, ignoredColumns };
+};
@@ -0,0 +1,83 @@
+// Quote a value for CSV. Cells starting with a formula character are
+// prefixed with a quote so spreadsheets don't evaluate them.
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+
+  // Plain objects and arrays are serialised; ids and the like stringify
+  const isStructured =
+    Array.isArray(value) ||
+    (typeof value === "object" && value.constructor === Object);
+
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : isStructured
+        ? JSON.stringify(value)
+        : String(value);
+
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from rows; columns are [{ header, value(row) }]
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map((column) => escapeCsvValue(column.header))];
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(column.value(row))));
+  }
+
+  return lines.map((line) => line.join(",")).join("\r\n") + "\r\n";
+};
+
+// Parse a CSV document (RFC 4180: quoted fields, doubled quotes, CRLF or LF
+// line endings) into rows of strings. Blank lines are skipped.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("CSV has an unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) endRow();
+
+  return rows;
+};
@@ -0,0 +1,23 @@
+import { sendEmail } from "./mailer.js";
+
+const clientUrl = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+// Email a password reset link for a freshly created reset token
+export const sendPasswordResetEmail = (
+  user,
+  resetToken,
+  { requestedByAdmin = false } = {}
+) => {
+  const intro = requestedByAdmin
+    ? "An administrator has reset your password and signed you out everywhere."
+    : "We received a request to reset your password.";
+  const outro = requestedByAdmin
+    ? "Contact your administrator if you were not expecting this."
+    : "If you did not request this, you can ignore this email.";
+
+  return sendEmail({
+    to: user.email,
+    subject: "Password reset request",
+    text: `Hi ${user.name},\n\n${intro} Use the link below to choose a new password:\n\n${clientUrl()}/reset-password?token=${resetToken}\n\n${outro}`,
+  });
+};
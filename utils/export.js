@@ -0,0 +1,105 @@
+import { escapeCsvValue } from "./csv.js";
+import { writeXlsx } from "./xlsx.js";
+
+// Output formats for data exports
+export const EXPORT_FORMATS = ["csv", "xlsx", "ndjson"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+// Write to a response, waiting for it to drain; rejects if the client goes
+// away so the export stops reading from the database
+const writeTo = (res) => (chunk) =>
+  new Promise((resolve, reject) => {
+    if (res.destroyed) {
+      return reject(new Error("Export aborted: client disconnected"));
+    }
+    if (res.write(chunk)) return resolve();
+
+    const done = (error) => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onDrain = () => done();
+    const onClose = () =>
+      done(new Error("Export aborted: client disconnected"));
+
+    res.on("drain", onDrain);
+    res.on("close", onClose);
+  });
+
+// Pick export columns by name from a catalogue of { header, value(doc) };
+// returns { columns } or { error } naming the unknown ones
+export const selectColumns = (catalogue, names) => {
+  if (!names || names.length === 0) {
+    return { columns: catalogue };
+  }
+
+  const unknown = names.filter(
+    (name) => !catalogue.some((column) => column.header === name)
+  );
+  if (unknown.length > 0) {
+    return { error: `Unknown export column(s): ${unknown.join(", ")}` };
+  }
+
+  return {
+    columns: names.map((name) =>
+      catalogue.find((column) => column.header === name)
+    ),
+  };
+};
+
+// Stream documents to the response as CSV, XLSX or NDJSON, one row at a
+// time. `docs` is an async iterable such as a query cursor.
+export const streamExport = async (
+  res,
+  { format, filename, sheetName, columns, docs }
+) => {
+  res
+    .status(200)
+    .set("Content-Type", CONTENT_TYPES[format])
+    .set(
+      "Content-Disposition",
+      `attachment; filename="${filename}-${new Date()
+        .toISOString()
+        .slice(0, 10)}.${format}"`
+    );
+
+  const write = writeTo(res);
+
+  const rows = (async function* () {
+    for await (const doc of docs) {
+      yield columns.map((column) => column.value(doc));
+    }
+  })();
+
+  if (format === "xlsx") {
+    await writeXlsx(write, {
+      sheetName,
+      headers: columns.map((column) => column.header),
+      rows,
+    });
+  } else if (format === "csv") {
+    await write(
+      columns.map((column) => escapeCsvValue(column.header)).join(",") + "\r\n"
+    );
+    for await (const values of rows) {
+      await write(values.map(escapeCsvValue).join(",") + "\r\n");
+    }
+  } else {
+    for await (const values of rows) {
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column.header] = values[index] ?? null;
+      });
+      await write(JSON.stringify(record) + "\n");
+    }
+  }
+
+  res.end();
+};
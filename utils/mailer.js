@@ -0,0 +1,95 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// Every transport exposes the same interface:
+//   send({ to, subject, text, html }) => Promise<{ messageId }>
+
+// SMTP adapter backed by nodemailer
+export const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail({
+        from: process.env.MAIL_FROM || "Workcity <no-reply@workcity.local>",
+        ...message,
+      });
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// File adapter - writes each message as JSON so it can be inspected offline
+export const createFileTransport = (
+  outputDir = process.env.MAIL_OUTPUT_DIR || "./tmp/mail"
+) => ({
+  name: "file",
+  send: async (message) => {
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(
+      path.join(outputDir, `${messageId}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { messageId };
+  },
+});
+
+// Console adapter - logs the message instead of delivering it. Development
+// only: messages carry live reset, verification and invitation links.
+export const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    console.log(
+      `[mail] to=${message.to} subject="${message.subject}"\n${message.text}`
+    );
+    return { messageId };
+  },
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let activeTransport;
+
+// Resolve the transport configured through MAIL_TRANSPORT. It defaults to
+// console outside production; production must name smtp or file.
+export const getTransport = () => {
+  if (!activeTransport) {
+    const production = process.env.NODE_ENV === "production";
+    const name = process.env.MAIL_TRANSPORT || (production ? "" : "console");
+
+    if (production && (!name || name === "console")) {
+      throw new Error(
+        "MAIL_TRANSPORT must be set to smtp or file in production; the console transport would log account tokens"
+      );
+    }
+
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+// Swap the transport at runtime (used by tests to capture outgoing mail)
+export const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+export const sendEmail = (message) => getTransport().send(message);
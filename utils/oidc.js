@@ -0,0 +1,191 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// Minimal OpenID Connect relying party: discovery, PKCE, code exchange and
+// ID token validation against the provider's JWKS
+
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "ES256", "ES384"];
+
+// Provider metadata and keys are cached per issuer
+let discoveryCache = null;
+let jwksCache = null;
+
+// Provider settings from the environment
+export const getOidcConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || "").replace(/\/+$/, ""),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || "openid email profile",
+});
+
+export const isOidcEnabled = () => {
+  const { issuer, clientId, redirectUri } = getOidcConfig();
+  return Boolean(issuer && clientId && redirectUri);
+};
+
+// Forget cached metadata and keys (used when the provider changes)
+export const resetOidcCache = () => {
+  discoveryCache = null;
+  jwksCache = null;
+};
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+// PKCE verifier and its S256 challenge
+export const generatePkcePair = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(codeVerifier).digest()
+  );
+  return { codeVerifier, codeChallenge };
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+  return body;
+};
+
+// Fetch the provider's discovery document
+export const discover = async () => {
+  const { issuer } = getOidcConfig();
+
+  if (!discoveryCache || discoveryCache.issuer !== issuer) {
+    const metadata = await fetchJson(
+      `${issuer}/.well-known/openid-configuration`
+    );
+
+    if (metadata.issuer.replace(/\/+$/, "") !== issuer) {
+      throw new Error("OIDC discovery document issuer does not match");
+    }
+
+    discoveryCache = { issuer, metadata };
+  }
+
+  return discoveryCache.metadata;
+};
+
+// Find the signing key for a token, refetching the JWKS once on a miss so
+// key rotation at the provider is picked up
+const getSigningKey = async (kid) => {
+  const { jwks_uri: jwksUri } = await discover();
+
+  const findKey = () =>
+    jwksCache &&
+    jwksCache.uri === jwksUri &&
+    jwksCache.keys.find((key) => !kid || key.kid === kid);
+
+  if (!findKey()) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache = { uri: jwksUri, keys: keys.filter((key) => key.use !== "enc") };
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error("No matching key found in the provider's JWKS");
+  }
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+// Build the URL the user is sent to at the provider
+export const buildAuthorizationUrl = async ({
+  state,
+  nonce,
+  codeChallenge,
+}) => {
+  const { clientId, redirectUri, scopes } = getOidcConfig();
+  const { authorization_endpoint: endpoint } = await discover();
+
+  const url = new URL(endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return url.toString();
+};
+
+// Exchange an authorization code (plus PKCE verifier) for tokens
+export const exchangeCode = async ({ code, codeVerifier }) => {
+  const { clientId, clientSecret, redirectUri } = getOidcConfig();
+  const { token_endpoint: endpoint } = await discover();
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier,
+  });
+  if (clientSecret) {
+    params.set("client_secret", clientSecret);
+  }
+
+  return fetchJson(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: params.toString(),
+  });
+};
+
+// Verify an ID token's signature and standard claims; returns its claims
+export const verifyIdToken = async (idToken, { nonce }) => {
+  const { issuer, clientId } = getOidcConfig();
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error("ID token is malformed");
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: [issuer, `${issuer}/`],
+    audience: clientId,
+  });
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1) {
+    if (claims.azp !== clientId) {
+      throw new Error("ID token was issued to another client");
+    }
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce does not match");
+  }
+
+  return claims;
+};
+
+// Map provider claims to a role name using OIDC_ROLE_CLAIM and OIDC_ROLE_MAP
+// (a JSON object of claim value -> role, e.g. {"crm-admins":"admin"}).
+// The first matching claim value wins; otherwise OIDC_DEFAULT_ROLE applies.
+export const mapRoleFromClaims = (claims) => {
+  const claimName = process.env.OIDC_ROLE_CLAIM || "groups";
+  const defaultRole = process.env.OIDC_DEFAULT_ROLE || "user";
+
+  let roleMap = {};
+  try {
+    roleMap = JSON.parse(process.env.OIDC_ROLE_MAP || "{}");
+  } catch (error) {
+    console.error("Invalid OIDC_ROLE_MAP:", error.message);
+  }
+
+  const raw = claims[claimName];
+  const values = Array.isArray(raw) ? raw : raw ? [raw] : [];
+
+  const match = values.find((value) => roleMap[value]);
+  return match ? roleMap[match].toLowerCase() : defaultRole;
+};
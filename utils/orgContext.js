@@ -0,0 +1,22 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Carries the active organization through a request's async work so
+// org-scoped models can filter on it without every query passing it along
+const storage = new AsyncLocalStorage();
+
+// Run a callback (usually the rest of the middleware chain) inside an org.
+// Client portal users also pass the client they are confined to.
+export const runInOrganization = (organizationId, callback, portalClientId) =>
+  storage.run({ organizationId, portalClientId }, callback);
+
+// The organization active for the current request, if any
+export const getActiveOrganizationId = () => {
+  const store = storage.getStore();
+  return store ? store.organizationId : undefined;
+};
+
+// The client a client portal request is confined to, if any
+export const getPortalClientId = () => {
+  const store = storage.getStore();
+  return store ? store.portalClientId : undefined;
+};
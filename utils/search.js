@@ -0,0 +1,150 @@
+// Search syntax for list endpoints, run against the collection's weighted
+// text index:
+//   acme widgets     documents matching any of the words, best first
+//   "acme widgets"   the exact phrase
+//   acm*             words starting with "acm"
+// Words containing punctuation (emails, domains) are matched as phrases so
+// "acme.com" doesn't match every ".com" address.
+
+const MAX_TERMS = 10;
+
+// Characters that separate words in a text index
+const WORD_BOUNDARY = /[\s.,;:!?@'"()[\]{}<>/\\|+=&^%$#~`-]+/;
+
+// Escape user input for use inside a regular expression
+export const escapeRegex = (value) =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Pattern matching `value` at the start of a word
+const wordStart = (value) =>
+  `${/^\w/.test(value) ? "\\b" : ""}${escapeRegex(value)}`;
+
+// Split a raw search string into words, phrases and prefixes
+export const parseSearch = (input = "") => {
+  const parsed = { words: [], phrases: [], prefixes: [] };
+
+  const tokens = input.match(/"[^"]*"?|[^\s"]+/g) || [];
+  tokens.slice(0, MAX_TERMS).forEach((token) => {
+    if (token.startsWith('"')) {
+      const phrase = token.replace(/"/g, "").trim();
+      if (phrase) parsed.phrases.push(phrase);
+      return;
+    }
+
+    // A leading minus would negate the word in $text; treat it as text
+    const value = token.replace(/^-+/, "");
+    if (value.endsWith("*")) {
+      const prefix = value.replace(/\*+$/, "");
+      if (prefix) parsed.prefixes.push(prefix);
+    } else if (WORD_BOUNDARY.test(value)) {
+      parsed.phrases.push(value);
+    } else if (value) {
+      parsed.words.push(value);
+    }
+  });
+
+  return parsed;
+};
+
+// Build the filter for a search string. Words and phrases use the text
+// index; prefixes must each start a word in one of `fields`.
+export const buildSearchFilter = (search, fields) => {
+  const { words, phrases, prefixes } = parseSearch(search);
+  const filter = {};
+
+  const textSearch = [...words, ...phrases.map((phrase) => `"${phrase}"`)].join(
+    " "
+  );
+  if (textSearch) {
+    filter.$text = { $search: textSearch };
+  }
+
+  if (prefixes.length > 0) {
+    filter.$and = prefixes.map((prefix) => ({
+      $or: fields.map((field) => ({
+        [field]: { $regex: wordStart(prefix), $options: "i" },
+      })),
+    }));
+  }
+
+  return filter;
+};
+
+// Projection adding the relevance score of a text search as `score`
+export const TEXT_SCORE = { score: { $meta: "textScore" } };
+
+// Sort by relevance when the filter has a text search; prefix-only searches
+// can't be ranked and fall back to newest first
+export const relevanceSort = (filter) =>
+  filter.$text ? { ...TEXT_SCORE, _id: 1 } : { createdAt: -1 };
+
+// Collect the string values at a dotted path, flattening arrays
+const valuesAt = (doc, path) => {
+  const [head, ...rest] = path.split(".");
+  const value = doc?.[head];
+
+  if (Array.isArray(value)) {
+    return value.flatMap((item) =>
+      rest.length ? valuesAt(item, rest.join(".")) : [item]
+    );
+  }
+  if (rest.length) return valuesAt(value, rest.join("."));
+  return typeof value === "string" ? [value] : [];
+};
+
+const SNIPPET_LENGTH = 120;
+
+// Cut a long value down to the text around its first match, moving the
+// match offsets with it
+const toSnippet = (text, matches) => {
+  if (text.length <= SNIPPET_LENGTH) return { snippet: text, matches };
+
+  const start = Math.max(0, matches[0][0] - SNIPPET_LENGTH / 3);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? "…" : "";
+  const shift = prefix.length - start;
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${end < text.length ? "…" : ""}`,
+    matches: matches
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + shift, to + shift]),
+  };
+};
+
+// Where a search matched a document: one entry per matching field value
+// with a snippet and the [start, end) offsets of each match inside it.
+// Words are matched at the start of words, so "design" also marks
+// "designs"; fields are listed in the order given.
+export const highlightMatches = (doc, search, fields) => {
+  const { words, phrases, prefixes } = parseSearch(search);
+  const patterns = [
+    ...phrases.map((phrase) => escapeRegex(phrase)),
+    ...[...words, ...prefixes].map(wordStart),
+  ];
+  if (patterns.length === 0) return [];
+
+  const highlights = [];
+  fields.forEach((field) => {
+    valuesAt(doc, field).forEach((text) => {
+      const pattern = new RegExp(patterns.join("|"), "gi");
+      const matches = [...text.matchAll(pattern)].map((match) => [
+        match.index,
+        match.index + match[0].length,
+      ]);
+
+      if (matches.length > 0) {
+        highlights.push({ field, ...toSnippet(text, matches) });
+      }
+    });
+  });
+
+  return highlights;
+};
+
+// Search results as JSON with their highlights added
+export const withHighlights = (docs, search, fields) =>
+  docs.map((doc) => {
+    const json = doc.toJSON();
+    return { ...json, highlights: highlightMatches(json, search, fields) };
+  });
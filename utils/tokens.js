@@ -0,0 +1,9 @@
+import crypto from "crypto";
+
+// Generate a random opaque token to hand to the client
+export const generateRandomToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("hex");
+
+// Hash an opaque token for storage; only the hash is ever persisted
+export const hashToken = (rawToken) =>
+  crypto.createHash("sha256").update(rawToken).digest("hex");
@@ -0,0 +1,216 @@
+import zlib from "zlib";
+import { once } from "events";
+
+// Minimal streaming XLSX writer: one worksheet of inline strings, numbers
+// and booleans, written as a ZIP archive whose sheet is deflated on the fly
+// so large exports never sit in memory. No ZIP64, so keep exports < 4 GB.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// General purpose flags: sizes follow in a data descriptor; UTF-8 names
+const ZIP_FLAGS = 0x0808;
+const DEFLATE = 8;
+
+// DOS date and time for ZIP headers
+const dosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+const escapeXml = (text) =>
+  text
+    // Characters XML 1.0 cannot represent
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Excel column letters for a zero-based index (0 -> A, 26 -> AA)
+const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const cellXml = (value, ref) => {
+  if (value === null || value === undefined || value === "") {
+    return "";
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (typeof value === "boolean") {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  const isStructured =
+    Array.isArray(value) ||
+    (typeof value === "object" && value.constructor === Object);
+  const text =
+    value instanceof Date
+      ? value.toISOString()
+      : isStructured
+        ? JSON.stringify(value)
+        : String(value);
+
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    text
+  )}</t></is></c>`;
+};
+
+const rowXml = (values, rowNumber) =>
+  `<row r="${rowNumber}">${values
+    .map((value, index) => cellXml(value, `${columnName(index)}${rowNumber}`))
+    .join("")}</row>`;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const staticParts = (sheetName) => [
+  [
+    "[Content_Types].xml",
+    `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+  ],
+  [
+    "_rels/.rels",
+    `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+  ],
+  [
+    "xl/workbook.xml",
+    `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${escapeXml(
+      sheetName.slice(0, 31)
+    )}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  ],
+  [
+    "xl/_rels/workbook.xml.rels",
+    `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+  ],
+];
+
+// Write a workbook through `sink`, an async function taking each Buffer in
+// order. `rows` is an (async) iterable of arrays of cell values.
+export const writeXlsx = async (
+  sink,
+  { sheetName = "Sheet1", headers, rows }
+) => {
+  const entries = [];
+  let offset = 0;
+  const stamp = dosDateTime(new Date());
+
+  const write = async (buffer) => {
+    offset += buffer.length;
+    await sink(buffer);
+  };
+
+  // Add a file whose content comes from an (async) iterable of strings
+  const addEntry = async (name, chunks) => {
+    const nameBuffer = Buffer.from(name);
+    const entry = { nameBuffer, offset, crc: 0, compressed: 0, size: 0 };
+    entries.push(entry);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(stamp.time, 10);
+    header.writeUInt16LE(stamp.date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await write(header);
+    await write(nameBuffer);
+
+    const deflate = zlib.createDeflateRaw();
+    const drained = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressed += chunk.length;
+        await write(chunk);
+      }
+    })();
+
+    for await (const text of chunks) {
+      const chunk = Buffer.from(text);
+      entry.crc = crc32(chunk, entry.crc);
+      entry.size += chunk.length;
+      if (!deflate.write(chunk)) {
+        await once(deflate, "drain");
+      }
+    }
+    deflate.end();
+    await drained;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressed, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await write(descriptor);
+  };
+
+  for (const [name, content] of staticParts(sheetName)) {
+    await addEntry(name, [content]);
+  }
+
+  await addEntry(
+    "xl/worksheets/sheet1.xml",
+    (async function* () {
+      yield `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>`;
+      yield rowXml(headers, 1);
+      let rowNumber = 1;
+      for await (const values of rows) {
+        rowNumber += 1;
+        yield rowXml(values, rowNumber);
+      }
+      yield "</sheetData></worksheet>";
+    })()
+  );
+
+  // Central directory
+  const directoryOffset = offset;
+  for (const entry of entries) {
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(20, 4);
+    record.writeUInt16LE(20, 6);
+    record.writeUInt16LE(ZIP_FLAGS, 8);
+    record.writeUInt16LE(DEFLATE, 10);
+    record.writeUInt16LE(stamp.time, 12);
+    record.writeUInt16LE(stamp.date, 14);
+    record.writeUInt32LE(entry.crc, 16);
+    record.writeUInt32LE(entry.compressed, 20);
+    record.writeUInt32LE(entry.size, 24);
+    record.writeUInt16LE(entry.nameBuffer.length, 28);
+    record.writeUInt32LE(entry.offset, 42);
+    await write(record);
+    await write(entry.nameBuffer);
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(offset - directoryOffset, 12);
+  end.writeUInt32LE(directoryOffset, 16);
+  await write(end);
+};
@@ -0,0 +1,54 @@
+import Joi from "joi";
+import { API_KEY_SCOPES } from "../models/ApiKey.js";
+
+// Create API key validation
+const createApiKeySchema = Joi.object({
+  name: Joi.string().min(2).max(100).trim().required().messages({
+    "string.base": "Name must be a string",
+    "string.empty": "Name is required",
+    "string.min": "Name must be at least 2 characters long",
+    "string.max": "Name cannot exceed 100 characters",
+    "any.required": "Name is required",
+  }),
+
+  scopes: Joi.array()
+    .items(
+      Joi.string()
+        .valid(...API_KEY_SCOPES)
+        .messages({
+          "any.only": `Scope must be one of: ${API_KEY_SCOPES.join(", ")}`,
+        })
+    )
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      "array.base": "Scopes must be an array",
+      "array.min": "At least one scope is required",
+      "array.unique": "Scopes must not contain duplicates",
+      "any.required": "Scopes are required",
+    }),
+
+  expiresAt: Joi.date().greater("now").messages({
+    "date.base": "Expiry must be a valid date",
+    "date.greater": "Expiry must be in the future",
+  }),
+});
+
+// Validation middleware
+const validateCreateApiKey = (req, res, next) => {
+  const { error } = createApiKeySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+export { createApiKeySchema, validateCreateApiKey };
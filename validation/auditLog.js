@@ -0,0 +1,51 @@
+import Joi from "joi";
+import { AUDIT_EVENTS } from "../models/AuditLog.js";
+
+const objectId = Joi.string().hex().length(24).messages({
+  "string.hex": "Must be a valid id",
+  "string.length": "Must be a valid id",
+});
+
+// Query validation for filtering
+const querySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+
+  limit: Joi.number().integer().min(1).max(100).default(20),
+
+  event: Joi.string().valid(...AUDIT_EVENTS),
+
+  outcome: Joi.string().valid("success", "failure", "denied"),
+
+  user: objectId,
+
+  actor: objectId,
+
+  email: Joi.string().trim().lowercase(),
+
+  ip: Joi.string().trim(),
+
+  from: Joi.date().iso(),
+
+  to: Joi.date().iso().min(Joi.ref("from")).messages({
+    "date.min": "End date must be after start date",
+  }),
+});
+
+// Validation middleware
+const validateAuditLogQuery = (req, res, next) => {
+  const { error, value } = querySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Invalid query parameters",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.query = value;
+  next();
+};
+
+export { querySchema, validateAuditLogQuery };
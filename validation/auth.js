@@ -1,5 +1,21 @@
 import Joi from "joi";
 
+// Password complexity rule shared by registration and password resets
+const passwordRule = Joi.string()
+  .min(6)
+  .max(128)
+  .pattern(new RegExp("^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)"))
+  .required()
+  .messages({
+    "string.base": "Password must be a string",
+    "string.empty": "Password is required",
+    "string.min": "Password must be at least 6 characters long",
+    "string.max": "Password cannot exceed 128 characters",
+    "string.pattern.base":
+      "Password must contain at least one uppercase letter, one lowercase letter, and one number",
+    "any.required": "Password is required",
+  });
+
 // User registration validation
 const registerSchema = Joi.object({
   name: Joi.string().min(2).max(50).trim().required().messages({
@@ -17,23 +33,12 @@ const registerSchema = Joi.object({
     "any.required": "Email is required",
   }),
 
-  password: Joi.string()
-    .min(6)
-    .max(128)
-    .pattern(new RegExp("^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)"))
-    .required()
-    .messages({
-      "string.base": "Password must be a string",
-      "string.empty": "Password is required",
-      "string.min": "Password must be at least 6 characters long",
-      "string.max": "Password cannot exceed 128 characters",
-      "string.pattern.base":
-        "Password must contain at least one uppercase letter, one lowercase letter, and one number",
-      "any.required": "Password is required",
-    }),
+  password: passwordRule,
 
-  role: Joi.string().valid("admin", "user").default("user").messages({
-    "any.only": "Role must be either admin or user",
+  // Elevated roles are only granted through invitations
+  role: Joi.string().valid("user").default("user").messages({
+    "any.only":
+      "Public signup can only create user accounts; other roles require an invitation",
   }),
 });
 
@@ -53,6 +58,133 @@ const loginSchema = Joi.object({
   }),
 });
 
+// Refresh token validation (refresh and logout)
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().trim().required().messages({
+    "string.base": "Refresh token must be a string",
+    "string.empty": "Refresh token is required",
+    "any.required": "Refresh token is required",
+  }),
+});
+
+// Forgot password validation
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().lowercase().required().messages({
+    "string.base": "Email must be a string",
+    "string.empty": "Email is required",
+    "string.email": "Please provide a valid email address",
+    "any.required": "Email is required",
+  }),
+});
+
+// Reset password validation
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().trim().required().messages({
+    "string.base": "Reset token must be a string",
+    "string.empty": "Reset token is required",
+    "any.required": "Reset token is required",
+  }),
+
+  password: passwordRule,
+});
+
+// Profile update validation
+const updateProfileSchema = Joi.object({
+  name: Joi.string().min(2).max(50).trim().messages({
+    "string.base": "Name must be a string",
+    "string.empty": "Name cannot be empty",
+    "string.min": "Name must be at least 2 characters long",
+    "string.max": "Name cannot exceed 50 characters",
+  }),
+
+  email: Joi.string().email().lowercase().messages({
+    "string.base": "Email must be a string",
+    "string.empty": "Email cannot be empty",
+    "string.email": "Please provide a valid email address",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "Provide a name or email to update",
+  });
+
+// Change password validation
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    "string.base": "Current password must be a string",
+    "string.empty": "Current password is required",
+    "any.required": "Current password is required",
+  }),
+
+  newPassword: passwordRule.invalid(Joi.ref("currentPassword")).messages({
+    "any.invalid": "New password must be different from the current password",
+  }),
+});
+
+// SSO callback validation
+const oidcCallbackSchema = Joi.object({
+  code: Joi.string().trim().required().messages({
+    "string.base": "Authorization code must be a string",
+    "string.empty": "Authorization code is required",
+    "any.required": "Authorization code is required",
+  }),
+
+  state: Joi.string().trim().required().messages({
+    "string.base": "State must be a string",
+    "string.empty": "State is required",
+    "any.required": "State is required",
+  }),
+});
+
+// Two-factor code: a 6-digit TOTP or a recovery code
+const twoFactorCodeRule = Joi.string()
+  .trim()
+  .pattern(/^(\d{6}|[a-fA-F0-9]{5}-[a-fA-F0-9]{5})$/)
+  .required()
+  .messages({
+    "string.base": "Code must be a string",
+    "string.empty": "Code is required",
+    "string.pattern.base":
+      "Code must be a 6-digit authenticator code or a recovery code",
+    "any.required": "Code is required",
+  });
+
+// Two-factor enrollment confirmation validation
+const twoFactorConfirmSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      "string.base": "Code must be a string",
+      "string.empty": "Code is required",
+      "string.pattern.base": "Code must be a 6-digit authenticator code",
+      "any.required": "Code is required",
+    }),
+});
+
+// Two-factor disable validation
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "string.base": "Password must be a string",
+    "string.empty": "Password is required",
+    "any.required": "Password is required",
+  }),
+
+  code: twoFactorCodeRule,
+});
+
+// Two-factor login challenge validation
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().trim().required().messages({
+    "string.base": "Challenge token must be a string",
+    "string.empty": "Challenge token is required",
+    "any.required": "Challenge token is required",
+  }),
+
+  code: twoFactorCodeRule,
+});
+
 // Validation middleware
 const validateRegister = (req, res, next) => {
   const { error } = registerSchema.validate(req.body);
@@ -84,10 +216,163 @@ const validateLogin = (req, res, next) => {
   next();
 };
 
+const validateRefreshToken = (req, res, next) => {
+  const { error } = refreshTokenSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateForgotPassword = (req, res, next) => {
+  const { error } = forgotPasswordSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateResetPassword = (req, res, next) => {
+  const { error } = resetPasswordSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateUpdateProfile = (req, res, next) => {
+  const { error } = updateProfileSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateChangePassword = (req, res, next) => {
+  const { error } = changePasswordSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateOidcCallback = (req, res, next) => {
+  const { error } = oidcCallbackSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateTwoFactorConfirm = (req, res, next) => {
+  const { error } = twoFactorConfirmSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateTwoFactorDisable = (req, res, next) => {
+  const { error } = twoFactorDisableSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateTwoFactorLogin = (req, res, next) => {
+  const { error } = twoFactorLoginSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
 
 export {
-    registerSchema,
-    loginSchema,
-    validateRegister,
-    validateLogin,
-}
+  passwordRule,
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  oidcCallbackSchema,
+  twoFactorConfirmSchema,
+  twoFactorDisableSchema,
+  twoFactorLoginSchema,
+  validateRegister,
+  validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateUpdateProfile,
+  validateChangePassword,
+  validateOidcCallback,
+  validateTwoFactorConfirm,
+  validateTwoFactorDisable,
+  validateTwoFactorLogin,
+};
@@ -1,4 +1,46 @@
 import Joi from "joi";
+import { PURGE_STRATEGIES, MERGE_FIELDS } from "../models/Client.js";
+import CustomField, {
+  CUSTOM_FIELD_KEY_PATTERN,
+} from "../models/CustomField.js";
+import { STAGE_KEY_PATTERN } from "../models/Pipeline.js";
+import { EXPORT_FORMATS } from "../utils/export.js";
+import {
+  COUNTRY_CODES,
+  CURRENCY_CODES,
+  normalizeTaxId,
+} from "../utils/billing.js";
+
+// Pipeline stage key; whether the stage exists and the client may move to
+// it is checked against the organization's pipeline in the route
+const statusRule = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(STAGE_KEY_PATTERN)
+  .max(30)
+  .messages({
+    "string.base": "Status must be a string",
+    "string.pattern.base": "Status must be a pipeline stage key",
+    "string.max": "Status cannot exceed 30 characters",
+  });
+
+// Free-form tags, stored lowercase
+const tagsRule = Joi.array()
+  .items(Joi.string().trim().lowercase().min(1).max(50))
+  .max(20)
+  .unique()
+  .messages({
+    "array.base": "Tags must be an array of strings",
+    "array.max": "A client cannot have more than 20 tags",
+    "array.unique": "Tags must be unique",
+    "string.max": "Tags cannot exceed 50 characters",
+  });
+
+// Values are checked against the organization's definitions by
+// validateCreateClientCustomFields / validateUpdateClientCustomFields
+const customFieldsRule = Joi.object().messages({
+  "object.base": "Custom fields must be an object",
+});
 
 // Create client validation
 const createClientSchema = Joi.object({
@@ -38,9 +80,11 @@ const createClientSchema = Joi.object({
     "string.max": "Address cannot exceed 200 characters",
   }),
 
-  status: Joi.string().valid("active", "inactive").default("active").messages({
-    "any.only": "Status must be either active or inactive",
-  }),
+  status: statusRule,
+
+  tags: tagsRule,
+
+  customFields: customFieldsRule,
 });
 
 // Update client validation (all fields optional)
@@ -73,9 +117,11 @@ const updateClientSchema = Joi.object({
     "string.max": "Address cannot exceed 200 characters",
   }),
 
-  status: Joi.string().valid("active", "inactive").messages({
-    "any.only": "Status must be either active or inactive",
-  }),
+  status: statusRule,
+
+  tags: tagsRule,
+
+  customFields: customFieldsRule,
 })
   .min(1)
   .messages({
@@ -88,17 +134,263 @@ const querySchema = Joi.object({
 
   limit: Joi.number().integer().min(1).max(100).default(10),
 
-  search: Joi.string().trim().allow(""),
+  search: Joi.string().trim().max(200).allow(""),
+
+  status: statusRule,
+
+  // List archived clients instead of current ones
+  archived: Joi.boolean().default(false),
 
-  status: Joi.string().valid("active", "inactive"),
+  // Comma-separated; clients must carry every listed tag
+  tags: Joi.string()
+    .trim()
+    .custom((value) =>
+      value
+        .split(",")
+        .map((tag) => tag.trim().toLowerCase())
+        .filter(Boolean)
+    ),
 
+  // custom[key]=value, or custom[key][gte]=.../custom[key][lte]=... for
+  // number and date fields; values are converted by
+  // validateClientCustomFieldQuery
+  custom: Joi.object().pattern(
+    CUSTOM_FIELD_KEY_PATTERN,
+    Joi.alternatives().try(
+      Joi.string(),
+      Joi.object({ gte: Joi.string(), lte: Joi.string() }).min(1)
+    )
+  ),
+
+  // Searches are ranked by relevance unless another order is asked for
   sortBy: Joi.string()
-    .valid("name", "company", "createdAt", "updatedAt")
-    .default("createdAt"),
+    .pattern(
+      /^(relevance|name|company|createdAt|updatedAt|custom\.[a-z][a-z0-9_]*)$/
+    )
+    .default((parent) => (parent.search ? "relevance" : "createdAt"))
+    .messages({
+      "string.pattern.base":
+        "sortBy must be relevance, name, company, createdAt, updatedAt or custom.<field key>",
+    }),
 
   sortOrder: Joi.string().valid("asc", "desc").default("desc"),
 });
 
+// Purge validation
+const purgeClientSchema = Joi.object({
+  strategy: Joi.string()
+    .valid(...PURGE_STRATEGIES)
+    .default("block")
+    .messages({
+      "any.only": `Strategy must be one of: ${PURGE_STRATEGIES.join(", ")}`,
+    }),
+
+  reassignTo: Joi.string()
+    .hex()
+    .length(24)
+    .when("strategy", {
+      is: "reassign",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      "string.hex": "reassignTo must be a valid client id",
+      "string.length": "reassignTo must be a valid client id",
+      "any.required": "reassignTo is required when strategy is reassign",
+      "any.unknown": "reassignTo is only allowed when strategy is reassign",
+    }),
+});
+
+// Duplicate candidate query validation
+const duplicatesQuerySchema = Joi.object({
+  // Only report pairs scoring at least this much (0 to 1)
+  minScore: Joi.number().min(0).max(1).default(0.5),
+
+  limit: Joi.number().integer().min(1).max(100).default(20),
+
+  // Only report candidates for this client
+  client: Joi.string().hex().length(24).messages({
+    "string.hex": "client must be a valid client id",
+    "string.length": "client must be a valid client id",
+  }),
+});
+
+// Billing profile update validation; null clears a field
+const updateBillingSchema = Joi.object({
+  street: Joi.string().trim().max(200).allow(null),
+
+  city: Joi.string().trim().max(100).allow(null),
+
+  region: Joi.string().trim().max(100).allow(null),
+
+  postalCode: Joi.string()
+    .trim()
+    .max(20)
+    .pattern(/^[A-Za-z0-9 -]+$/)
+    .allow(null)
+    .messages({
+      "string.pattern.base":
+        "Postal code can only contain letters, digits, spaces and hyphens",
+    }),
+
+  country: Joi.string()
+    .trim()
+    .uppercase()
+    .valid(...COUNTRY_CODES)
+    .allow(null)
+    .messages({
+      "any.only": "Country must be an ISO 3166-1 alpha-2 code, e.g. GB",
+    }),
+
+  taxId: Joi.string().trim().max(30).allow(null),
+
+  currency: Joi.string()
+    .trim()
+    .uppercase()
+    .valid(...CURRENCY_CODES)
+    .allow(null)
+    .messages({
+      "any.only": "Currency must be an ISO 4217 code, e.g. EUR",
+    }),
+
+  paymentTermsDays: Joi.number().integer().min(0).max(365).allow(null),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one billing field must be provided",
+  });
+
+// Check the tax ID of a complete billing profile against its country and
+// normalize it. Returns { value } or { details } in the shape of a
+// validation error.
+const checkBillingProfile = (profile) => {
+  if (!profile.taxId) return { value: profile };
+
+  if (!profile.country) {
+    return {
+      details: [
+        { field: "taxId", message: "A country is required with a tax ID" },
+      ],
+    };
+  }
+
+  const { value, error } = normalizeTaxId(profile.taxId, profile.country);
+  if (error) {
+    return { details: [{ field: "taxId", message: error }] };
+  }
+
+  return { value: { ...profile, taxId: value } };
+};
+
+// Merge validation: which client is merged in and whose values to keep
+const mergeClientSchema = Joi.object({
+  duplicateId: Joi.string().hex().length(24).required().messages({
+    "string.hex": "duplicateId must be a valid client id",
+    "string.length": "duplicateId must be a valid client id",
+    "any.required": "duplicateId is required",
+  }),
+
+  keep: Joi.object(
+    Object.fromEntries(
+      MERGE_FIELDS.map((field) => [
+        field,
+        Joi.string()
+          .valid("survivor", "duplicate")
+          .messages({
+            "any.only": `keep.${field} must be survivor or duplicate`,
+          }),
+      ])
+    )
+  ).default({}),
+});
+
+// Export validation: the list filters plus format and column selection
+const exportQuerySchema = querySchema.keys({
+  format: Joi.string()
+    .valid(...EXPORT_FORMATS)
+    .default("csv")
+    .messages({
+      "any.only": `Format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+    }),
+
+  // Comma-separated column names, in output order
+  columns: Joi.string()
+    .trim()
+    .custom((value) =>
+      value
+        .split(",")
+        .map((column) => column.trim())
+        .filter(Boolean)
+    ),
+});
+
+// Client fields a CSV column can be mapped to
+const IMPORT_FIELD_PATTERN =
+  /^(name|email|phone|company|address|status|tags|customFields\.[a-z][a-z0-9_]*)$/;
+
+// CSV import validation
+const importClientsSchema = Joi.object({
+  csv: Joi.string().required().messages({
+    "string.base": "csv must be a string",
+    "string.empty": "csv is required",
+    "any.required": "csv is required",
+  }),
+
+  // CSV header -> client field; without it, headers must be field names
+  mapping: Joi.object()
+    .pattern(
+      Joi.string(),
+      Joi.string().pattern(IMPORT_FIELD_PATTERN).messages({
+        "string.pattern.base":
+          "Columns can map to name, email, phone, company, address, status, tags or customFields.<key>",
+      })
+    )
+    .min(1),
+
+  dryRun: Joi.boolean().default(false),
+
+  // What to do with rows whose email matches an existing client
+  onDuplicate: Joi.string().valid("skip", "update").default("skip").messages({
+    "any.only": "onDuplicate must be either skip or update",
+  }),
+});
+
+// Joi rule for the values of one custom field definition
+const customFieldRule = (definition) => {
+  let rule;
+  switch (definition.type) {
+    case "number":
+      rule = Joi.number();
+      break;
+    case "date":
+      rule = Joi.date().iso();
+      break;
+    case "enum":
+      rule = Joi.string().valid(...definition.options);
+      break;
+    default:
+      rule = Joi.string().trim().max(500);
+  }
+  return rule.label(definition.label);
+};
+
+// Schema for a client's customFields built from the organization's field
+// definitions. Updates are partial and may clear optional fields with null.
+const buildCustomFieldsSchema = (definitions, { partial = false } = {}) =>
+  Joi.object(
+    Object.fromEntries(
+      definitions.map((definition) => {
+        let rule = customFieldRule(definition);
+        if (!partial && definition.required) {
+          rule = rule.required();
+        } else if (partial && !definition.required) {
+          rule = rule.allow(null);
+        }
+        return [definition.key, rule];
+      })
+    )
+  );
+
 // Validation middleware
 const validateCreateClient = (req, res, next) => {
   const { error } = createClientSchema.validate(req.body);
@@ -130,6 +422,42 @@ const validateUpdateClient = (req, res, next) => {
   next();
 };
 
+// Check customFields against the organization's definitions and convert the
+// values to their field types (use after requireOrganization)
+const checkCustomFields = async (req, res, next, options) => {
+  try {
+    const definitions = await CustomField.find().lean();
+    const { error, value } = buildCustomFieldsSchema(
+      definitions,
+      options
+    ).validate(req.body.customFields || {});
+
+    if (error) {
+      return res.status(400).json({
+        status: "error",
+        message: "Validation error",
+        details: error.details.map((detail) => ({
+          field: `customFields.${detail.path[0]}`,
+          message: detail.message,
+        })),
+      });
+    }
+
+    if (req.body.customFields || !options.partial) {
+      req.body.customFields = value;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateCreateClientCustomFields = (req, res, next) =>
+  checkCustomFields(req, res, next, { partial: false });
+
+const validateUpdateClientCustomFields = (req, res, next) =>
+  checkCustomFields(req, res, next, { partial: true });
+
 const validateClientQuery = (req, res, next) => {
   const { error, value } = querySchema.validate(req.query);
   if (error) {
@@ -146,11 +474,190 @@ const validateClientQuery = (req, res, next) => {
   next();
 };
 
+// Check custom field filters and sorting against the organization's
+// definitions and convert filter values to their field types
+const validateClientCustomFieldQuery = async (req, res, next) => {
+  try {
+    const { custom = {}, sortBy } = req.query;
+    const sortKey = sortBy.startsWith("custom.") ? sortBy.slice(7) : null;
+
+    if (Object.keys(custom).length === 0 && !sortKey) {
+      return next();
+    }
+
+    const definitions = await CustomField.find().lean();
+    const byKey = new Map(definitions.map((field) => [field.key, field]));
+    const details = [];
+
+    if (sortKey && !byKey.has(sortKey)) {
+      details.push({
+        field: "sortBy",
+        message: `Unknown custom field "${sortKey}"`,
+      });
+    }
+
+    for (const [key, filter] of Object.entries(custom)) {
+      const definition = byKey.get(key);
+      if (!definition) {
+        details.push({
+          field: `custom.${key}`,
+          message: `Unknown custom field "${key}"`,
+        });
+        continue;
+      }
+
+      const isRange = typeof filter === "object";
+      if (isRange && !["number", "date"].includes(definition.type)) {
+        details.push({
+          field: `custom.${key}`,
+          message: "Range filters only apply to number and date fields",
+        });
+        continue;
+      }
+
+      const rule = customFieldRule(definition);
+      const { error, value } = isRange
+        ? Joi.object({ gte: rule, lte: rule }).validate(filter)
+        : rule.validate(filter);
+
+      if (error) {
+        details.push({ field: `custom.${key}`, message: error.message });
+      } else {
+        custom[key] = value;
+      }
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid query parameters",
+        details,
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateClientExportQuery = (req, res, next) => {
+  const { error, value } = exportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Invalid query parameters",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.query = value;
+  next();
+};
+
+const validateUpdateBilling = (req, res, next) => {
+  const { error, value } = updateBillingSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.body = value;
+  next();
+};
+
+const validateDuplicatesQuery = (req, res, next) => {
+  const { error, value } = duplicatesQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Invalid query parameters",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.query = value;
+  next();
+};
+
+const validateMergeClient = (req, res, next) => {
+  const { error, value } = mergeClientSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.body = value;
+  next();
+};
+
+const validateImportClients = (req, res, next) => {
+  const { error, value } = importClientsSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.body = value;
+  next();
+};
+
+const validatePurgeClient = (req, res, next) => {
+  const { error, value } = purgeClientSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.body = value;
+  next();
+};
+
 export {
   createClientSchema,
   updateClientSchema,
   querySchema,
+  purgeClientSchema,
+  updateBillingSchema,
+  duplicatesQuerySchema,
+  mergeClientSchema,
+  importClientsSchema,
+  exportQuerySchema,
   validateCreateClient,
   validateUpdateClient,
   validateClientQuery,
-};
\ No newline at end of file
+  validatePurgeClient,
+  validateUpdateBilling,
+  checkBillingProfile,
+  validateDuplicatesQuery,
+  validateMergeClient,
+  validateImportClients,
+  validateClientExportQuery,
+  buildCustomFieldsSchema,
+  validateCreateClientCustomFields,
+  validateUpdateClientCustomFields,
+  validateClientCustomFieldQuery,
+};
@@ -0,0 +1,118 @@
+import Joi from "joi";
+import { CONTACT_ROLES } from "../models/Client.js";
+
+const roleRule = Joi.string()
+  .valid(...CONTACT_ROLES)
+  .messages({
+    "any.only": `Role must be one of: ${CONTACT_ROLES.join(", ")}`,
+  });
+
+// Create contact validation
+const createContactSchema = Joi.object({
+  name: Joi.string().min(2).max(100).trim().required().messages({
+    "string.base": "Name must be a string",
+    "string.empty": "Name is required",
+    "string.min": "Name must be at least 2 characters long",
+    "string.max": "Name cannot exceed 100 characters",
+    "any.required": "Name is required",
+  }),
+
+  email: Joi.string().email().lowercase().messages({
+    "string.base": "Email must be a string",
+    "string.email": "Please provide a valid email address",
+  }),
+
+  phone: Joi.string().min(10).max(20).trim().messages({
+    "string.base": "Phone must be a string",
+    "string.min": "Phone must be at least 10 characters long",
+    "string.max": "Phone cannot exceed 20 characters",
+  }),
+
+  title: Joi.string().max(100).trim().allow("").messages({
+    "string.base": "Title must be a string",
+    "string.max": "Title cannot exceed 100 characters",
+  }),
+
+  role: roleRule.default("other"),
+
+  isPrimary: Joi.boolean().default(false).messages({
+    "boolean.base": "isPrimary must be true or false",
+  }),
+})
+  .or("email", "phone")
+  .messages({
+    "object.missing": "Provide an email or a phone number for the contact",
+  });
+
+// Update contact validation (all fields optional)
+const updateContactSchema = Joi.object({
+  name: Joi.string().min(2).max(100).trim().messages({
+    "string.base": "Name must be a string",
+    "string.min": "Name must be at least 2 characters long",
+    "string.max": "Name cannot exceed 100 characters",
+  }),
+
+  email: Joi.string().email().lowercase().messages({
+    "string.base": "Email must be a string",
+    "string.email": "Please provide a valid email address",
+  }),
+
+  phone: Joi.string().min(10).max(20).trim().messages({
+    "string.base": "Phone must be a string",
+    "string.min": "Phone must be at least 10 characters long",
+    "string.max": "Phone cannot exceed 20 characters",
+  }),
+
+  title: Joi.string().max(100).trim().allow("").messages({
+    "string.base": "Title must be a string",
+    "string.max": "Title cannot exceed 100 characters",
+  }),
+
+  role: roleRule,
+
+  isPrimary: Joi.boolean().messages({
+    "boolean.base": "isPrimary must be true or false",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one field must be provided for update",
+  });
+
+// Validation middleware
+const validateCreateContact = (req, res, next) => {
+  const { error } = createContactSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateUpdateContact = (req, res, next) => {
+  const { error } = updateContactSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+export {
+  createContactSchema,
+  updateContactSchema,
+  validateCreateContact,
+  validateUpdateContact,
+};
@@ -0,0 +1,114 @@
+import Joi from "joi";
+import {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_KEY_PATTERN,
+} from "../models/CustomField.js";
+
+const labelRule = Joi.string().min(1).max(100).trim().messages({
+  "string.base": "Label must be a string",
+  "string.empty": "Label is required",
+  "string.max": "Label cannot exceed 100 characters",
+  "any.required": "Label is required",
+});
+
+const optionsRule = Joi.array()
+  .items(Joi.string().trim().min(1).max(100))
+  .min(1)
+  .max(100)
+  .unique()
+  .messages({
+    "array.base": "Options must be an array of strings",
+    "array.min": "Enum fields need at least one option",
+    "array.max": "Enum fields cannot have more than 100 options",
+    "array.unique": "Options must be unique",
+  });
+
+const requiredRule = Joi.boolean().messages({
+  "boolean.base": "Required must be true or false",
+});
+
+// Create custom field validation
+const createCustomFieldSchema = Joi.object({
+  key: Joi.string()
+    .trim()
+    .pattern(CUSTOM_FIELD_KEY_PATTERN)
+    .max(40)
+    .required()
+    .messages({
+      "string.base": "Key must be a string",
+      "string.empty": "Key is required",
+      "string.pattern.base":
+        "Key must start with a letter and contain only lowercase letters, numbers and underscores",
+      "string.max": "Key cannot exceed 40 characters",
+      "any.required": "Key is required",
+    }),
+
+  label: labelRule.required(),
+
+  type: Joi.string()
+    .valid(...CUSTOM_FIELD_TYPES)
+    .required()
+    .messages({
+      "any.only": `Type must be one of: ${CUSTOM_FIELD_TYPES.join(", ")}`,
+      "any.required": "Type is required",
+    }),
+
+  options: optionsRule.when("type", {
+    is: "enum",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+
+  required: requiredRule,
+});
+
+// Update custom field validation; key and type cannot change
+const updateCustomFieldSchema = Joi.object({
+  label: labelRule,
+
+  options: optionsRule,
+
+  required: requiredRule,
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one field must be provided for update",
+  });
+
+// Validation middleware
+const validateCreateCustomField = (req, res, next) => {
+  const { error } = createCustomFieldSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateUpdateCustomField = (req, res, next) => {
+  const { error } = updateCustomFieldSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+export {
+  createCustomFieldSchema,
+  updateCustomFieldSchema,
+  validateCreateCustomField,
+  validateUpdateCustomField,
+};
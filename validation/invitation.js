@@ -0,0 +1,129 @@
+import Joi from "joi";
+import { passwordRule } from "./auth.js";
+
+// Create invitation validation
+const createInvitationSchema = Joi.object({
+  email: Joi.string().email().lowercase().required().messages({
+    "string.base": "Email must be a string",
+    "string.empty": "Email is required",
+    "string.email": "Please provide a valid email address",
+    "any.required": "Email is required",
+  }),
+
+  role: Joi.string().trim().lowercase().max(50).default("user").messages({
+    "string.base": "Role must be a string",
+    "string.max": "Role cannot exceed 50 characters",
+  }),
+
+  // Defaults to the inviter's active organization
+  organizationId: Joi.string().hex().length(24).messages({
+    "string.base": "Organization ID must be a string",
+    "string.hex": "Invalid organization ID format",
+    "string.length": "Invalid organization ID format",
+  }),
+
+  organizationRole: Joi.string()
+    .trim()
+    .lowercase()
+    .max(50)
+    .invalid("client")
+    .default("user")
+    .messages({
+      "string.base": "Organization role must be a string",
+      "string.max": "Organization role cannot exceed 50 characters",
+      "any.invalid":
+        "Client portal members must be linked to a client from the members endpoints",
+    }),
+
+  expiresInDays: Joi.number().integer().min(1).max(30).messages({
+    "number.base": "Expiry must be a number of days",
+    "number.min": "Expiry must be at least 1 day",
+    "number.max": "Expiry cannot exceed 30 days",
+  }),
+});
+
+// Accept invitation validation
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().trim().required().messages({
+    "string.base": "Invitation token must be a string",
+    "string.empty": "Invitation token is required",
+    "any.required": "Invitation token is required",
+  }),
+
+  name: Joi.string().min(2).max(50).trim().required().messages({
+    "string.base": "Name must be a string",
+    "string.empty": "Name is required",
+    "string.min": "Name must be at least 2 characters long",
+    "string.max": "Name cannot exceed 50 characters",
+    "any.required": "Name is required",
+  }),
+
+  password: passwordRule,
+});
+
+// Query validation for filtering
+const querySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+
+  limit: Joi.number().integer().min(1).max(100).default(10),
+
+  status: Joi.string().valid("pending", "accepted", "revoked", "expired"),
+
+  email: Joi.string().trim().lowercase(),
+});
+
+// Validation middleware
+const validateCreateInvitation = (req, res, next) => {
+  const { error } = createInvitationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateAcceptInvitation = (req, res, next) => {
+  const { error } = acceptInvitationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateInvitationQuery = (req, res, next) => {
+  const { error, value } = querySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Invalid query parameters",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.query = value;
+  next();
+};
+
+export {
+  createInvitationSchema,
+  acceptInvitationSchema,
+  querySchema,
+  validateCreateInvitation,
+  validateAcceptInvitation,
+  validateInvitationQuery,
+};
@@ -0,0 +1,141 @@
+import Joi from "joi";
+import { NOTE_TYPES } from "../models/ClientNote.js";
+
+const typeRule = Joi.string()
+  .valid(...NOTE_TYPES)
+  .messages({
+    "any.only": `Type must be one of: ${NOTE_TYPES.join(", ")}`,
+  });
+
+// Create note validation
+const createNoteSchema = Joi.object({
+  body: Joi.string().min(1).max(5000).trim().required().messages({
+    "string.base": "Note must be a string",
+    "string.empty": "Note text is required",
+    "string.max": "Note cannot exceed 5000 characters",
+    "any.required": "Note text is required",
+  }),
+
+  type: typeRule.required().messages({
+    "any.required": "Type is required",
+  }),
+
+  pinned: Joi.boolean().messages({
+    "boolean.base": "Pinned must be true or false",
+  }),
+});
+
+// Update note validation (all fields optional)
+const updateNoteSchema = Joi.object({
+  body: Joi.string().min(1).max(5000).trim().messages({
+    "string.base": "Note must be a string",
+    "string.empty": "Note text cannot be empty",
+    "string.max": "Note cannot exceed 5000 characters",
+  }),
+
+  type: typeRule,
+
+  pinned: Joi.boolean().messages({
+    "boolean.base": "Pinned must be true or false",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one field must be provided for update",
+  });
+
+// Query validation for listing notes
+const noteQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+
+  limit: Joi.number().integer().min(1).max(100).default(20),
+
+  type: typeRule,
+
+  pinned: Joi.boolean(),
+});
+
+// Query validation for the client timeline
+const timelineQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+
+  limit: Joi.number().integer().min(1).max(100).default(20),
+
+  kind: Joi.string().valid("note", "event").messages({
+    "any.only": "Kind must be one of: note, event",
+  }),
+});
+
+// Validation middleware
+const validateCreateNote = (req, res, next) => {
+  const { error } = createNoteSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateUpdateNote = (req, res, next) => {
+  const { error } = updateNoteSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateNoteQuery = (req, res, next) => {
+  const { error, value } = noteQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Invalid query parameters",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.query = value;
+  next();
+};
+
+const validateTimelineQuery = (req, res, next) => {
+  const { error, value } = timelineQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Invalid query parameters",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.query = value;
+  next();
+};
+
+export {
+  createNoteSchema,
+  updateNoteSchema,
+  noteQuerySchema,
+  timelineQuerySchema,
+  validateCreateNote,
+  validateUpdateNote,
+  validateNoteQuery,
+  validateTimelineQuery,
+};
@@ -0,0 +1,123 @@
+import Joi from "joi";
+
+const roleRule = Joi.string().trim().lowercase().max(50).messages({
+  "string.base": "Role must be a string",
+  "string.empty": "Role is required",
+  "string.max": "Role cannot exceed 50 characters",
+  "any.required": "Role is required",
+});
+
+// Client portal members ("client" role) are linked to one client; other
+// roles can't be
+const clientIdRule = Joi.string()
+  .hex()
+  .length(24)
+  .when("role", {
+    is: "client",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  })
+  .messages({
+    "string.base": "Client ID must be a string",
+    "string.hex": "Invalid client ID format",
+    "string.length": "Invalid client ID format",
+    "any.required": "Client ID is required for the client role",
+    "any.unknown": "Client ID can only be set for the client role",
+  });
+
+// Create organization validation
+const createOrganizationSchema = Joi.object({
+  name: Joi.string().min(2).max(100).trim().required().messages({
+    "string.base": "Name must be a string",
+    "string.empty": "Name is required",
+    "string.min": "Name must be at least 2 characters long",
+    "string.max": "Name cannot exceed 100 characters",
+    "any.required": "Name is required",
+  }),
+
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .max(60)
+    .messages({
+      "string.base": "Slug must be a string",
+      "string.pattern.base":
+        "Slug can only contain lowercase letters, numbers and hyphens",
+      "string.max": "Slug cannot exceed 60 characters",
+    }),
+});
+
+// Add member validation
+const addMemberSchema = Joi.object({
+  email: Joi.string().email().lowercase().required().messages({
+    "string.base": "Email must be a string",
+    "string.empty": "Email is required",
+    "string.email": "Please provide a valid email address",
+    "any.required": "Email is required",
+  }),
+
+  role: roleRule.default("user"),
+  clientId: clientIdRule,
+});
+
+// Update member validation
+const updateMemberSchema = Joi.object({
+  role: roleRule.required(),
+  clientId: clientIdRule,
+});
+
+// Validation middleware
+const validateCreateOrganization = (req, res, next) => {
+  const { error } = createOrganizationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateAddMember = (req, res, next) => {
+  const { error } = addMemberSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateUpdateMember = (req, res, next) => {
+  const { error } = updateMemberSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+export {
+  createOrganizationSchema,
+  addMemberSchema,
+  updateMemberSchema,
+  validateCreateOrganization,
+  validateAddMember,
+  validateUpdateMember,
+};
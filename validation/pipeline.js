@@ -0,0 +1,148 @@
+import Joi from "joi";
+import { STAGE_KEY_PATTERN } from "../models/Pipeline.js";
+
+const stageKeyRule = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(STAGE_KEY_PATTERN)
+  .max(30)
+  .messages({
+    "string.base": "Stage key must be a string",
+    "string.empty": "Stage key is required",
+    "string.pattern.base":
+      "Stage keys must start with a letter and contain only lowercase letters, numbers and hyphens",
+    "string.max": "Stage key cannot exceed 30 characters",
+    "any.required": "Stage key is required",
+  });
+
+// Transitions and the default stage must name one of the pipeline's stages
+const definedStageRule = stageKeyRule
+  .valid(
+    Joi.in("/stages", { adjust: (stages) => stages.map((stage) => stage.key) })
+  )
+  .messages({ "any.only": "{{#label}} must be one of the pipeline's stages" });
+
+// Pipeline validation (the whole pipeline is replaced)
+const updatePipelineSchema = Joi.object({
+  stages: Joi.array()
+    .items(
+      Joi.object({
+        key: stageKeyRule.required(),
+        label: Joi.string().trim().min(1).max(50).required().messages({
+          "string.empty": "Stage label is required",
+          "string.max": "Stage label cannot exceed 50 characters",
+          "any.required": "Stage label is required",
+        }),
+        acceptsProjects: Joi.boolean().default(true),
+      })
+    )
+    .min(2)
+    .max(20)
+    .unique("key")
+    .required()
+    .messages({
+      "array.min": "A pipeline needs at least 2 stages",
+      "array.max": "A pipeline cannot have more than 20 stages",
+      "array.unique": "Stage keys must be unique",
+      "any.required": "Stages are required",
+    }),
+
+  transitions: Joi.array()
+    .items(
+      Joi.object({
+        from: definedStageRule.required(),
+        to: definedStageRule.required(),
+      }).custom((transition, helpers) =>
+        transition.from === transition.to
+          ? helpers.message("A transition must move to a different stage")
+          : transition
+      )
+    )
+    .max(400)
+    .unique((a, b) => a.from === b.from && a.to === b.to)
+    .required()
+    .messages({
+      "array.unique": "Transitions must be unique",
+      "any.required": "Transitions are required",
+    }),
+
+  defaultStage: definedStageRule.required(),
+});
+
+// Stage change validation
+const changeStageSchema = Joi.object({
+  stage: stageKeyRule.required(),
+
+  reason: Joi.string().trim().max(500).allow("").messages({
+    "string.max": "Reason cannot exceed 500 characters",
+  }),
+});
+
+// Pipeline report validation: the period the report covers
+const pipelineReportQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+
+  to: Joi.date()
+    .iso()
+    .when("from", { is: Joi.exist(), then: Joi.date().min(Joi.ref("from")) })
+    .messages({
+      "date.min": "to must be after from",
+    }),
+});
+
+const validateUpdatePipeline = (req, res, next) => {
+  const { error, value } = updatePipelineSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.body = value;
+  next();
+};
+
+const validateChangeStage = (req, res, next) => {
+  const { error, value } = changeStageSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.body = value;
+  next();
+};
+
+const validatePipelineReportQuery = (req, res, next) => {
+  const { error, value } = pipelineReportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Invalid query parameters",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.query = value;
+  next();
+};
+
+export {
+  updatePipelineSchema,
+  changeStageSchema,
+  pipelineReportQuerySchema,
+  validateUpdatePipeline,
+  validateChangeStage,
+  validatePipelineReportQuery,
+};
@@ -1,5 +1,6 @@
 import Joi from "joi";
 import mongoose from "mongoose";
+import { EXPORT_FORMATS } from "../utils/export.js";
 
 // Custom validator for MongoDB ObjectId
 const objectId = Joi.string()
@@ -111,14 +112,16 @@ const querySchema = Joi.object({
 
   limit: Joi.number().integer().min(1).max(100).default(10),
 
-  search: Joi.string().trim().allow(""),
+  search: Joi.string().trim().max(200).allow(""),
 
   status: Joi.string().valid("pending", "in-progress", "completed"),
 
   clientId: objectId,
 
+  // Searches are ranked by relevance unless another order is asked for
   sortBy: Joi.string()
     .valid(
+      "relevance",
       "title",
       "status",
       "startDate",
@@ -127,7 +130,7 @@ const querySchema = Joi.object({
       "createdAt",
       "updatedAt"
     )
-    .default("createdAt"),
+    .default((parent) => (parent.search ? "relevance" : "createdAt")),
 
   sortOrder: Joi.string().valid("asc", "desc").default("desc"),
 
@@ -171,6 +174,26 @@ const validateUpdateProject = (req, res, next) => {
   next();
 };
 
+// Export validation: the list filters plus format and column selection
+const exportQuerySchema = querySchema.keys({
+  format: Joi.string()
+    .valid(...EXPORT_FORMATS)
+    .default("csv")
+    .messages({
+      "any.only": `Format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+    }),
+
+  // Comma-separated column names, in output order
+  columns: Joi.string()
+    .trim()
+    .custom((value) =>
+      value
+        .split(",")
+        .map((column) => column.trim())
+        .filter(Boolean)
+    ),
+});
+
 const validateProjectQuery = (req, res, next) => {
   const { error, value } = querySchema.validate(req.query);
   if (error) {
@@ -187,12 +210,29 @@ const validateProjectQuery = (req, res, next) => {
   next();
 };
 
+const validateProjectExportQuery = (req, res, next) => {
+  const { error, value } = exportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Invalid query parameters",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.query = value;
+  next();
+};
 
 export {
   createProjectSchema,
   updateProjectSchema,
   querySchema,
+  exportQuerySchema,
   validateCreateProject,
   validateUpdateProject,
   validateProjectQuery,
-};
\ No newline at end of file
+  validateProjectExportQuery,
+};
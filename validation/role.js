@@ -0,0 +1,97 @@
+import Joi from "joi";
+import { PERMISSIONS } from "../config/permissions.js";
+
+const permissionsRule = Joi.array()
+  .items(
+    Joi.string()
+      .valid(...PERMISSIONS)
+      .messages({
+        "any.only": `Permission must be one of: ${PERMISSIONS.join(", ")}`,
+      })
+  )
+  .unique()
+  .messages({
+    "array.base": "Permissions must be an array",
+    "array.unique": "Permissions must not contain duplicates",
+  });
+
+// Create role validation
+const createRoleSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z][a-z0-9-]*$/)
+    .min(2)
+    .max(50)
+    .required()
+    .messages({
+      "string.base": "Name must be a string",
+      "string.empty": "Name is required",
+      "string.pattern.base":
+        "Name must start with a letter and contain only letters, numbers and hyphens",
+      "string.min": "Name must be at least 2 characters long",
+      "string.max": "Name cannot exceed 50 characters",
+      "any.required": "Name is required",
+    }),
+
+  description: Joi.string().max(200).trim().allow("").messages({
+    "string.base": "Description must be a string",
+    "string.max": "Description cannot exceed 200 characters",
+  }),
+
+  permissions: permissionsRule.required().messages({
+    "any.required": "Permissions are required",
+  }),
+});
+
+// Update role validation (name is immutable once users hold the role)
+const updateRoleSchema = Joi.object({
+  description: Joi.string().max(200).trim().allow("").messages({
+    "string.base": "Description must be a string",
+    "string.max": "Description cannot exceed 200 characters",
+  }),
+
+  permissions: permissionsRule,
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one field must be provided for update",
+  });
+
+// Validation middleware
+const validateCreateRole = (req, res, next) => {
+  const { error } = createRoleSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateUpdateRole = (req, res, next) => {
+  const { error } = updateRoleSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+export {
+  createRoleSchema,
+  updateRoleSchema,
+  validateCreateRole,
+  validateUpdateRole,
+};
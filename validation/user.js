@@ -0,0 +1,94 @@
+import Joi from "joi";
+
+// Update role validation
+const updateRoleSchema = Joi.object({
+  role: Joi.string().trim().lowercase().max(50).required().messages({
+    "string.base": "Role must be a string",
+    "string.empty": "Role is required",
+    "string.max": "Role cannot exceed 50 characters",
+    "any.required": "Role is required",
+  }),
+});
+
+// Update status validation
+const updateStatusSchema = Joi.object({
+  status: Joi.string().valid("active", "disabled").required().messages({
+    "any.only": "Status must be either active or disabled",
+    "any.required": "Status is required",
+  }),
+});
+
+// Query validation for filtering
+const querySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+
+  limit: Joi.number().integer().min(1).max(100).default(10),
+
+  search: Joi.string().trim().allow(""),
+
+  role: Joi.string().trim().lowercase(),
+
+  status: Joi.string().valid("active", "disabled"),
+
+  sortBy: Joi.string()
+    .valid("name", "email", "createdAt", "lastLoginAt")
+    .default("createdAt"),
+
+  sortOrder: Joi.string().valid("asc", "desc").default("desc"),
+});
+
+// Validation middleware
+const validateUpdateRole = (req, res, next) => {
+  const { error } = updateRoleSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateUpdateStatus = (req, res, next) => {
+  const { error } = updateStatusSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Validation error",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  next();
+};
+
+const validateUserQuery = (req, res, next) => {
+  const { error, value } = querySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      status: "error",
+      message: "Invalid query parameters",
+      details: error.details.map((detail) => ({
+        field: detail.path[0],
+        message: detail.message,
+      })),
+    });
+  }
+  req.query = value;
+  next();
+};
+
+export {
+  updateRoleSchema,
+  updateStatusSchema,
+  querySchema,
+  validateUpdateRole,
+  validateUpdateStatus,
+  validateUserQuery,
+};